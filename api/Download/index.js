@@ -4,39 +4,113 @@
 //   traces | where message startswith "AVTOOLS_DOWNLOAD"
 //          | extend e = parse_json(substring(message, 18))
 //          | summarize count() by tostring(e.key), bin(timestamp, 1d)
+//
+// ?key=v230 | latest | latest-1.x | presskit   -> that file (see ../shared/releases.json)
+// ?revit=2024 [&channel=legacy]               -> newest build supporting that Revit year
+//   No compatible build -> 404 JSON explaining what is supported (and whether the
+//   year is announced as coming soon). Every request, including those 404s, logs
+//   the requested Revit year:
+//     traces | where message startswith "AVTOOLS_DOWNLOAD"
+//            | extend e = parse_json(substring(message, 18))
+//            | where isnotnull(e.revit)
+//            | summarize count() by tostring(e.revit), tostring(e.outcome)
+//   Aggregated counts without Kusto: /api/download-stats
+// ...&meta=1                                   -> JSON { file, url, sha256, size, ... } instead of
+//                                                 redirecting (not logged as a download)
+// Redirects carry "Digest: sha-256=<base64>" when the checksum is published;
+// /api/checksums lists every bundle in SHA256SUMS format.
 
-// Strict allowlist — short key -> filename in /downloads/
-// Add new releases here; anything not listed returns 404.
-const FILES = {
-  "v121":     "JSBA.AVTools-SystemDesigner_Revit2022-2024_v1.2.1.zip",
-  // v2.3.0 (current): signed MSI — verified publisher "J. Stevens BIM Acoustics LLC".
-  // ZIP contains the signed MSI installer + User Guide PDF.
-  "v230":     "JSBA.AVTools-SystemDesigner_Revit2025-2026_v2.3.0.zip",
-  // Prior bundles kept addressable for anyone who explicitly wants them.
-  "v222":     "JSBA.AVTools-SystemDesigner_Revit2025-2026_v2.2.2.zip",
-  "v221":     "JSBA.AVTools-SystemDesigner_Revit2025-2026_v2.2.1.zip",
-  // v20 / v21 / v22 aliases resolve to the latest 2.x bundle (currently v2.3.0)
-  "v20":      "JSBA.AVTools-SystemDesigner_Revit2025-2026_v2.3.0.zip",
-  "v21":      "JSBA.AVTools-SystemDesigner_Revit2025-2026_v2.3.0.zip",
-  "v22":      "JSBA.AVTools-SystemDesigner_Revit2025-2026_v2.3.0.zip",
-  "presskit": "AVTools-SystemDesigner-v2.0-PressKit.zip"
-};
+const { recordEvent } = require("../shared/events");
+const { requestFields } = require("../shared/telemetry");
+// Strict allowlist — every key, alias and file comes from ../shared/releases.json
+// (e.g. "v230", "latest", "latest-1.x", "presskit"); anything else returns 404.
+const {
+  CHANNELS,
+  loadCatalog,
+  resolveDownload,
+  downloadFor,
+  resolveCompatible,
+  parseRevitYear,
+} = require("../shared/releases");
+
+// Log structured event — picked up by App Insights traces, and stored in the
+// event sink (../shared/events.js) that /api/download-stats reads
+// Visitor fields go through ../shared/telemetry.js (hashed IP, UA family, referrer path).
+async function logDownloadEvent(context, req, fields) {
+  await recordEvent(context, "AVTOOLS_DOWNLOAD", {
+    ts: new Date().toISOString(),
+    ...fields,
+    ...requestFields(req)
+  });
+}
 
-function clientIp(req) {
-  // Azure Static Web Apps / Front Door pass the real client IP in x-forwarded-for
-  const xff = req.headers["x-forwarded-for"] || req.headers["X-Forwarded-For"];
-  if (typeof xff === "string" && xff.length) return xff.split(",")[0].trim();
-  return req.headers["x-azure-clientip"] || null;
+function jsonResponse(status, body) {
+  return {
+    status,
+    headers: { "Content-Type": "application/json", "Cache-Control": "no-store" },
+    body
+  };
 }
 
-function clientCountry(req) {
-  // SWA injects this header when available
-  return req.headers["x-azure-clientip-country"] || req.headers["x-country"] || null;
+// RFC 3230 instance digest: base64 of the raw hash bytes
+function digestHeader(sha256Hex) {
+  return sha256Hex ? "sha-256=" + Buffer.from(sha256Hex, "hex").toString("base64") : null;
+}
+
+function unsupportedMessage(revit, channel, result) {
+  const ranges = result.supported.map((r) => (r.min === r.max ? `${r.min}` : `${r.min}–${r.max}`)).join(", ");
+  if (result.upcoming) {
+    return `No AVTools System Designer build supports Revit ${revit} yet — it's coming soon. Current builds support Revit ${ranges}.`;
+  }
+  if (revit !== null) {
+    return `No AVTools System Designer build${channel ? ` on the ${channel} channel` : ""} supports Revit ${revit}. Available builds support Revit ${ranges}.`;
+  }
+  return `No AVTools System Designer build is available on the ${channel} channel.`;
 }
 
 module.exports = async function (context, req) {
-  const key = (req.query && req.query.key) ? String(req.query.key).toLowerCase() : "";
-  const filename = Object.prototype.hasOwnProperty.call(FILES, key) ? FILES[key] : null;
+  const query = req.query || {};
+  const key = query.key ? String(query.key).toLowerCase() : "";
+  const revitParam = query.revit ? String(query.revit) : "";
+  const channel = query.channel ? String(query.channel).toLowerCase() : null;
+  const wantsMeta = query.meta === "1" || query.meta === "true";
+  const revit = revitParam ? parseRevitYear(revitParam) : null;
+
+  if ((revitParam && revit === null) || (channel && !CHANNELS.includes(channel))) {
+    context.res = jsonResponse(400, {
+      ok: false,
+      error: `Use ?revit=YYYY (e.g. 2024) and optionally ?channel=${CHANNELS.join("|")}.`
+    });
+    return;
+  }
+
+  const catalog = loadCatalog();
+  let resolved = null;
+
+  // A Revit year or channel picks the build, unless a specific key was asked for
+  // (then the year is only recorded).
+  if ((revit !== null || channel) && (!key || key === "latest")) {
+    const result = resolveCompatible(catalog, { revit, channel });
+
+    if (!result.release) {
+      await logDownloadEvent(context, req, { key: key || null, revit, channel, outcome: result.upcoming ? "coming-soon" : "unsupported", version: null, file: null });
+      context.res = jsonResponse(404, {
+        ok: false,
+        error: unsupportedMessage(revit, channel, result),
+        revit,
+        channel,
+        comingSoon: !!result.upcoming,
+        supported: result.supported
+      });
+      return;
+    }
+
+    resolved = downloadFor(result.release);
+  } else if (key) {
+    resolved = resolveDownload(catalog, key);
+  }
+
+  const filename = resolved ? resolved.file : null;
 
   if (!filename) {
     context.res = {
@@ -47,30 +121,43 @@ module.exports = async function (context, req) {
     return;
   }
 
-  // Log structured event — picked up by App Insights traces
-  try {
-    const event = {
-      ts: new Date().toISOString(),
-      key,
+  // 302 to the static file. encodeURIComponent on filename keeps spaces/punct safe.
+  const location = "/downloads/" + encodeURIComponent(filename);
+
+  if (wantsMeta) {
+    const release = resolved.release;
+    context.res = jsonResponse(200, {
+      ok: true,
+      key: resolved.key,
+      version: release ? release.version : null,
       file: filename,
-      ip: clientIp(req),
-      country: clientCountry(req),
-      ua: req.headers["user-agent"] || null,
-      ref: req.headers["referer"] || req.headers["referrer"] || null
-    };
-    context.log("AVTOOLS_DOWNLOAD " + JSON.stringify(event));
-  } catch (e) {
-    context.log.warn("Download logging failed:", e && e.message);
+      url: location,
+      sha256: resolved.sha256,
+      size: resolved.size,
+      msiSha256: release ? release.msiSha256 || null : null,
+      signed: release ? !!release.signed : null
+    });
+    return;
   }
 
-  // 302 to the static file. encodeURIComponent on filename keeps spaces/punct safe.
-  const location = "/downloads/" + encodeURIComponent(filename);
+  await logDownloadEvent(context, req, {
+    key: key || null,
+    revit,
+    channel,
+    outcome: "redirect",
+    version: resolved.release ? resolved.release.version : null,
+    file: filename
+  });
+
+  const headers = {
+    "Location": location,
+    "Cache-Control": "no-store"
+  };
+  const digest = digestHeader(resolved.sha256);
+  if (digest) headers["Digest"] = digest;
 
   context.res = {
     status: 302,
-    headers: {
-      "Location": location,
-      "Cache-Control": "no-store"
-    }
+    headers
   };
 };
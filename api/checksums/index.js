@@ -0,0 +1,40 @@
+// /api/checksums/index.js
+// Published SHA-256 of every downloadable bundle, from ../shared/releases.json.
+//
+// GET /api/checksums              -> SHA256SUMS text ("<hex>  <filename>"), so customers can run
+//                                    `sha256sum -c SHA256SUMS` (or compare Get-FileHash output)
+// GET /api/checksums?format=json  -> { ok, files: [{ key, file, url, sha256, size }] }
+//
+// Files whose checksum is not published yet are left out of both; size is null until
+// verify-downloads.js --write has seen the file.
+
+const { loadCatalog, checksumEntries } = require("../shared/releases");
+
+module.exports = async function (context, req) {
+  const entries = checksumEntries(loadCatalog()).filter((e) => e.sha256);
+  const format = req.query && req.query.format ? String(req.query.format).toLowerCase() : "text";
+
+  if (format === "json") {
+    context.res = {
+      status: 200,
+      headers: { "Content-Type": "application/json", "Cache-Control": "public, max-age=300" },
+      body: {
+        ok: true,
+        files: entries.map((e) => ({ ...e, url: "/downloads/" + encodeURIComponent(e.file) })),
+      },
+    };
+    return;
+  }
+
+  const lines = entries.map((e) => `${e.sha256}  ${e.file}`);
+
+  context.res = {
+    status: 200,
+    headers: {
+      "Content-Type": "text/plain; charset=utf-8",
+      "Content-Disposition": 'inline; filename="SHA256SUMS"',
+      "Cache-Control": "public, max-age=300",
+    },
+    body: lines.join("\n") + "\n",
+  };
+};
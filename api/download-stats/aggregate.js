@@ -0,0 +1,110 @@
+// /api/download-stats/aggregate.js
+// Turns raw AVTOOLS_DOWNLOAD events into download counts.
+//
+// - Bots / crawlers / link previewers / scripted clients are dropped by user agent
+// - Repeat hits for the same file from the same client (ip + user agent) inside
+//   dedupeMs count once (double clicks, download-manager retries, range re-requests)
+// - Only redirects are downloads; "unsupported" / "coming-soon" outcomes are
+//   reported separately by requested Revit year
+
+const { isBotUa } = require("../shared/telemetry");
+
+// Events carry the reduced user agent ("Chrome on Windows", "bot"); older events the full string
+function isBot(ua) {
+  if (!ua) return true; // real browsers always send one
+  return isBotUa(ua);
+}
+
+// Referrer without query/fragment: "https://example.com/products.html"
+function referrerKey(ref) {
+  if (!ref) return "(direct)";
+  try {
+    const u = new URL(ref);
+    return u.origin + u.pathname;
+  } catch {
+    return "(invalid)";
+  }
+}
+
+// "2.3.0" -> "2.3.x"
+function versionLine(version) {
+  const m = /^(\d+)\.(\d+)/.exec(String(version || ""));
+  return m ? `${m[1]}.${m[2]}.x` : "(none)";
+}
+
+function bump(map, key) {
+  const k = key == null || key === "" ? "(none)" : String(key);
+  map[k] = (map[k] || 0) + 1;
+}
+
+// { a: 3, b: 9 } -> [{ name: "b", count: 9 }, { name: "a", count: 3 }]
+function ranked(map, limit = 0) {
+  const rows = Object.entries(map)
+    .map(([name, count]) => ({ name, count }))
+    .sort((x, y) => y.count - x.count || x.name.localeCompare(y.name));
+  return limit > 0 ? rows.slice(0, limit) : rows;
+}
+
+function aggregateDownloads(events, { dedupeMs = 30 * 60 * 1000, topReferrers = 25 } = {}) {
+  const totals = { events: 0, bots: 0, duplicates: 0, downloads: 0, unsupported: 0 };
+  const byKey = {};
+  const byVersion = {};
+  const byVersionLine = {};
+  const byDay = {};
+  const byCountry = {};
+  const byReferrer = {};
+  const unsupportedRevit = {};
+  const lastSeen = new Map(); // client|file -> ms
+
+  const sorted = [...events].sort((a, b) => Date.parse(a.ts) - Date.parse(b.ts));
+
+  for (const e of sorted) {
+    totals.events++;
+    if (isBot(e.ua)) {
+      totals.bots++;
+      continue;
+    }
+
+    if (e.outcome && e.outcome !== "redirect") {
+      totals.unsupported++;
+      bump(unsupportedRevit, e.revit);
+      continue;
+    }
+
+    const t = Date.parse(e.ts);
+    const client = `${e.ip || "?"}|${e.ua || "?"}|${e.file || e.key}`;
+    const prev = lastSeen.get(client);
+    lastSeen.set(client, t);
+    if (prev !== undefined && t - prev < dedupeMs) {
+      totals.duplicates++;
+      continue;
+    }
+
+    totals.downloads++;
+    bump(byKey, e.key);
+    bump(byVersion, e.version);
+    bump(byVersionLine, e.version ? versionLine(e.version) : null);
+    bump(byDay, String(e.ts).slice(0, 10));
+    bump(byCountry, e.country);
+    bump(byReferrer, referrerKey(e.ref));
+  }
+
+  return {
+    totals,
+    byVersion: ranked(byVersion),
+    byVersionLine: ranked(byVersionLine),
+    byKey: ranked(byKey),
+    byDay: Object.keys(byDay)
+      .sort()
+      .map((day) => ({ day, count: byDay[day] })),
+    byCountry: ranked(byCountry),
+    byReferrer: ranked(byReferrer, topReferrers),
+    unsupportedRevit: ranked(unsupportedRevit),
+  };
+}
+
+module.exports = {
+  isBot,
+  referrerKey,
+  aggregateDownloads,
+};
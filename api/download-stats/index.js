@@ -0,0 +1,72 @@
+// /api/download-stats/index.js
+// Operator-only download counts, without opening the Azure portal.
+//
+// GET /api/download-stats?days=30[&dedupeMinutes=30]
+//   Authorization: Bearer <AVTOOLS_STATS_KEY>   (or x-admin-key)
+//   -> { ok, sink, from, to, totals, byVersion, byVersionLine, byKey, byDay, byCountry,
+//        byReferrer, unsupportedRevit }
+//
+// Reads AVTOOLS_DOWNLOAD events back from the event sink (AVTOOLS_EVENT_SINK, see
+// ../shared/events.js), drops bots and de-duplicates repeat hits (./aggregate.js).
+// byVersionLine ("2.3.x" vs "2.2.x") is the adoption view for the signed 2.3.0 build.
+
+const { checkKey } = require("../shared/auth");
+const { getEventSink } = require("../shared/events");
+const { aggregateDownloads } = require("./aggregate");
+
+const DEFAULT_DAYS = 30;
+const MAX_DAYS = 400;
+
+function jsonResponse(status, body) {
+  return {
+    status,
+    headers: { "Content-Type": "application/json", "Cache-Control": "no-store" },
+    body,
+  };
+}
+
+function clampNumber(value, fallback, min, max) {
+  const n = Number(value);
+  return Number.isFinite(n) ? Math.min(max, Math.max(min, n)) : fallback;
+}
+
+module.exports = async function (context, req) {
+  const auth = checkKey(req, process.env.AVTOOLS_STATS_KEY);
+  if (!auth.ok) {
+    context.res = jsonResponse(auth.status, { ok: false, error: auth.error });
+    return;
+  }
+
+  const query = req.query || {};
+  const days = clampNumber(query.days, DEFAULT_DAYS, 1, MAX_DAYS);
+  const dedupeMinutes = clampNumber(query.dedupeMinutes, 30, 0, 24 * 60);
+  const until = Date.now();
+  const since = until - days * 24 * 60 * 60 * 1000;
+
+  let sink = null;
+  let events = [];
+  try {
+    sink = getEventSink();
+    if (!sink.readable) {
+      context.res = jsonResponse(501, {
+        ok: false,
+        error: "Download events are only in App Insights traces. Set AVTOOLS_EVENT_SINK to jsonl, table or appinsights.",
+      });
+      return;
+    }
+    events = await sink.read("AVTOOLS_DOWNLOAD", { since, until });
+  } catch (e) {
+    context.log.warn("Download stats: event sink read failed:", e && e.message);
+    context.res = jsonResponse(502, { ok: false, error: "Could not read download events." });
+    return;
+  }
+
+  context.res = jsonResponse(200, {
+    ok: true,
+    sink: sink.kind,
+    from: new Date(since).toISOString(),
+    to: new Date(until).toISOString(),
+    dedupeMinutes,
+    ...aggregateDownloads(events, { dedupeMs: dedupeMinutes * 60 * 1000 }),
+  });
+};
@@ -0,0 +1,152 @@
+// /api/lucius-admin/index.js
+// Operator view and runtime controls for Lucius (replaces the public GET ?debug=1 listing).
+//
+//   Authorization: Bearer <LUCIUS_ADMIN_KEY>   (or x-admin-key)
+//
+// GET  /api/lucius-admin[?q=question]
+//   -> { ok, provider, tools, packs: { config, cache, fetched, versions, index }, prompt }
+//      prompt is the developer prompt the chat would send for q right now (retrieved
+//      sections, [S#] labels and full text); q defaults to a generic product question
+// POST /api/lucius-admin   { "action": "refresh" }
+//      refetch every pack now instead of waiting for the TTL
+// POST /api/lucius-admin   { "action": "set", "model": "...", "provider": "...", "packBase": "https://..." }
+//      switch model / provider / pack base without redeploying; "" or null goes back to the
+//      app setting, omitted fields are left alone. A new pack base refetches immediately.
+//
+// Overrides live in this instance's memory: they are lost on restart, and Static Web Apps
+// may run more than one instance. Change the app settings for anything permanent.
+// Every POST is logged as LUCIUS_ADMIN (action + changed fields) for the audit trail.
+
+const { checkKey } = require("../shared/auth");
+const promptPacks = require("../lucius-web-chat/packs");
+const prompt = require("../lucius-web-chat/prompt");
+const providers = require("../lucius-web-chat/providers");
+const tools = require("../lucius-web-chat/tools");
+
+const DEFAULT_QUESTION = "What does System Designer do?";
+
+function jsonResponse(status, body) {
+  return {
+    status,
+    headers: { "Content-Type": "application/json", "Cache-Control": "no-store" },
+    body,
+  };
+}
+
+function logAdminEvent(context, payload) {
+  try {
+    context.log("LUCIUS_ADMIN " + JSON.stringify(payload));
+  } catch {}
+}
+
+async function loadPacks(context) {
+  return prompt.loadPromptPacksWithCache(context, prompt.loadLuciusDocs());
+}
+
+function providerStatus() {
+  return { ...providers.describeProvider(), overrides: providers.providerOverrides() };
+}
+
+function packStatus(packs) {
+  const cache = promptPacks.packCacheStatus();
+  return {
+    config: promptPacks.packConfig(),
+    cache: { loadedAt: cache.loadedAt, expiresAt: cache.expiresAt, ageMs: cache.ageMs, fresh: cache.fresh },
+    fetched: packs.meta.fetched,
+    versions: packs.meta.versions,
+    index: packs.meta.index || null,
+  };
+}
+
+function promptView(packs, question) {
+  const { sections, sources, developerText } = prompt.assemblePrompt(packs, question, []);
+  return {
+    question,
+    chars: developerText.length,
+    retrieved: sections ? sections.map((r) => ({ id: r.chunk.id, score: Number(r.score.toFixed(3)) })) : null,
+    sources: sources.list.map((c, i) => ({ label: "S" + (i + 1), pack: c.pack, heading: c.heading, source: c.source })),
+    text: developerText,
+  };
+}
+
+// Applies { provider, model, packBase }; -> list of changed field names. Throws on bad input.
+function applySettings(body) {
+  const changed = [];
+  // Validate the pack base up front so a bad URL doesn't leave a half-applied change
+  const packBase = body.packBase !== undefined ? promptPacks.normalizePackBase(body.packBase) : undefined;
+
+  if (body.provider !== undefined || body.model !== undefined) {
+    providers.setProviderOverrides({ provider: body.provider, model: body.model });
+    if (body.provider !== undefined) changed.push("provider");
+    if (body.model !== undefined) changed.push("model");
+  }
+
+  if (packBase !== undefined) {
+    promptPacks.setPackBase(packBase);
+    changed.push("packBase");
+  }
+
+  return changed;
+}
+
+module.exports = async function (context, req) {
+  const auth = checkKey(req, process.env.LUCIUS_ADMIN_KEY);
+  if (!auth.ok) {
+    context.res = jsonResponse(auth.status, { ok: false, error: auth.error });
+    return;
+  }
+
+  if (req.method === "GET") {
+    const question = String((req.query && req.query.q) || "").trim().slice(0, 2000) || DEFAULT_QUESTION;
+    const packs = await loadPacks(context);
+    context.res = jsonResponse(200, {
+      ok: true,
+      provider: providerStatus(),
+      tools: { enabled: tools.TOOLS_ENABLED, names: tools.definitions.map((d) => d.name) },
+      packs: packStatus(packs),
+      prompt: promptView(packs, question),
+    });
+    return;
+  }
+
+  const body = req.body && typeof req.body === "object" ? req.body : {};
+  const action = String(body.action || "").trim().toLowerCase();
+  let changed = [];
+
+  if (action === "set") {
+    try {
+      changed = applySettings(body);
+    } catch (e) {
+      context.res = jsonResponse(400, { ok: false, error: e.message });
+      return;
+    }
+    if (!changed.length) {
+      context.res = jsonResponse(400, { ok: false, error: 'Nothing to set. Send "model", "provider" and/or "packBase".' });
+      return;
+    }
+  } else if (action === "refresh") {
+    promptPacks.invalidatePackCache();
+  } else {
+    context.res = jsonResponse(400, { ok: false, error: 'Unknown action. Use "refresh" or "set".' });
+    return;
+  }
+
+  const packConfig = promptPacks.packConfig();
+  logAdminEvent(context, {
+    ts: new Date().toISOString(),
+    action,
+    changed,
+    provider: providers.providerOverrides(),
+    packBase: packConfig.overridden ? packConfig.base : null,
+  });
+
+  // Refetch now so the response (and the next visitor) sees the result
+  const packs = await loadPacks(context);
+  context.res = jsonResponse(200, {
+    ok: true,
+    action,
+    changed,
+    provider: providerStatus(),
+    packs: packStatus(packs),
+  });
+};
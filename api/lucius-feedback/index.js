@@ -0,0 +1,98 @@
+// /api/lucius-feedback/index.js
+// Thumbs-up/down feedback on individual Lucius replies.
+//
+// POST { messageId, rating: "up" | "down", comment?, sessionId?, consentToLog? }
+// - messageId is the id /api/lucius-web-chat returned with the reply (and logged in LUCIUS_TRANSCRIPT)
+// - Logged as a structured trace, picked up by App Insights:
+//     traces | where message startswith "LUCIUS_FEEDBACK"
+//            | extend e = parse_json(substring(message, 16))
+//            | summarize count() by tostring(e.rating), bin(timestamp, 1d)
+// - Without consentToLog only the rating itself is kept (no comment, no sessionId)
+// - Comments are scrubbed of emails / phone numbers, the page loses its query string
+// - With a queryable transcript store the comment is kept next to the visitor's transcript
+//   (exportable / deletable via /api/lucius-transcript); only a durable one keeps it out of
+//   the trace. A misconfigured store falls back to the trace alone
+
+const { cleanReferrer, scrubText } = require("../shared/telemetry");
+const { getTranscriptStore, validSessionId } = require("../shared/transcripts");
+
+const MAX_COMMENT_CHARS = 1000;
+const RATINGS = ["up", "down"];
+
+// Same shape as the chat's transcript ids (UUID) or the widget's fallback ids
+const MESSAGE_ID_RE = /^[A-Za-z0-9_-]{8,80}$/;
+
+function logFeedbackEvent(context, payload) {
+  try {
+    context.log("LUCIUS_FEEDBACK " + JSON.stringify(payload));
+  } catch (e) {
+    try {
+      context.log.warn("Lucius feedback logging failed:", e && e.message);
+    } catch {}
+  }
+}
+
+module.exports = async function (context, req) {
+  const corsHeaders = {
+    "Access-Control-Allow-Origin": "*",
+    "Access-Control-Allow-Methods": "POST, OPTIONS",
+    "Access-Control-Allow-Headers": "Content-Type",
+  };
+
+  if (req.method === "OPTIONS") {
+    context.res = { status: 204, headers: corsHeaders };
+    return;
+  }
+
+  const body = req.body || {};
+  const messageId = typeof body.messageId === "string" ? body.messageId.trim() : "";
+  const rating = typeof body.rating === "string" ? body.rating.trim().toLowerCase() : "";
+
+  if (!MESSAGE_ID_RE.test(messageId) || !RATINGS.includes(rating)) {
+    context.res = {
+      status: 400,
+      headers: { ...corsHeaders, "Content-Type": "application/json" },
+      body: { ok: false, error: 'Send { "messageId": "...", "rating": "up" | "down" }' },
+    };
+    return;
+  }
+
+  const consentToLog = !!body.consentToLog;
+  const comment = typeof body.comment === "string" ? body.comment.trim().slice(0, MAX_COMMENT_CHARS) : "";
+  const sessionId = consentToLog && body.sessionId ? String(body.sessionId).slice(0, 200) : null;
+
+  const event = {
+    ts: new Date().toISOString(),
+    messageId,
+    rating,
+    consentToLog,
+    sessionId,
+    comment: consentToLog && comment ? scrubText(comment) : null,
+    page: consentToLog && req.headers ? cleanReferrer(req.headers.referer || req.headers.referrer) : null,
+  };
+
+  let stored = null;
+  if (validSessionId(sessionId)) {
+    try {
+      const store = getTranscriptStore();
+      if (store.queryable) {
+        await store.append(
+          sessionId,
+          { type: "feedback", ts: event.ts, messageId, rating, comment: event.comment, page: event.page },
+          { log: (m) => context.log.warn(m) }
+        );
+        if (store.durable) stored = store.kind;
+      }
+    } catch (e) {
+      context.log.warn("Lucius feedback store failed:", e && e.message);
+    }
+  }
+
+  logFeedbackEvent(context, stored ? { ...event, sessionId: null, comment: null, hasComment: !!event.comment, stored } : event);
+
+  context.res = {
+    status: 202,
+    headers: { ...corsHeaders, "Content-Type": "application/json" },
+    body: { ok: true },
+  };
+};
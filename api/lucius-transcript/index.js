@@ -0,0 +1,88 @@
+// /api/lucius-transcript/index.js
+// Self-service access to a visitor's own consented Lucius transcript.
+//
+// The widget's persistent sessionId is the key, sent as a header so it never lands
+// in URLs or access logs:
+//   GET    /api/lucius-transcript   X-Lucius-Session: <id>  -> { ok, count, entries: [...] }
+//   DELETE /api/lucius-transcript   X-Lucius-Session: <id>  -> { ok, deleted }
+//
+// entries are { type: "exchange", ts, messageId, page, model, user, lucius }
+//          or { type: "feedback", ts, messageId, rating, comment, page }, oldest first.
+// Deletions are logged (count only) as LUCIUS_TRANSCRIPT_DELETE for the audit trail.
+
+const { getTranscriptStore, validSessionId } = require("../shared/transcripts");
+
+function logDeleteEvent(context, payload) {
+  try {
+    context.log("LUCIUS_TRANSCRIPT_DELETE " + JSON.stringify(payload));
+  } catch {}
+}
+
+module.exports = async function (context, req) {
+  const corsHeaders = {
+    "Access-Control-Allow-Origin": "*",
+    "Access-Control-Allow-Methods": "GET, DELETE, OPTIONS",
+    "Access-Control-Allow-Headers": "Content-Type, X-Lucius-Session",
+  };
+  const jsonHeaders = { ...corsHeaders, "Content-Type": "application/json", "Cache-Control": "no-store" };
+
+  if (req.method === "OPTIONS") {
+    context.res = { status: 204, headers: corsHeaders };
+    return;
+  }
+
+  const headers = req.headers || {};
+  const sessionId = String(headers["x-lucius-session"] || "").trim();
+
+  if (!validSessionId(sessionId)) {
+    context.res = {
+      status: 400,
+      headers: jsonHeaders,
+      body: { ok: false, error: "Send your Lucius session id in the X-Lucius-Session header." },
+    };
+    return;
+  }
+
+  let store;
+  try {
+    store = getTranscriptStore();
+  } catch (e) {
+    context.log.error("Lucius transcript store misconfigured:", e && e.message);
+    store = null;
+  }
+
+  if (!store || !store.queryable) {
+    context.res = {
+      status: 501,
+      headers: jsonHeaders,
+      body: {
+        ok: false,
+        error: "Transcript export and deletion are not available right now. Email info@bimacoustics.net and we'll handle it by hand.",
+      },
+    };
+    return;
+  }
+
+  try {
+    if (req.method === "DELETE") {
+      const deleted = await store.remove(sessionId);
+      logDeleteEvent(context, { ts: new Date().toISOString(), deleted, store: store.kind });
+      context.res = { status: 200, headers: jsonHeaders, body: { ok: true, deleted } };
+      return;
+    }
+
+    const entries = await store.list(sessionId);
+    context.res = {
+      status: 200,
+      headers: jsonHeaders,
+      body: { ok: true, exportedAt: new Date().toISOString(), count: entries.length, entries },
+    };
+  } catch (e) {
+    context.log.error("Lucius transcript request failed:", e && e.message);
+    context.res = {
+      status: 502,
+      headers: jsonHeaders,
+      body: { ok: false, error: "Could not reach the transcript store. Please try again later." },
+    };
+  }
+};
@@ -0,0 +1,99 @@
+// /api/lucius-web-chat/faq.js
+// Offline FAQ fallback for Lucius.
+//
+// Parses the numbered Q&A in Lucius_Website_Engineering_Responses.md
+// ("### 2. Is this an acoustic simulation tool?" + "**Approved response:**" …)
+// and answers from the closest entry when the model is unavailable.
+//
+// Similarity = character-trigram overlap with the question heading (catches typos and
+// rephrasings) blended with keyword coverage over question + answer.
+
+const { tokenize, slugify } = require("./retrieval");
+
+const QUESTION_RE = /^#{2,3}\s+(\d+[a-z]?)\.\s+(.+?)\s*$/;
+
+// ---------- Parsing ----------
+
+function cleanAnswer(lines) {
+  return lines
+    .join("\n")
+    .replace(/^\s*\*\*Approved response:\*\*\s*/im, "")
+    .replace(/^\s*---\s*$/gm, "")
+    .replace(/^\s*\*This document[\s\S]*$/m, "") // trailing doc footer
+    .trim();
+}
+
+// -> [{ id, question, answer, anchor }]
+function parseFaq(markdown) {
+  const entries = [];
+  let current = null;
+
+  function flush() {
+    if (!current) return;
+    const answer = cleanAnswer(current.lines);
+    if (answer) {
+      entries.push({ id: current.id, question: current.question, answer, anchor: slugify(`${current.id}. ${current.question}`) });
+    }
+    current = null;
+  }
+
+  for (const line of String(markdown || "").split(/\r?\n/)) {
+    const m = QUESTION_RE.exec(line);
+    if (m) {
+      flush();
+      current = { id: m[1], question: m[2].replace(/[*_`]/g, ""), lines: [] };
+      continue;
+    }
+    if (/^#{1,3}\s/.test(line)) {
+      flush(); // an unnumbered heading ends the current answer
+      continue;
+    }
+    if (current) current.lines.push(line);
+  }
+  flush();
+
+  return entries;
+}
+
+// ---------- Matching ----------
+
+function trigrams(text) {
+  const s = "  " + String(text || "").toLowerCase().replace(/[^\p{L}\p{N}]+/gu, " ").trim() + " ";
+  const set = new Set();
+  for (let i = 0; i < s.length - 2; i++) set.add(s.slice(i, i + 3));
+  return set;
+}
+
+function dice(a, b) {
+  if (!a.size || !b.size) return 0;
+  let shared = 0;
+  for (const g of a) if (b.has(g)) shared++;
+  return (2 * shared) / (a.size + b.size);
+}
+
+function coverage(queryTerms, entryTerms) {
+  if (!queryTerms.length) return 0;
+  let hits = 0;
+  for (const t of queryTerms) if (entryTerms.has(t)) hits++;
+  return hits / queryTerms.length;
+}
+
+// Best entry for a question: { entry, score } or null when nothing clears minScore.
+function matchFaq(entries, question, minScore = 0.3) {
+  const queryGrams = trigrams(question);
+  const queryTerms = [...new Set(tokenize(question))];
+
+  let best = null;
+  for (const entry of entries) {
+    const entryTerms = new Set(tokenize(entry.question + " " + entry.question + " " + entry.answer));
+    const score = 0.5 * dice(queryGrams, trigrams(entry.question)) + 0.5 * coverage(queryTerms, entryTerms);
+    if (!best || score > best.score) best = { entry, score };
+  }
+
+  return best && best.score >= minScore ? best : null;
+}
+
+module.exports = {
+  parseFaq,
+  matchFaq,
+};
@@ -0,0 +1,280 @@
+// /api/lucius-web-chat/guard.js
+// Guardrails for the public chat, either side of the model call.
+//
+// Before:
+// - checkInput(text)       prompt-injection patterns: "ignore previous instructions", requests
+//                          for the prompt / packs / text above, chat-template tags, jailbreak phrases
+// - checkTopic(text, …)    general-assistant tasks (write code, translate, recipes, homework…)
+//                          that mention nothing on the topic allowlist
+// After:
+// - checkReply(reply, …)   prompt separators, hard-rule headers, several rule-pack headings as
+//                          lines of their own, or several verbatim instruction lines in the answer
+//
+// Wording the packs tell the model to say (canonical-wording sections, quoted replies, plain
+// facts) never counts as a leak, nor does a heading phrase used in a sentence.
+//
+// A failed check returns { ok: false, stage, code, rule, reply } where reply is a polite
+// refusal / redirect in the visitor's language (EN / DE / FR / ES, as the core pack requires).
+//
+// Topic allowlist: TOPICS below (the subjects of the core pack's "Scope discipline" section),
+// plus LUCIUS_TOPIC_ALLOWLIST (comma-separated) to widen it without a deploy. It is kept out of
+// the packs because they go to the model verbatim.
+//
+// Env: LUCIUS_GUARD=0 disables every check; LUCIUS_GUARD_OFFTOPIC refuse (default) | log | off
+
+const GUARD_ENABLED = String(process.env.LUCIUS_GUARD || "1") !== "0";
+const OFFTOPIC_MODE = String(process.env.LUCIUS_GUARD_OFFTOPIC || "refuse").toLowerCase();
+const EXTRA_TOPICS = String(process.env.LUCIUS_TOPIC_ALLOWLIST || "")
+  .split(",")
+  .map((t) => t.trim())
+  .filter(Boolean);
+
+const TOPICS = [
+  "BIM Acoustics", "AV Tools", "AVTools", "System Designer", "Lucius", "Jerrold", "Revit", "BIM",
+  "loudspeaker", "speaker", "Lautsprecher", "haut-parleur", "altavoz", "ceiling", "coverage", "SPL",
+  "acoustic", "acoustics", "Akustik", "acoustique", "acústica", "RT60", "reverberation", "reverb",
+  "Nachhallzeit", "STI", "intelligibility", "absorption", "material", "critical distance",
+  "Sabine", "Eyring", "Arau-Puchades", "70V", "100V", "Low-Z", "tap", "transformer", "amplifier",
+  "amp", "circuit", "circuiting", "zone", "cabling", "cable", "wire", "rack", "coordination", "clash",
+  "room", "layout", "spacing", "EASE", "price", "pricing", "license", "licence", "trial", "download",
+  "install", "edition",
+];
+
+// ---------- Language ----------
+
+// Short function words that rarely cross languages; the language with the most hits wins.
+const STOPWORDS = {
+  en: ["the", "and", "is", "it", "with", "for", "you", "are", "to", "of", "this", "that"],
+  de: ["der", "die", "das", "und", "ist", "mit", "nicht", "eine", "von", "für", "den", "sind"],
+  fr: ["le", "les", "et", "est", "une", "des", "pas", "avec", "pour", "du", "au", "dans"],
+  es: ["el", "los", "las", "y", "es", "una", "con", "para", "del", "al", "que", "por"],
+};
+
+// -> "en" | "de" | "fr" | "es" | null
+function detectLanguage(text) {
+  const words = String(text || "").toLowerCase().match(/[\p{L}]+/gu) || [];
+  let best = null;
+  let bestHits = 0;
+  for (const [lang, list] of Object.entries(STOPWORDS)) {
+    const hits = words.filter((w) => list.includes(w)).length;
+    if (hits > bestHits) {
+      best = lang;
+      bestHits = hits;
+    }
+  }
+  return best;
+}
+
+const REPLIES = {
+  injection: {
+    en: "I can't share or change how I'm set up, but I'm happy to help with System Designer — speaker layout, coverage, RT60/STI, circuiting or licensing. What are you working on?",
+    de: "Meine Konfiguration kann ich nicht offenlegen oder ändern, aber ich helfe Ihnen gern mit System Designer — Lautsprecherlayout, Abdeckung, RT60/STI, Verschaltung und Lizenzen. Woran arbeiten Sie?",
+    fr: "Je ne peux ni partager ni modifier ma configuration, mais je peux vous aider sur System Designer — implantation des haut-parleurs, couverture, RT60/STI, câblage ou licences. Sur quoi travaillez-vous ?",
+    es: "No puedo compartir ni cambiar mi configuración, pero con gusto le ayudo con System Designer: distribución de altavoces, cobertura, RT60/STI, circuitos o licencias. ¿En qué está trabajando?",
+  },
+  off_topic: {
+    en: "I'm Lucius, the BIM Acoustics assistant, so I stick to System Designer and distributed loudspeaker design — layout, coverage, room acoustics, circuiting and licensing. Is there something along those lines I can help with?",
+    de: "Ich bin Lucius, der Assistent von BIM Acoustics, und beschränke mich auf System Designer und verteilte Beschallung — Layout, Abdeckung, Raumakustik, Verschaltung und Lizenzen. Kann ich Ihnen dabei helfen?",
+    fr: "Je suis Lucius, l'assistant de BIM Acoustics : je m'en tiens à System Designer et à la sonorisation distribuée — implantation, couverture, acoustique des salles, câblage et licences. Puis-je vous aider sur l'un de ces sujets ?",
+    es: "Soy Lucius, el asistente de BIM Acoustics, así que me centro en System Designer y el diseño de sonido distribuido: distribución, cobertura, acústica de salas, circuitos y licencias. ¿Le puedo ayudar con algo de eso?",
+  },
+  leak: {
+    en: "Sorry — I can't share that. Ask me about System Designer's features, formulas or editions instead.",
+    de: "Das kann ich leider nicht teilen. Fragen Sie mich gern zu Funktionen, Formeln oder Editionen von System Designer.",
+    fr: "Désolé, je ne peux pas partager cela. Interrogez-moi plutôt sur les fonctions, les formules ou les éditions de System Designer.",
+    es: "Lo siento, no puedo compartir eso. Pregúnteme por las funciones, fórmulas o ediciones de System Designer.",
+  },
+};
+
+function refusal(stage, code, rule, userText) {
+  const lang = detectLanguage(userText) || "en";
+  return { ok: false, stage, code, rule, reply: REPLIES[code][lang] || REPLIES[code].en };
+}
+
+// ---------- Input: prompt injection ----------
+
+// Each rule needs a verb aimed at Lucius's own instructions, prompt or packs, so design
+// questions about rules of thumb ("ignore the 80% loading rule?", "System: 70V, 20 speakers")
+// pass. Plain "rules" only count when they are the ones Lucius was given.
+const INSTRUCTION_NOUNS =
+  "(?:instructions?|(?:system |developer |initial |original )?prompts?|guidelines you|" +
+  "(?:(?:your|previous|prior|earlier|above|original|initial) |all (?:the |your )?(?:previous |prior )?)(?:rules|guidelines)|" +
+  "rules (?:you were|you've been|you have been|you are) given)";
+
+const INJECTION_RULES = [
+  [
+    "ignore-instructions",
+    new RegExp(`\\b(ignore|disregard|forget|override|bypass)\\b[^.?!\\n]{0,40}\\b${INSTRUCTION_NOUNS}\\b`, "i"),
+  ],
+  [
+    "reveal-prompt",
+    /\b(reveal|show|print|dump|output|repeat|display|list|give|tell|what(?:'s| is| are))\b[^.?!\n]{0,40}\b(system|developer|hidden|initial|original|secret|internal)\s+(prompt|instructions?|message|rules?)\b/i,
+  ],
+  [
+    "reveal-packs",
+    /\b(reveal|show|print|dump|output|repeat|display|list|give|share|paste|tell|read|what(?:'s| is| are| does))\b[^.?!\n]{0,40}\b((prompt|core|overlay|knowledge|your) packs?|context overlay)\b/i,
+  ],
+  // "everything above", not "everything above 1 kHz"
+  ["repeat-above", /\b(repeat|print|show|reveal|dump|output|copy)\b[^.?!\n]{0,30}\b(everything|text|words|messages)\b[^.?!\n]{0,20}\b(above|before|so far)\b(?!\s*\d)/i],
+  ["role-override", /\b(you are now|from now on,? you (are|will)|pretend (to be|you are)|role-?play as)\b/i],
+  ["jailbreak", /\b(jailbreak|DAN mode|do anything now|(enable|enter|activate|switch to) developer mode)\b/i],
+  ["role-tags", /<\|?(system|im_start|im_end)\|?>|\[\/?(INST|SYS)\]/i],
+  ["ignore-de", /\b(ignorier\w*|vergiss)\b[^.?!\n]{0,40}\b(anweisungen|instruktionen|vorgaben|prompt|(deine|vorherigen|bisherigen) regeln)\b/i],
+  ["ignore-fr", /\b(ignore[zr]?|oublie[zr]?)\b[^.?!\n]{0,40}(\b(instructions|consignes|prompt)\b|\b(tes|vos) règles|règles précédentes)/i],
+  ["ignore-es", /\b(ignora\w*|olvida\w*)\b[^.?!\n]{0,40}\b(instrucciones|indicaciones|prompt|(tus|sus) reglas|reglas anteriores)\b/i],
+];
+
+function checkInput(userText) {
+  if (!GUARD_ENABLED) return { ok: true };
+  const text = String(userText || "");
+  for (const [rule, re] of INJECTION_RULES) {
+    if (re.test(text)) return refusal("input", "injection", rule, text);
+  }
+  return { ok: true };
+}
+
+// ---------- Input: off-topic ----------
+
+// Requests that use Lucius as a general-purpose assistant
+const TASK_RULES = [
+  ["write-creative", /\b(write|compose|draft|generate)\b[^.?!\n]{0,40}\b(poem|song|lyrics|story|essay|haiku|joke|cover letter|speech|tweet)\b/i],
+  ["write-code", /\b(write|fix|debug|generate|give me)\b[^.?!\n]{0,40}\b(code|script|function|program|regex|sql query|class)\b/i],
+  ["code-language", /\b(python|javascript|typescript|java|c\+\+|c#|php|rust|golang)\b/i],
+  ["translate", /\btranslat(e|ion)\b|\bübersetze\b|\btraduis\b|\btraduce\b/i],
+  ["recipe", /\brecipes?\b|\bhow (do i|to) cook\b/i],
+  ["homework", /\b(homework|assignment|essay question)\b/i],
+  ["trivia", /\b(capital|president|population|prime minister) of\b/i],
+  ["weather-news", /\b(weather|forecast|news|stock price|bitcoin|crypto)\b/i],
+  ["math", /\bsolve\b[^.?!\n]{0,30}\b(equation|integral|derivative|problem)\b/i],
+];
+
+function topicAllowlist() {
+  return [...TOPICS, ...EXTRA_TOPICS];
+}
+
+function escapeRegExp(s) {
+  return s.replace(/[.*+?^${}()|[\]\\/]/g, "\\$&");
+}
+
+// Product names that also appear inside tool names (pyRevit, RevitAPI, AVToolsSystemDesigner)
+const COMPOUND_TOPICS = ["Revit", "AVTools", "System Designer", "SystemDesigner"];
+
+// Whole-word (plural-tolerant) match of any allowlisted term; COMPOUND_TOPICS match anywhere
+function mentionsTopic(text, topics) {
+  const s = String(text || "");
+  if (COMPOUND_TOPICS.some((t) => s.toLowerCase().includes(t.toLowerCase()))) return true;
+  return topics.some((t) => new RegExp(`(?<![\\p{L}\\p{N}])${escapeRegExp(t)}(?:s|es)?(?![\\p{L}\\p{N}])`, "iu").test(s));
+}
+
+// history: prior turns, so a follow-up inherits the topic of the conversation
+function checkTopic(userText, history) {
+  if (!GUARD_ENABLED || OFFTOPIC_MODE === "off") return { ok: true };
+
+  const topics = topicAllowlist();
+  const prevUser = [...(history || [])].reverse().find((t) => t.role === "user");
+  if (mentionsTopic(userText, topics) || (prevUser && mentionsTopic(prevUser.content, topics))) return { ok: true };
+
+  const hit = TASK_RULES.find(([, re]) => re.test(String(userText || "")));
+  if (!hit) return { ok: true };
+
+  const verdict = refusal("input", "off_topic", hit[0], userText);
+  if (OFFTOPIC_MODE === "log") return { ok: true, flagged: verdict };
+  return verdict;
+}
+
+// ---------- Output: leaks ----------
+
+const LEAK_RULES = [
+  ["prompt-term", /\b(my|the) (system|developer) (prompt|message|instructions)\b/i],
+  ["pack-term", /\b(prompt|core|product) packs?\b|\bcontext overlay\b|\bhard rules\b/i],
+];
+
+function normalizeLine(s) {
+  return String(s || "")
+    .toLowerCase()
+    .replace(/[*_`>#]/g, "")
+    .replace(/[“”„]/g, '"')
+    .replace(/[‘’]/g, "'")
+    .replace(/^\s*[-•]\s*/, "")
+    .replace(/\s+/g, " ")
+    .trim();
+}
+
+// Instruction lines address the model; fact lines ("Calculates RT60 using …") are its answers
+const DIRECTIVE_RE = /\b(must|never|do not|don't|always|avoid|only if|unless)\b/i;
+const QUOTED_RE = /["“][^"”]{8,}["”]/;
+
+// A long directive line the model has no reason to repeat word for word
+function instructionLine(line) {
+  const n = normalizeLine(line);
+  return n.length >= 60 && DIRECTIVE_RE.test(n) && !QUOTED_RE.test(line) ? n : null;
+}
+
+let _markerCache = { key: null, markers: null };
+
+// strong:   any one in a reply is a leak (prompt separators, hard-rule headers)
+// headings: pack headings; two or more as lines of their own is a dump of the pack outline
+// weak:     instruction lines; two or more verbatim is a dump
+function leakMarkers(packs, developerText) {
+  const hardRules = String(developerText || "").split("=== CORE PACK")[0];
+  const ruleText = [packs.core || "", packs.websiteOverlay || ""].join("\n");
+  const key = hardRules + "\u0000" + ruleText;
+  if (_markerCache.key === key) return _markerCache.markers;
+
+  const strong = new Set(["=== core pack", "=== product pack", "=== context overlay"]);
+  const headings = new Set();
+  const weak = new Set();
+
+  // Sections marked "(canonical wording)" are what the model is meant to say
+  let canonical = false;
+  for (const line of ruleText.split(/\r?\n/)) {
+    const heading = /^#{1,6}\s+(.+)$/.exec(line);
+    if (heading) {
+      headings.add(normalizeLine(heading[1]));
+      canonical = /canonical/i.test(heading[1]);
+    } else if (!canonical) {
+      const n = instructionLine(line);
+      if (n) weak.add(n);
+    }
+  }
+  for (const line of hardRules.split(/\r?\n/)) {
+    const n = normalizeLine(line);
+    if (/:$/.test(n) && n.length >= 12 && !/^- /.test(line.trim())) {
+      strong.add(n.slice(0, -1));
+    } else {
+      const w = instructionLine(line);
+      if (w) weak.add(w);
+    }
+  }
+
+  _markerCache = { key, markers: { strong: [...strong], headings: [...headings], weak: [...weak] } };
+  return _markerCache.markers;
+}
+
+function checkReply(reply, packs, developerText, userText) {
+  if (!GUARD_ENABLED) return { ok: true };
+
+  const text = String(reply || "");
+  for (const [rule, re] of LEAK_RULES) {
+    if (re.test(text)) return refusal("output", "leak", rule, userText);
+  }
+
+  const lines = text.split(/\r?\n/).map(normalizeLine);
+  const normalized = lines.join("\n");
+  const { strong, headings, weak } = leakMarkers(packs, developerText);
+
+  if (strong.some((m) => normalized.includes(m))) return refusal("output", "leak", "prompt-marker", userText);
+  const headingLines = new Set(lines.map((l) => l.replace(/:$/, "")).filter((l) => headings.includes(l)));
+  if (headingLines.size >= 2) return refusal("output", "leak", "pack-headings", userText);
+  if (weak.filter((m) => normalized.includes(m)).length >= 2) return refusal("output", "leak", "instruction-lines", userText);
+
+  return { ok: true };
+}
+
+module.exports = {
+  detectLanguage,
+  checkInput,
+  checkTopic,
+  checkReply,
+  topicAllowlist,
+};
@@ -6,138 +6,73 @@
 //   https://www.bimacoustics.net/lucius/packs/core.md
 //   https://www.bimacoustics.net/lucius/packs/system-designer.md
 //   https://www.bimacoustics.net/lucius/packs/website-overlay.md
-// - Caches in-memory (default 10 minutes; configurable via LUCIUS_PACK_TTL_MS)
-// - Falls back to local copies in /docs/lucius when fetch fails
-// - GET ?debug=1 lists visible local docs (existing behavior)
-// - POST with message starting "TEST LOGGING:" returns extra debug telemetry (pack load status)
+// - Caches in-memory (default 10 minutes; configurable via LUCIUS_PACK_TTL_MS); see packs.js,
+//   whose cache state /api/ping reports
+// - Packs carry front-matter versions checked against a minimum; a failed or rejected pack
+//   uses its last-known-good copy before falling back to local copies in /docs/lucius
+// - GET returns a public status (model, local docs found); the old ?debug=1 listing is gone —
+//   prompt, pack and cache details live behind /api/lucius-admin (LUCIUS_ADMIN_KEY)
+// - POST with message starting "TEST LOGGING:" plus the admin key (Authorization: Bearer or
+//   x-admin-key) returns extra debug telemetry (pack load status); without the key it is a normal message
+// - Multi-turn: accepts prior turns in body.messages (or recalls them per sessionId),
+//   trimmed to a turn/character budget before being sent to the model
+// - No streaming: the classic (function.json) host buffers context.res, so a Server-Sent Events
+//   body would still reach the browser in one piece. Replies are JSON until the app moves to a
+//   host with HTTP streams (Functions v4 programming model)
+// - Retrieval: packs + local docs are chunked by heading into a BM25 index whenever the
+//   pack cache refreshes; each request carries the rule packs plus the top-k product sections
+// - Citations: every section in the prompt is labelled [S1], [S2], …; labels the model cites
+//   are stripped from the reply and returned as `citations` (pack + heading + anchor)
+// - Abuse protection: per-IP and per-session token buckets, max message length and a daily
+//   spend cap (ratelimit.js); rejections are 429 + Retry-After (400 for oversize messages)
+// - FAQ fallback: when the model call fails (no key, upstream error), answer from the closest
+//   numbered Q&A in the local engineering-responses doc, marked `source: "faq-fallback"`
+// - Every reply carries a stable `messageId` (also in LUCIUS_TRANSCRIPT) so /api/lucius-feedback
+//   ratings can be joined to the answer they rate
+// - Consented transcripts go to a per-session store (../shared/transcripts.js) that visitors
+//   can export or delete through /api/lucius-transcript
+// - Guardrails (guard.js): injection attempts and general-assistant requests outside the
+//   topic allowlist get a polite refusal / redirect without a model call; replies that
+//   leak pack headings or instructions are replaced. Marked `source: "guard"`, logged as LUCIUS_GUARD
+// - Calculators (tools.js): speaker spacing, RT60 and critical distance are offered to the model
+//   as function tools, so numeric answers are computed (../shared/calc) rather than estimated
 //
 // Notes:
 // - Uses built-in https (no fetch dependency)
-// - Calls OpenAI Responses API
-
-const fs = require("fs");
-const path = require("path");
-const https = require("https");
-
-const OPENAI_API_KEY = process.env.OPENAI_API_KEY || process.env.OPENAI_KEY;
-const OPENAI_MODEL = process.env.OPENAI_MODEL || "gpt-4o-mini";
-const OPENAI_API_BASE = process.env.OPENAI_API_BASE || "https://api.openai.com";
-
-// Optional fallbacks (you already have these in Azure)
-const ENV_SYSTEM_PROMPT = process.env.LUCIUS_SYSTEM_PROMPT || "";
-const ENV_KB = process.env.LUCIUS_KB || "";
-
-// Prompt pack URLs (Option A: public but unlinked, hosted in website repo)
-const PACK_BASE =
-  (process.env.LUCIUS_PACK_BASE || "https://www.bimacoustics.net/lucius/packs").replace(/\/+$/, "");
-
-const PACK_URLS = {
-  core: process.env.LUCIUS_PACK_CORE_URL || `${PACK_BASE}/core.md`,
-  systemDesigner: process.env.LUCIUS_PACK_SYSTEM_DESIGNER_URL || `${PACK_BASE}/system-designer.md`,
-  websiteOverlay: process.env.LUCIUS_PACK_WEBSITE_OVERLAY_URL || `${PACK_BASE}/website-overlay.md`,
-};
-
-// Cache TTL (5–15 min recommended; default 10 min)
-const PACK_TTL_MS = Number(process.env.LUCIUS_PACK_TTL_MS || 10 * 60 * 1000);
+// - LLM calls go through providers.js (LUCIUS_LLM_PROVIDER: openai | azure | openai-compatible | fixture);
+//   the default is the OpenAI Responses API
+
+const crypto = require("crypto");
+const { checkKey } = require("../shared/auth");
+const { clientIp } = require("../shared/client");
+const { cleanReferrer, scrubText } = require("../shared/telemetry");
+const { getTranscriptStore, validSessionId } = require("../shared/transcripts");
+const { createRateLimiter } = require("./ratelimit");
+const faq = require("./faq");
+const guard = require("./guard");
+const promptPacks = require("./packs");
+const prompt = require("./prompt");
+const providers = require("./providers");
+const tools = require("./tools");
+
+// Conversation history budget (prior turns sent alongside the new message)
+const HISTORY_MAX_TURNS = Number(process.env.LUCIUS_HISTORY_MAX_TURNS || 12);
+const HISTORY_MAX_CHARS = Number(process.env.LUCIUS_HISTORY_MAX_CHARS || 12000);
+const HISTORY_MAX_MESSAGE_CHARS = Number(process.env.LUCIUS_HISTORY_MAX_MESSAGE_CHARS || 4000);
+const HISTORY_TTL_MS = Number(process.env.LUCIUS_HISTORY_TTL_MS || 30 * 60 * 1000);
+const HISTORY_MAX_SESSIONS = Number(process.env.LUCIUS_HISTORY_MAX_SESSIONS || 500);
+
+// FAQ fallback (set LUCIUS_FAQ_FALLBACK=0 to surface model errors instead)
+const FAQ_FALLBACK_ENABLED = String(process.env.LUCIUS_FAQ_FALLBACK || "1") !== "0";
+const FAQ_MIN_SCORE = Number(process.env.LUCIUS_FAQ_MIN_SCORE || 0.3);
 
 // Warm caches
-let _cachedLocalDocs = null;
-let _cachedLocalKey = null;
-
-let _packCache = {
-  expiresAt: 0,
-  data: null, // { core, systemDesigner, websiteOverlay, meta }
-};
-
-// ---------- Local docs helpers (existing) ----------
-
-function safeReadUtf8(filePath) {
-  try {
-    return fs.readFileSync(filePath, "utf8");
-  } catch {
-    return null;
-  }
-}
-
-function safeStat(filePath) {
-  try {
-    return fs.statSync(filePath);
-  } catch {
-    return null;
-  }
-}
-
-function listDir(dir) {
-  try {
-    return fs.readdirSync(dir);
-  } catch {
-    return null;
-  }
-}
-
-function listDirFullPaths(dir) {
-  const names = listDir(dir);
-  if (!names) return [];
-  return names.map((n) => path.join(dir, n));
-}
-
-function findDocByKeywords(docsDir, keywords) {
-  const files = listDirFullPaths(docsDir);
-  const mdFiles = files.filter((f) => f.toLowerCase().endsWith(".md"));
-
-  const hit = mdFiles.find((f) => {
-    const name = path.basename(f).toLowerCase();
-    return keywords.every((k) => name.includes(String(k).toLowerCase()));
-  });
-
-  return hit || null;
-}
-
-function loadLuciusDocs() {
-  // Confirmed deployed path pattern:
-  // __dirname = /home/site/wwwroot/lucius-web-chat
-  // docs live at /home/site/wwwroot/lucius-web-chat/docs/lucius
-  const docsDir = path.join(__dirname, "docs", "lucius");
-
-  // You previously used two internal docs. Keep them as local fallbacks.
-  const engineeringModelPath =
-    findDocByKeywords(docsDir, ["system", "designer", "engineering"]) ||
-    findDocByKeywords(docsDir, ["engineering", "model"]) ||
-    null;
-
-  const engineeringResponsesPath =
-    findDocByKeywords(docsDir, ["lucius", "engineering", "response"]) ||
-    findDocByKeywords(docsDir, ["engineering", "response"]) ||
-    null;
-
-  // Cache key based on file mtimes
-  const keyParts = [];
-  for (const p of [engineeringModelPath, engineeringResponsesPath]) {
-    if (!p) {
-      keyParts.push("missing");
-      continue;
-    }
-    const st = safeStat(p);
-    keyParts.push(st ? `${p}:${st.mtimeMs}` : `${p}:unstat`);
-  }
-  const key = keyParts.join("|");
-
-  if (_cachedLocalDocs && _cachedLocalKey === key) return _cachedLocalDocs;
+// Parsed FAQ entries, reparsed only when the local docs change
+let _faqCache = { source: null, entries: [] };
 
-  const engineeringModel = engineeringModelPath ? safeReadUtf8(engineeringModelPath) : null;
-  const engineeringResponses = engineeringResponsesPath ? safeReadUtf8(engineeringResponsesPath) : null;
-
-  _cachedLocalDocs = {
-    docsDir,
-    engineeringModelPath,
-    engineeringResponsesPath,
-    engineeringModel,
-    engineeringResponses,
-  };
-  _cachedLocalKey = key;
-
-  return _cachedLocalDocs;
-}
+// sessionId -> { expiresAt, turns: [{ role, content }] }
+// Used when the client sends only the latest message (best-effort; per instance).
+const _sessionHistory = new Map();
 
 // ---------- Request parsing ----------
 
@@ -163,295 +98,207 @@ function parseUserMessage(req) {
   return "";
 }
 
-// ---------- HTTPS helpers ----------
-
-function httpsRequest(urlString, method, headers, bodyString) {
-  return new Promise((resolve, reject) => {
-    const u = new URL(urlString);
+function normalizeRole(role) {
+  const r = String(role || "").toLowerCase();
+  if (r === "user" || r === "human") return "user";
+  if (r === "assistant" || r === "bot" || r === "lucius" || r === "ai") return "assistant";
+  return null; // system/developer/unknown roles are never accepted from the client
+}
 
-    const options = {
-      protocol: u.protocol,
-      hostname: u.hostname,
-      port: u.port || (u.protocol === "https:" ? 443 : 80),
-      path: u.pathname + (u.search || ""),
-      method,
-      headers,
-    };
+// Prior turns from body.messages, oldest first, excluding the message being answered.
+// Only user/assistant text turns survive; everything else is dropped silently.
+function parseHistory(req, userText) {
+  const body = req.body || {};
+  if (!Array.isArray(body.messages)) return null;
+
+  const turns = [];
+  for (const m of body.messages) {
+    if (!m || typeof m !== "object") continue;
+    const role = normalizeRole(m.role);
+    const content = m.content ?? m.text ?? m.message;
+    if (!role || typeof content !== "string" || !content.trim()) continue;
+    turns.push({ role, content: content.trim().slice(0, HISTORY_MAX_MESSAGE_CHARS) });
+  }
 
-    const r = https.request(options, (res) => {
-      let data = "";
-      res.setEncoding("utf8");
-      res.on("data", (chunk) => (data += chunk));
-      res.on("end", () => {
-        resolve({
-          ok: res.statusCode >= 200 && res.statusCode < 300,
-          status: res.statusCode,
-          headers: res.headers || {},
-          raw: data,
-        });
-      });
-    });
+  // The newest user turn is the message itself; don't send it twice.
+  const last = turns[turns.length - 1];
+  if (last && last.role === "user" && last.content === userText.slice(0, HISTORY_MAX_MESSAGE_CHARS)) turns.pop();
 
-    r.on("error", reject);
-    if (bodyString) r.write(bodyString);
-    r.end();
-  });
+  return turns;
 }
 
-async function httpsTextGet(url, extraHeaders = {}) {
-  const resp = await httpsRequest(url, "GET", { "User-Agent": "lucius-web-chat/1.0", ...extraHeaders }, null);
-  if (!resp.ok) {
-    const err = new Error(`HTTP GET failed (${resp.status}) for ${url}`);
-    err.status = resp.status;
-    throw err;
+// Keep the newest turns that fit both the turn and character budgets.
+// Always starts on a user turn so the model never sees an orphaned reply.
+function trimHistory(turns) {
+  const kept = [];
+  let chars = 0;
+
+  for (let i = turns.length - 1; i >= 0; i--) {
+    const t = turns[i];
+    if (kept.length >= HISTORY_MAX_TURNS) break;
+    if (chars + t.content.length > HISTORY_MAX_CHARS) break;
+    kept.unshift(t);
+    chars += t.content.length;
   }
-  return { text: resp.raw || "", headers: resp.headers || {} };
-}
 
-function nowMs() {
-  return Date.now();
+  while (kept.length && kept[0].role !== "user") kept.shift();
+  return kept;
 }
 
-// ---------- Prompt pack loading (HTTPS + TTL cache + local fallback) ----------
+// ---------- Server-side session history (fallback when the client sends no messages) ----------
 
-async function loadPromptPacksWithCache(context, localDocs) {
-  // Serve cached packs if valid
-  if (_packCache.data && _packCache.expiresAt > nowMs()) {
-    return { ..._packCache.data, meta: { ..._packCache.data.meta, cache: "hit" } };
+function getSessionHistory(sessionId) {
+  if (!sessionId) return [];
+  const entry = _sessionHistory.get(sessionId);
+  if (!entry) return [];
+  if (entry.expiresAt <= nowMs()) {
+    _sessionHistory.delete(sessionId);
+    return [];
   }
+  return entry.turns.slice();
+}
 
-  const startedAt = new Date().toISOString();
-  const meta = {
-    startedAt,
-    cache: "miss",
-    ttlMs: PACK_TTL_MS,
-    urls: { ...PACK_URLS },
-    fetched: {
-      core: { ok: false, bytes: 0, etag: null, lastModified: null, source: null, error: null },
-      systemDesigner: { ok: false, bytes: 0, etag: null, lastModified: null, source: null, error: null },
-      websiteOverlay: { ok: false, bytes: 0, etag: null, lastModified: null, source: null, error: null },
-    },
-  };
-
-  // Local fallbacks (your existing docs)
-  const localFallbackCore = localDocs.engineeringResponses || ENV_SYSTEM_PROMPT || "";
-  const localFallbackSystemDesigner = localDocs.engineeringModel || ENV_KB || "";
-  const localFallbackOverlay = ""; // If you have a local overlay file later, wire it here.
-
-  let coreText = "";
-  let systemDesignerText = "";
-  let websiteOverlayText = "";
+function saveSessionHistory(sessionId, turns) {
+  if (!sessionId) return;
 
-  // Try remote fetch for each pack. If any fail, fall back per-pack.
-  async function fetchOrFallback(packKey, url, localFallback, metaKey) {
-    try {
-      const { text, headers } = await httpsTextGet(url);
-      const t = (text || "").trim();
-      meta.fetched[metaKey].ok = !!t;
-      meta.fetched[metaKey].bytes = Buffer.byteLength(text || "", "utf8");
-      meta.fetched[metaKey].etag = headers.etag || null;
-      meta.fetched[metaKey].lastModified = headers["last-modified"] || null;
-      meta.fetched[metaKey].source = meta.fetched[metaKey].ok ? "https" : "fallback-empty";
-      return meta.fetched[metaKey].ok ? t : (localFallback || "").trim();
-    } catch (e) {
-      meta.fetched[metaKey].ok = false;
-      meta.fetched[metaKey].bytes = 0;
-      meta.fetched[metaKey].etag = null;
-      meta.fetched[metaKey].lastModified = null;
-      meta.fetched[metaKey].source = "local-fallback";
-      meta.fetched[metaKey].error = (e && e.message) ? String(e.message) : "fetch failed";
-      // Best-effort log (won’t break)
-      try {
-        context.log.warn(`Lucius pack fetch failed for ${packKey}: ${meta.fetched[metaKey].error}`);
-      } catch {}
-      return (localFallback || "").trim();
-    }
+  // Map preserves insertion order: re-insert on write, evict the oldest when full.
+  _sessionHistory.delete(sessionId);
+  while (_sessionHistory.size >= HISTORY_MAX_SESSIONS) {
+    _sessionHistory.delete(_sessionHistory.keys().next().value);
   }
-
-  coreText = await fetchOrFallback("core", PACK_URLS.core, localFallbackCore, "core");
-  systemDesignerText = await fetchOrFallback(
-    "systemDesigner",
-    PACK_URLS.systemDesigner,
-    localFallbackSystemDesigner,
-    "systemDesigner"
-  );
-  websiteOverlayText = await fetchOrFallback(
-    "websiteOverlay",
-    PACK_URLS.websiteOverlay,
-    localFallbackOverlay,
-    "websiteOverlay"
-  );
-
-  // If core is still empty, ensure we always have *something*
-  if (!coreText) coreText = (ENV_SYSTEM_PROMPT || "").trim();
-
-  const data = {
-    core: coreText,
-    systemDesigner: systemDesignerText,
-    websiteOverlay: websiteOverlayText,
-    meta,
-  };
-
-  // Save to cache
-  _packCache = {
-    expiresAt: nowMs() + PACK_TTL_MS,
-    data,
-  };
-
-  return data;
-}
-
-// ---------- Prompt assembly ----------
-
-function buildDeveloperInstructionsFromPacks(packs) {
-  // Keep your hard rules, then layer packs beneath.
-  const hardRules = [
-    "You are Lucius, the technically credible engineering explainer for the BIM Acoustics website.",
-    "",
-    "Hard facts you MUST state correctly:",
-    "- Company: BIM Acoustics (J. Stevens BIM Acoustics)",
-    "- Founder: Jerrold Stevens",
-    '- Canonical product name: "BIM Acoustics AV Tools Suite — AV Systems System Designer"',
-    '  After first use, you may shorten to "System Designer" or "AV Tools".',
-    "",
-    "Identity handling (MUST follow exactly):",
-    '- If the user says: "This is Jerrold"',
-    '  Reply with: "If you’re Jerrold Stevens (founder of BIM Acoustics), welcome back — how can I help?"',
-    "",
-    "Tone rules:",
-    "- Professional, informative, confident.",
-    "- Do NOT be evasive.",
-    "- Do NOT be salesy. Do not push early access unless the user asks how to buy/try/get access.",
-    "",
-    "Technical truth rules:",
-    "- Be transparent about assumptions and limits.",
-    "- The product is NOT a full acoustic simulation tool (no ray tracing, room modes, or diffraction).",
-    "- It DOES calculate RT60 (Sabine/Eyring/Arau-Puchades), STI, direct-field SPL coverage, and critical distance.",
-    "- Three tiers: Free (layout+coverage), Standard (adds room acoustics/RT60/STI/materials), Pro (adds circuiting+zones, amps/cabling, interference detection, Lucius AI with live model tools).",
-    "- Roadmap items are not features; never imply they exist today.",
-    "",
-    "Answer behavior:",
-    "- When asked “what formula,” provide canonical forms if available; symbolic form is OK.",
-    "- Keep answers concise: 1–6 short paragraphs; bullets are fine.",
-  ].join("\n");
-
-  // Layered prompt packs (v1)
-  const core = packs.core || "";
-  const systemDesigner = packs.systemDesigner || "";
-  const overlay = packs.websiteOverlay || "";
-
-  return [
-    hardRules,
-    "",
-    "=== CORE PACK (global) ===",
-    core ? core : "(core pack missing)",
-    "",
-    "=== PRODUCT PACK: AVToolsSystemDesigner ===",
-    systemDesigner ? systemDesigner : "(system-designer pack missing)",
-    "",
-    "=== CONTEXT OVERLAY: Website ===",
-    overlay ? overlay : "(website overlay pack missing)",
-  ].join("\n");
+  _sessionHistory.set(sessionId, { expiresAt: nowMs() + HISTORY_TTL_MS, turns: trimHistory(turns) });
 }
 
-// ---------- OpenAI Responses API ----------
+// ---------- Helpers ----------
 
-function extractOutputText(data) {
-  if (!data) return null;
+function nowMs() {
+  return Date.now();
+}
 
-  if (typeof data.output_text === "string" && data.output_text.trim()) {
-    return data.output_text.trim();
-  }
+// ---------- LLM provider ----------
 
-  if (Array.isArray(data.output)) {
-    for (const item of data.output) {
-      if (item && item.type === "message" && Array.isArray(item.content)) {
-        const parts = [];
-        for (const c of item.content) {
-          if (!c) continue;
-          if ((c.type === "output_text" || c.type === "text") && typeof c.text === "string") parts.push(c.text);
-        }
-        if (parts.length) return parts.join("\n").trim();
-      }
-    }
-  }
+// One provider per instance (providers.js); /api/lucius-admin can switch it at runtime.
+const getProvider = providers.getProvider;
 
+// For status payloads: never throws on a misconfigured provider name.
+function providerModel() {
   try {
-    if (Array.isArray(data.output) && data.output[0] && Array.isArray(data.output[0].content)) {
-      const parts = data.output[0].content
-        .map((c) => (typeof c === "string" ? c : (c && typeof c.text === "string" ? c.text : "")))
-        .filter(Boolean);
-      if (parts.length) return parts.join("\n").trim();
-    }
+    return getProvider().model;
   } catch {
-    // ignore
+    return null;
   }
-
-  return null;
 }
 
-async function callOpenAI(developerText, userText) {
-  if (!OPENAI_API_KEY) {
-    const e = new Error("Missing OPENAI_API_KEY environment variable.");
-    e.code = "NO_API_KEY";
-    throw e;
-  }
+// ---------- FAQ fallback ----------
+
+function faqEntries(localDocs) {
+  const text = localDocs.engineeringResponses || "";
+  if (_faqCache.source !== text) _faqCache = { source: text, entries: faq.parseFaq(text) };
+  return _faqCache.entries;
+}
 
-  const base = String(OPENAI_API_BASE).replace(/\/+$/, "");
-  const url = base + "/v1/responses";
+// { reply, citations, faq } for the closest curated answer, or null when nothing is close enough.
+function faqFallback(localDocs, userText) {
+  if (!FAQ_FALLBACK_ENABLED) return null;
+  const hit = faq.matchFaq(faqEntries(localDocs), userText, FAQ_MIN_SCORE);
+  if (!hit) return null;
 
-  const payload = {
-    model: OPENAI_MODEL,
-    input: [
-      { role: "developer", content: developerText },
-      { role: "user", content: userText },
-    ],
+  return {
+    reply: hit.entry.answer,
+    citations: [{ pack: "core", heading: hit.entry.question, anchor: hit.entry.anchor, source: "local-doc" }],
+    faq: { id: hit.entry.id, question: hit.entry.question, score: Number(hit.score.toFixed(3)) },
   };
+}
 
-  const resp = await httpsRequest(
-    url,
-    "POST",
-    {
-      Authorization: "Bearer " + OPENAI_API_KEY,
-      "Content-Type": "application/json",
-    },
-    JSON.stringify(payload)
-  );
-
-  let json = null;
-  try {
-    json = resp.raw ? JSON.parse(resp.raw) : {};
-  } catch {
-    json = null;
-  }
+// ---------- Rate limiting ----------
 
-  if (!resp.ok) {
-    const msg =
-      (json && json.error && json.error.message) ||
-      ("OpenAI API error (" + resp.status + ")");
-    const err = new Error(msg);
-    err.status = resp.status;
-    err.details = json || resp.raw;
-    throw err;
-  }
+let _rateLimiter = null;
+
+function getRateLimiter() {
+  if (!_rateLimiter) _rateLimiter = createRateLimiter();
+  return _rateLimiter;
+}
+
+// ---------- Guardrails ----------
 
-  const text = extractOutputText(json);
-  if (text) return text;
+// Metadata only: the blocked text itself is never logged
+function logGuardEvent(context, verdict, userText) {
+  try {
+    context.log(
+      "LUCIUS_GUARD " +
+        JSON.stringify({
+          ts: new Date().toISOString(),
+          stage: verdict.stage,
+          code: verdict.code,
+          rule: verdict.rule,
+          blocked: !verdict.flagged,
+          chars: userText.length,
+        })
+    );
+  } catch {}
+}
 
-  throw new Error("OpenAI response received but no output text was found to display.");
+// A refusal in the same shape as a normal answer, so the widget renders it as one
+function guardResponse(corsHeaders, verdict) {
+  const body = {
+    ok: true,
+    reply: verdict.reply,
+    citations: [],
+    messageId: crypto.randomUUID(),
+    source: "guard",
+    guard: { code: verdict.code },
+  };
+  return { status: 200, headers: { ...corsHeaders, "Content-Type": "application/json" }, body };
 }
 
 // ✅ Safe transcript logging: never breaks chat
-function logTranscriptEvent(context, payload) {
+// Text is scrubbed of emails / phone numbers and the page loses its query string
+// (../shared/telemetry.js) before anything is written. With a durable transcript store
+// (../shared/transcripts.js) the text lives there — where the visitor can export or delete
+// it via /api/lucius-transcript — and the trace only carries metadata; otherwise (log, or
+// the per-instance memory store) the trace keeps the text too.
+async function logTranscriptEvent(context, payload) {
   try {
     const safePayload = {
       ts: payload.ts,
       sessionId: payload.sessionId,
-      page: payload.page,
+      messageId: payload.messageId,
+      page: cleanReferrer(payload.page),
       model: payload.model,
-      user: typeof payload.user === "string" ? payload.user.slice(0, 2000) : null,
-      lucius: typeof payload.lucius === "string" ? payload.lucius.slice(0, 4000) : null,
+      user: typeof payload.user === "string" ? scrubText(payload.user.slice(0, 2000)) : null,
+      lucius: typeof payload.lucius === "string" ? scrubText(payload.lucius.slice(0, 4000)) : null,
     };
+
+    // A store failure (or misconfiguration) falls back to the trace below
+    let stored = null;
+    if (validSessionId(payload.sessionId)) {
+      try {
+        const store = getTranscriptStore();
+        if (store.queryable) {
+          const { sessionId, ...entry } = safePayload;
+          await store.append(sessionId, { type: "exchange", ...entry }, { log: (m) => context.log.warn(m) });
+          if (store.durable) stored = store.kind;
+        }
+      } catch (e) {
+        context.log.warn("Lucius transcript store failed:", e && e.message);
+      }
+    }
+
+    if (stored) {
+      context.log(
+        "LUCIUS_TRANSCRIPT " +
+          JSON.stringify({
+            ts: safePayload.ts,
+            messageId: safePayload.messageId,
+            model: safePayload.model,
+            stored,
+            userChars: safePayload.user ? safePayload.user.length : 0,
+            luciusChars: safePayload.lucius ? safePayload.lucius.length : 0,
+          })
+      );
+      return;
+    }
+
     context.log("LUCIUS_TRANSCRIPT " + JSON.stringify(safePayload));
   } catch (e) {
     try {
@@ -464,7 +311,7 @@ module.exports = async function (context, req) {
   const corsHeaders = {
     "Access-Control-Allow-Origin": "*",
     "Access-Control-Allow-Methods": "POST, OPTIONS, GET",
-    "Access-Control-Allow-Headers": "Content-Type, Authorization",
+    "Access-Control-Allow-Headers": "Content-Type, Authorization, Accept",
   };
 
   if (req.method === "OPTIONS") {
@@ -472,42 +319,9 @@ module.exports = async function (context, req) {
     return;
   }
 
-  // Debug endpoint (existing)
+  // Public status only; configuration and pack details are behind /api/lucius-admin
   if (req.method === "GET") {
-    const docs = loadLuciusDocs();
-    const debug = String((req.query && req.query.debug) || "").trim() === "1";
-
-    if (debug) {
-      const docsDirExists = !!safeStat(docs.docsDir);
-      const docsDirListing = listDir(docs.docsDir);
-
-      context.res = {
-        status: 200,
-        headers: corsHeaders,
-        body: {
-          ok: true,
-          service: "lucius-web-chat",
-          model: OPENAI_MODEL,
-          __dirname,
-          docsDir: docs.docsDir,
-          docsDirExists,
-          docsDirListing,
-          docsFound: {
-            engineeringModel: !!docs.engineeringModel,
-            engineeringResponses: !!docs.engineeringResponses,
-          },
-          docPaths: {
-            engineeringModelPath: docs.engineeringModelPath ? path.basename(docs.engineeringModelPath) : null,
-            engineeringResponsesPath: docs.engineeringResponsesPath ? path.basename(docs.engineeringResponsesPath) : null,
-          },
-          packConfig: {
-            PACK_TTL_MS,
-            PACK_URLS,
-          },
-        },
-      };
-      return;
-    }
+    const docs = prompt.loadLuciusDocs();
 
     context.res = {
       status: 200,
@@ -515,7 +329,7 @@ module.exports = async function (context, req) {
       body: {
         ok: true,
         service: "lucius-web-chat",
-        model: OPENAI_MODEL,
+        model: providerModel(),
         docsFound: {
           engineeringModel: !!docs.engineeringModel,
           engineeringResponses: !!docs.engineeringResponses,
@@ -536,25 +350,134 @@ module.exports = async function (context, req) {
       return;
     }
 
-    // Debug trigger: message starts with "TEST LOGGING:"
-    const isDebugPost = typeof userText === "string" && userText.startsWith("TEST LOGGING:");
+    const sessionId = req.body && req.body.sessionId ? String(req.body.sessionId).slice(0, 200) : null;
+
+    // Abuse protection before any pack loading or model spend
+    const limiter = getRateLimiter();
+    const gate = await limiter.check({ ip: clientIp(req), sessionId, messageChars: userText.length, log: (m) => context.log.warn(m) });
+    if (!gate.allowed) {
+      context.res = {
+        status: gate.status,
+        headers: {
+          ...corsHeaders,
+          "Content-Type": "application/json",
+          ...(gate.retryAfterSec ? { "Retry-After": String(gate.retryAfterSec) } : {}),
+        },
+        body: { ok: false, error: gate.message, code: gate.code, retryAfter: gate.retryAfterSec || null },
+      };
+      return;
+    }
+
+    // Injection attempts never reach the model (or the pack loader)
+    const inputVerdict = guard.checkInput(userText);
+    if (!inputVerdict.ok) {
+      logGuardEvent(context, inputVerdict, userText);
+      context.res = guardResponse(corsHeaders, inputVerdict);
+      return;
+    }
+
+    // Debug trigger: message starts with "TEST LOGGING:" and carries the admin key
+    const isDebugPost =
+      typeof userText === "string" &&
+      userText.startsWith("TEST LOGGING:") &&
+      checkKey(req, process.env.LUCIUS_ADMIN_KEY).ok;
 
     // Load local docs (fallbacks) + remote prompt packs (preferred)
-    const localDocs = loadLuciusDocs();
-    const packs = await loadPromptPacksWithCache(context, localDocs);
+    const localDocs = prompt.loadLuciusDocs();
+    const packs = await prompt.loadPromptPacksWithCache(context, localDocs);
+
+    // Conversation history: client-supplied turns win; otherwise recall by sessionId
+    const clientHistory = parseHistory(req, userText);
+    const history = trimHistory(clientHistory || getSessionHistory(sessionId));
+
+    // Off-topic: judged against the guard's topic allowlist and the conversation so far
+    const topicVerdict = guard.checkTopic(userText, history);
+    if (topicVerdict.flagged) logGuardEvent(context, { ...topicVerdict.flagged, flagged: true }, userText);
+    if (!topicVerdict.ok) {
+      logGuardEvent(context, topicVerdict, userText);
+      context.res = guardResponse(corsHeaders, topicVerdict);
+      return;
+    }
+
+    const { sections, sources, developerText } = prompt.assemblePrompt(packs, userText, history);
+
+    const toolbox = tools.TOOLS_ENABLED ? tools.createToolbox() : null;
+    const usage = { requests: 0, promptChars: 0 };
+    const conversation = { developerText, history, userText, tools: toolbox, usage };
+    let provider = null;
+    let rawReply = null;
+    let fallback = null;
+
+    try {
+      provider = getProvider();
+      rawReply = await provider.complete(conversation);
+    } catch (err) {
+      // Model unavailable: answer from the curated FAQ if one is close enough, else surface the error
+      fallback = faqFallback(localDocs, userText);
+      if (!fallback) throw err;
+
+      context.log.warn(`Lucius model unavailable (${err.code || err.status || err.message}); answered from FAQ ${fallback.faq.id}`);
+    }
+
+    let reply = null;
+    let citations = [];
+    let leak = null;
+    if (fallback) {
+      reply = fallback.reply;
+      citations = fallback.citations;
+    } else {
+      ({ text: reply, citations } = prompt.extractCitations(rawReply, sources));
+
+      // Providers that send nothing upstream (fixtures) count as one round of the prompt
+      await limiter.recordUsage({
+        promptChars: usage.requests
+          ? usage.promptChars
+          : developerText.length + userText.length + history.reduce((n, t) => n + t.content.length, 0),
+        replyChars: rawReply.length,
+        log: (m) => context.log.warn(m),
+      });
+
+      // Leaked pack headings / instructions: swap the whole answer
+      const replyVerdict = guard.checkReply(reply, packs, developerText, userText);
+      if (!replyVerdict.ok) {
+        leak = replyVerdict;
+        logGuardEvent(context, leak, userText);
+        reply = leak.reply;
+        citations = [];
+      }
+    }
 
-    const developerText = buildDeveloperInstructionsFromPacks(packs);
-    const reply = await callOpenAI(developerText, userText);
+    saveSessionHistory(sessionId, [
+      ...history,
+      { role: "user", content: userText.slice(0, HISTORY_MAX_MESSAGE_CHARS) },
+      { role: "assistant", content: reply.slice(0, HISTORY_MAX_MESSAGE_CHARS) },
+    ]);
 
     // Fast response
-    const body = { ok: true, reply };
+    const messageId = crypto.randomUUID();
+    const body = { ok: true, reply, citations, messageId };
+    if (fallback) {
+      body.source = "faq-fallback";
+      body.faq = fallback.faq;
+    }
+    if (leak) {
+      body.source = "guard";
+      body.guard = { code: leak.code };
+    }
 
     // Attach pack telemetry only when explicitly debugging
     if (isDebugPost) {
       body.debug = {
-        model: OPENAI_MODEL,
+        provider: provider ? provider.name : null,
+        model: provider ? provider.model : null,
         pack: packs.meta,
-        cacheExpiresAt: _packCache.expiresAt ? new Date(_packCache.expiresAt).toISOString() : null,
+        packVersions: packs.meta.versions,
+        historyTurns: history.length,
+        historySource: clientHistory ? "client" : "session",
+        retrieved: sections ? sections.map((r) => ({ id: r.chunk.id, score: Number(r.score.toFixed(3)) })) : null,
+        promptChars: developerText.length,
+        toolCalls: toolbox ? toolbox.calls : null,
+        cacheExpiresAt: promptPacks.packCacheStatus().expiresAt,
       };
     }
 
@@ -566,16 +489,16 @@ module.exports = async function (context, req) {
 
     // Transcript logging (best-effort; never throws)
     const consentToLog = !!(req.body && req.body.consentToLog);
-    const sessionId = req.body && req.body.sessionId ? String(req.body.sessionId) : null;
 
     if (consentToLog && reply) {
-      logTranscriptEvent(context, {
+      await logTranscriptEvent(context, {
         ts: new Date().toISOString(),
         sessionId,
+        messageId,
         page: req.headers ? (req.headers.referer || req.headers.referrer || null) : null,
         user: userText,
         lucius: reply,
-        model: OPENAI_MODEL,
+        model: fallback ? "faq-fallback" : provider.model,
       });
     }
   } catch (err) {
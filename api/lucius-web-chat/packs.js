@@ -0,0 +1,432 @@
+// /api/lucius-web-chat/packs.js
+// Lucius prompt packs: where they live, the per-instance TTL cache, and the local
+// engineering docs used as per-pack fallbacks.
+//
+// - loadPacks() serves the cache or refreshes all packs in parallel over HTTPS, revalidating
+//   with If-None-Match / If-Modified-Since (304 keeps the copy already held)
+// - Each pack starts with front matter (pack, version, updated); a pack that is empty, not
+//   Markdown, the wrong pack or below MIN_PACK_VERSIONS is rejected like a failed fetch
+// - Rejected or failed packs use the last-known-good copy (memory, then LKG_DIR on disk),
+//   and only then the local engineering doc
+// - packCacheStatus() / probePacks() feed /api/ping without exposing pack text
+// - invalidatePackCache() / setPackBase() back /api/lucius-admin's refresh and base switch
+//
+// All functions in the app share one Node worker, so /api/ping sees the same cache the
+// chat handler fills on that instance.
+
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { httpsRequest, withTimeout } = require("../shared/http");
+const { parseVersion, compareVersions } = require("../shared/releases");
+
+// Prompt pack URLs (Option A: public but unlinked, hosted in website repo)
+const PACK_BASE =
+  (process.env.LUCIUS_PACK_BASE || "https://www.bimacoustics.net/lucius/packs").replace(/\/+$/, "");
+
+// base: a runtime override from /api/lucius-admin (all three packs under it), or null for app settings
+function packUrlsFor(base) {
+  if (base) {
+    return {
+      core: `${base}/core.md`,
+      systemDesigner: `${base}/system-designer.md`,
+      websiteOverlay: `${base}/website-overlay.md`,
+    };
+  }
+  return {
+    core: process.env.LUCIUS_PACK_CORE_URL || `${PACK_BASE}/core.md`,
+    systemDesigner: process.env.LUCIUS_PACK_SYSTEM_DESIGNER_URL || `${PACK_BASE}/system-designer.md`,
+    websiteOverlay: process.env.LUCIUS_PACK_WEBSITE_OVERLAY_URL || `${PACK_BASE}/website-overlay.md`,
+  };
+}
+
+// Updated in place by setPackBase(), so holders of this object see the switch
+const PACK_URLS = packUrlsFor(null);
+
+const PACK_KEYS = Object.keys(PACK_URLS);
+
+// Front-matter "pack:" names
+const PACK_NAMES = { core: "core", systemDesigner: "system-designer", websiteOverlay: "website-overlay" };
+
+// Oldest front-matter version this handler accepts; raise it when the prompt starts
+// relying on newer pack content. Per-pack override: LUCIUS_PACK_MIN_VERSION_<CORE|SYSTEM_DESIGNER|WEBSITE_OVERLAY>
+const MIN_PACK_VERSIONS = {
+  core: process.env.LUCIUS_PACK_MIN_VERSION_CORE || "1.0.0",
+  systemDesigner: process.env.LUCIUS_PACK_MIN_VERSION_SYSTEM_DESIGNER || "1.0.0",
+  websiteOverlay: process.env.LUCIUS_PACK_MIN_VERSION_WEBSITE_OVERLAY || "1.0.0",
+};
+
+// Cache TTL (5–15 min recommended; default 10 min)
+const PACK_TTL_MS = Number(process.env.LUCIUS_PACK_TTL_MS || 10 * 60 * 1000);
+const PACK_FETCH_TIMEOUT_MS = Number(process.env.LUCIUS_PACK_FETCH_TIMEOUT_MS || 8000);
+
+// Last-known-good copies (one JSON file per pack) so a restart during a pack outage still
+// serves real packs. The default temp dir is per instance; point LUCIUS_PACK_LKG_DIR at
+// persistent storage (e.g. /home/data/lucius-packs) to share copies across restarts.
+const LKG_DIR = process.env.LUCIUS_PACK_LKG_DIR || path.join(os.tmpdir(), "lucius-packs");
+
+// Deployed: /home/site/wwwroot/lucius-web-chat/docs/lucius
+const LOCAL_DOCS_DIR = path.join(__dirname, "docs", "lucius");
+
+let _packBaseOverride = null;
+
+let _packCache = {
+  loadedAt: 0,
+  expiresAt: 0,
+  data: null, // { core, systemDesigner, websiteOverlay, index, meta }
+};
+
+// ---------- Local fallback docs ----------
+
+function findDocByKeywords(docsDir, keywords) {
+  let names;
+  try {
+    names = fs.readdirSync(docsDir);
+  } catch {
+    return null;
+  }
+
+  const hit = names
+    .filter((n) => n.toLowerCase().endsWith(".md"))
+    .find((n) => keywords.every((k) => n.toLowerCase().includes(String(k).toLowerCase())));
+
+  return hit ? path.join(docsDir, hit) : null;
+}
+
+// -> { docsDir, engineeringModelPath, engineeringResponsesPath } (paths null when missing)
+function findLocalDocs(docsDir = LOCAL_DOCS_DIR) {
+  return {
+    docsDir,
+    // Stands in for the system-designer pack
+    engineeringModelPath:
+      findDocByKeywords(docsDir, ["system", "designer", "engineering"]) ||
+      findDocByKeywords(docsDir, ["engineering", "model"]) ||
+      null,
+    // Stands in for the core pack
+    engineeringResponsesPath:
+      findDocByKeywords(docsDir, ["lucius", "engineering", "response"]) ||
+      findDocByKeywords(docsDir, ["engineering", "response"]) ||
+      null,
+  };
+}
+
+// ---------- Pack validation ----------
+
+// "---\npack: core\nversion: 1.2.0\n---\n# Title …" -> { attrs: { pack, version, … }, body }
+function parseFrontMatter(text) {
+  const raw = String(text || "");
+  const m = /^\uFEFF?---[ \t]*\r?\n([\s\S]*?)\r?\n---[ \t]*(?:\r?\n|$)/.exec(raw);
+  if (!m) return { attrs: {}, body: raw };
+
+  const attrs = {};
+  for (const line of m[1].split(/\r?\n/)) {
+    const kv = /^\s*([A-Za-z][\w-]*)\s*:\s*(.*?)\s*$/.exec(line);
+    if (kv) attrs[kv[1].toLowerCase()] = kv[2].replace(/^(["'])(.*)\1$/, "$2");
+  }
+  return { attrs, body: raw.slice(m[0].length) };
+}
+
+// A fetched (or saved) pack is only used when it is Markdown, names the right pack,
+// and carries a version at or above the minimum this handler was written against.
+// -> { ok, version, updated, body, error }
+function validatePack(packKey, text) {
+  const { attrs, body } = parseFrontMatter(text);
+  const version = attrs.version || null;
+  const updated = attrs.updated || null;
+  const reject = (error) => ({ ok: false, version, updated, body: "", error });
+
+  const trimmed = body.trim();
+  if (!trimmed) return reject("empty pack");
+  if (/^<(!doctype|html|head|body)\b/i.test(trimmed)) return reject("not Markdown (HTML response)");
+  if (!/^#{1,6}\s+\S/m.test(trimmed)) return reject("no Markdown headings");
+  if (attrs.pack && attrs.pack !== PACK_NAMES[packKey]) return reject(`front matter names pack "${attrs.pack}"`);
+  if (!version || !parseVersion(version)) return reject("missing front-matter version");
+  if (compareVersions(version, MIN_PACK_VERSIONS[packKey]) < 0) {
+    return reject(`version ${version} is below the minimum ${MIN_PACK_VERSIONS[packKey]}`);
+  }
+
+  return { ok: true, version, updated, body: trimmed, error: null };
+}
+
+// ---------- Last-known-good copies ----------
+
+// packKey -> { text, version, updated, etag, lastModified, savedAt }
+const _goodCopies = {};
+
+function lkgPath(packKey) {
+  return path.join(LKG_DIR, `${packKey}.json`);
+}
+
+// Memory first, then the copy persisted by an earlier process; re-validated so a raised
+// minimum version retires old copies.
+function lastKnownGood(packKey) {
+  if (_goodCopies[packKey]) return _goodCopies[packKey];
+
+  try {
+    const saved = JSON.parse(fs.readFileSync(lkgPath(packKey), "utf8"));
+    const check = validatePack(packKey, saved && saved.raw);
+    if (!check.ok) return null;
+    _goodCopies[packKey] = {
+      url: saved.url || null,
+      text: check.body,
+      version: check.version,
+      updated: check.updated,
+      etag: saved.etag || null,
+      lastModified: saved.lastModified || null,
+      savedAt: saved.savedAt || null,
+    };
+    return _goodCopies[packKey];
+  } catch {
+    return null;
+  }
+}
+
+function saveLastKnownGood(context, packKey, raw, check, headers) {
+  const copy = {
+    url: PACK_URLS[packKey],
+    text: check.body,
+    version: check.version,
+    updated: check.updated,
+    etag: headers.etag || null,
+    lastModified: headers["last-modified"] || null,
+    savedAt: new Date().toISOString(),
+  };
+  _goodCopies[packKey] = copy;
+
+  // Best-effort: a read-only or full disk just means no copy survives a restart
+  try {
+    fs.mkdirSync(LKG_DIR, { recursive: true });
+    const file = lkgPath(packKey);
+    const { text, ...fields } = copy;
+    const record = { pack: PACK_NAMES[packKey], ...fields, raw };
+    fs.writeFileSync(file + ".tmp", JSON.stringify(record));
+    fs.renameSync(file + ".tmp", file);
+  } catch (e) {
+    try {
+      context.log.warn(`Lucius pack ${packKey}: could not persist last-known-good copy: ${e.message}`);
+    } catch {}
+  }
+
+  return copy;
+}
+
+// ---------- Fetch + cache ----------
+
+function emptyFetchMeta() {
+  return {
+    ok: false,
+    status: null,
+    bytes: 0,
+    etag: null,
+    lastModified: null,
+    version: null,
+    source: null,
+    error: null,
+  };
+}
+
+function packRequestHeaders(good) {
+  const headers = { "User-Agent": "lucius-web-chat/1.0" };
+  if (good && good.etag) headers["If-None-Match"] = good.etag;
+  if (good && good.lastModified) headers["If-Modified-Since"] = good.lastModified;
+  return headers;
+}
+
+// Fetch one pack, revalidating against the last good copy.
+// Order of preference: fresh fetch -> last-known-good -> local doc -> "".
+async function refreshPack(context, packKey, localFallback, fetched) {
+  const url = PACK_URLS[packKey];
+  const good = lastKnownGood(packKey);
+  // Validators only mean something to the server that issued them
+  const revalidate = good && good.url === url ? good : null;
+
+  try {
+    const resp = await withTimeout(httpsRequest(url, "GET", packRequestHeaders(revalidate), null), PACK_FETCH_TIMEOUT_MS);
+    fetched.status = resp.status;
+
+    if (resp.status === 304 && revalidate) {
+      Object.assign(fetched, { ok: true, etag: good.etag, lastModified: good.lastModified, version: good.version });
+      fetched.source = "not-modified";
+      return good.text;
+    }
+    if (!resp.ok) throw new Error(`HTTP GET failed (${resp.status}) for ${url}`);
+
+    const headers = resp.headers || {};
+    fetched.bytes = Buffer.byteLength(resp.raw || "", "utf8");
+    fetched.etag = headers.etag || null;
+    fetched.lastModified = headers["last-modified"] || null;
+
+    const check = validatePack(packKey, resp.raw);
+    if (check.ok) {
+      saveLastKnownGood(context, packKey, resp.raw, check, headers);
+      Object.assign(fetched, { ok: true, version: check.version, source: "https" });
+      return check.body;
+    }
+    fetched.error = "rejected: " + check.error;
+  } catch (e) {
+    fetched.error = e && e.message ? String(e.message) : "fetch failed";
+  }
+
+  // Best-effort log (won’t break)
+  try {
+    context.log.warn(`Lucius pack fetch failed for ${packKey}: ${fetched.error}`);
+  } catch {}
+
+  if (good) {
+    fetched.version = good.version;
+    fetched.source = "last-known-good";
+    fetched.savedAt = good.savedAt;
+    return good.text;
+  }
+
+  const text = String(localFallback || "").trim();
+  fetched.source = text ? "local-fallback" : "none";
+  return text;
+}
+
+// fallbacks: { core, systemDesigner, websiteOverlay } text used when a pack has no good copy at all.
+// onRefresh(data) runs after a fetch, before caching (the retrieval index is built there).
+async function loadPacks(context, fallbacks, onRefresh) {
+  // Serve cached packs if valid
+  if (_packCache.data && _packCache.expiresAt > Date.now()) {
+    return { ..._packCache.data, meta: { ..._packCache.data.meta, cache: "hit" } };
+  }
+
+  const meta = {
+    startedAt: new Date().toISOString(),
+    cache: "miss",
+    ttlMs: PACK_TTL_MS,
+    urls: { ...PACK_URLS },
+    minVersions: { ...MIN_PACK_VERSIONS },
+    fetched: {},
+    versions: {},
+  };
+
+  const texts = await Promise.all(
+    PACK_KEYS.map((packKey) => {
+      meta.fetched[packKey] = emptyFetchMeta();
+      return refreshPack(context, packKey, fallbacks && fallbacks[packKey], meta.fetched[packKey]);
+    })
+  );
+  for (const packKey of PACK_KEYS) meta.versions[packKey] = meta.fetched[packKey].version;
+
+  const data = {
+    core: texts[0],
+    systemDesigner: texts[1],
+    websiteOverlay: texts[2],
+    index: null,
+    meta,
+  };
+
+  if (onRefresh) onRefresh(data);
+
+  const now = Date.now();
+  _packCache = { loadedAt: now, expiresAt: now + PACK_TTL_MS, data };
+
+  return data;
+}
+
+// Next loadPacks() refetches (revalidating against the good copies held).
+function invalidatePackCache() {
+  _packCache = { ..._packCache, expiresAt: 0 };
+}
+
+// Plain http only for a server on this machine (eval-lucius.js serves the checkout's packs)
+const LOOPBACK_HOSTS = ["localhost", "127.0.0.1", "[::1]"];
+
+// "https://host/packs/" -> "https://host/packs"; "" / null -> null. Throws on anything but https:
+// the packs are the model's instructions, so they never come over an unencrypted connection.
+function normalizePackBase(base) {
+  if (!base) return null;
+  let u;
+  try {
+    u = new URL(String(base).trim());
+  } catch {
+    throw new Error("Pack base must be an https URL.");
+  }
+  const loopback = u.protocol === "http:" && LOOPBACK_HOSTS.includes(u.hostname);
+  if (u.protocol !== "https:" && !loopback) throw new Error("Pack base must be an https URL.");
+  return u.href.replace(/\/+$/, "");
+}
+
+// Switch every pack to base (https URL) at runtime, or back to the app settings with null/"".
+// Per instance and lost on restart. Throws on an invalid URL, changing nothing.
+function setPackBase(base) {
+  const next = normalizePackBase(base);
+  _packBaseOverride = next;
+  Object.assign(PACK_URLS, packUrlsFor(next));
+  invalidatePackCache();
+  return packConfig();
+}
+
+function packConfig() {
+  return {
+    base: _packBaseOverride || PACK_BASE,
+    overridden: !!_packBaseOverride,
+    urls: { ...PACK_URLS },
+    ttlMs: PACK_TTL_MS,
+    minVersions: { ...MIN_PACK_VERSIONS },
+    lastKnownGoodDir: LKG_DIR,
+  };
+}
+
+// Cache state for status payloads (no pack text).
+function packCacheStatus(now = Date.now()) {
+  const { loadedAt, expiresAt, data } = _packCache;
+  return {
+    ttlMs: PACK_TTL_MS,
+    loadedAt: loadedAt ? new Date(loadedAt).toISOString() : null,
+    expiresAt: expiresAt ? new Date(expiresAt).toISOString() : null,
+    ageMs: loadedAt ? now - loadedAt : null,
+    fresh: !!data && expiresAt > now,
+    fetched: data ? data.meta.fetched : null,
+    versions: data ? data.meta.versions : null,
+  };
+}
+
+// ---------- Probe (health checks) ----------
+
+// Fetch and validate every pack once, in parallel, without touching the cache.
+// -> { core: { url, ok, status, bytes, version, ms, error }, systemDesigner: …, websiteOverlay: … }
+async function probePacks({ timeoutMs = 5000 } = {}) {
+  const results = await Promise.all(
+    PACK_KEYS.map(async (packKey) => {
+      const url = PACK_URLS[packKey];
+      const startedAt = Date.now();
+      const result = { url, ok: false, status: null, bytes: 0, version: null, ms: 0, error: null };
+      try {
+        const resp = await withTimeout(httpsRequest(url, "GET", packRequestHeaders(null), null), timeoutMs);
+        result.status = resp.status;
+        if (!resp.ok) throw new Error(`HTTP GET failed (${resp.status}) for ${url}`);
+        const check = validatePack(packKey, resp.raw);
+        result.bytes = Buffer.byteLength(resp.raw || "", "utf8");
+        result.version = check.version;
+        result.ok = check.ok;
+        result.error = check.ok ? null : "rejected: " + check.error;
+      } catch (e) {
+        result.error = e && e.message ? String(e.message) : "fetch failed";
+      }
+      result.ms = Date.now() - startedAt;
+      return [packKey, result];
+    })
+  );
+  return Object.fromEntries(results);
+}
+
+module.exports = {
+  PACK_BASE,
+  PACK_URLS,
+  PACK_TTL_MS,
+  MIN_PACK_VERSIONS,
+  LOCAL_DOCS_DIR,
+  findLocalDocs,
+  parseFrontMatter,
+  validatePack,
+  loadPacks,
+  invalidatePackCache,
+  normalizePackBase,
+  setPackBase,
+  packConfig,
+  packCacheStatus,
+  probePacks,
+};
@@ -0,0 +1,280 @@
+// /api/lucius-web-chat/prompt.js
+// Everything between "the packs" and "the developer prompt" for one question:
+//
+// - local engineering docs (pack fallbacks) and the pack cache wiring (packs.js)
+// - the BM25 retrieval index rebuilt on every pack refresh (retrieval.js)
+// - [S#] source labels and citation extraction
+// - buildDeveloperInstructionsFromPacks(): hard rules + core pack + product sections + overlay
+//
+// Shared by the chat handler and /api/lucius-admin, so the admin view shows exactly the
+// prompt a visitor's question would get.
+
+const fs = require("fs");
+const promptPacks = require("./packs");
+const retrieval = require("./retrieval");
+
+// Optional fallbacks (you already have these in Azure)
+const ENV_SYSTEM_PROMPT = process.env.LUCIUS_SYSTEM_PROMPT || "";
+const ENV_KB = process.env.LUCIUS_KB || "";
+
+// Retrieval (set LUCIUS_RETRIEVAL=0 to send every pack in full, as before)
+const RETRIEVAL_ENABLED = String(process.env.LUCIUS_RETRIEVAL || "1") !== "0";
+const RETRIEVAL_TOP_K = Number(process.env.LUCIUS_RETRIEVAL_TOP_K || 6);
+
+// Warm caches
+let _cachedLocalDocs = null;
+let _cachedLocalKey = null;
+
+// ---------- Local docs (pack fallbacks) ----------
+
+function safeReadUtf8(filePath) {
+  try {
+    return fs.readFileSync(filePath, "utf8");
+  } catch {
+    return null;
+  }
+}
+
+function safeStat(filePath) {
+  try {
+    return fs.statSync(filePath);
+  } catch {
+    return null;
+  }
+}
+
+function loadLuciusDocs() {
+  // You previously used two internal docs. Keep them as local fallbacks (see packs.js).
+  const { docsDir, engineeringModelPath, engineeringResponsesPath } = promptPacks.findLocalDocs();
+
+  // Cache key based on file mtimes
+  const keyParts = [];
+  for (const p of [engineeringModelPath, engineeringResponsesPath]) {
+    if (!p) {
+      keyParts.push("missing");
+      continue;
+    }
+    const st = safeStat(p);
+    keyParts.push(st ? `${p}:${st.mtimeMs}` : `${p}:unstat`);
+  }
+  const key = keyParts.join("|");
+
+  if (_cachedLocalDocs && _cachedLocalKey === key) return _cachedLocalDocs;
+
+  const engineeringModel = engineeringModelPath ? safeReadUtf8(engineeringModelPath) : null;
+  const engineeringResponses = engineeringResponsesPath ? safeReadUtf8(engineeringResponsesPath) : null;
+
+  _cachedLocalDocs = {
+    docsDir,
+    engineeringModelPath,
+    engineeringResponsesPath,
+    engineeringModel,
+    engineeringResponses,
+  };
+  _cachedLocalKey = key;
+
+  return _cachedLocalDocs;
+}
+
+// ---------- Prompt pack loading (HTTPS + TTL cache + local fallback) ----------
+
+function loadPromptPacksWithCache(context, localDocs) {
+  const fallbacks = {
+    core: localDocs.engineeringResponses || ENV_SYSTEM_PROMPT || "",
+    systemDesigner: localDocs.engineeringModel || ENV_KB || "",
+    websiteOverlay: "", // If you have a local overlay file later, wire it here.
+  };
+
+  return promptPacks.loadPacks(context, fallbacks, (data) => {
+    // Rebuild the retrieval index alongside every pack refresh
+    data.index = buildRetrievalIndex(data, localDocs);
+    data.meta.index = data.index ? { builtAt: data.index.builtAt, chunks: data.index.docs.length } : null;
+  });
+}
+
+// ---------- Retrieval ----------
+
+// Packs first (they win on duplicate headings), then the local engineering docs.
+function buildRetrievalIndex(packs, localDocs) {
+  try {
+    const chunks = retrieval.buildCorpus([
+      { pack: "core", source: "pack", text: packs.core },
+      { pack: "system-designer", source: "pack", text: packs.systemDesigner },
+      { pack: "website-overlay", source: "pack", text: packs.websiteOverlay },
+      // Local docs are fallbacks for these packs; cite them under the pack they stand in for
+      { pack: "system-designer", source: "local-doc", text: localDocs.engineeringModel },
+      { pack: "core", source: "local-doc", text: localDocs.engineeringResponses },
+    ]);
+    return retrieval.buildIndex(chunks);
+  } catch {
+    return null; // retrieval is an optimisation; full packs still work without it
+  }
+}
+
+// The question plus the previous user turn, so follow-ups ("what about 100V?") keep context.
+function retrievalQuery(userText, history) {
+  const prevUser = [...history].reverse().find((t) => t.role === "user");
+  return prevUser ? prevUser.content + "\n" + userText : userText;
+}
+
+// Top-k product/doc sections; the rule packs (core, overlay) are always sent in full.
+function retrieveSections(packs, query) {
+  if (!RETRIEVAL_ENABLED || !packs.index) return null;
+  return retrieval
+    .search(packs.index, query, RETRIEVAL_TOP_K + 4)
+    .filter((r) => !(r.chunk.source === "pack" && (r.chunk.pack === "core" || r.chunk.pack === "website-overlay")))
+    .slice(0, RETRIEVAL_TOP_K);
+}
+
+function productPreamble(packs) {
+  const chunks = retrieval.chunkMarkdown(packs.systemDesigner || "", { pack: "system-designer", source: "pack" });
+  return chunks.find((c) => c.anchor === "preamble") || chunks[0] || null;
+}
+
+// ---------- Citations ----------
+
+// Numbered source labels ([S1], [S2], …) shared by every section in one prompt.
+function createSourceRegistry() {
+  const list = [];
+  return {
+    list,
+    label(chunk) {
+      list.push(chunk);
+      return "S" + list.length;
+    },
+  };
+}
+
+function formatSections(chunks, sources) {
+  return chunks
+    .map((c) => {
+      const title = c.trail.length ? c.trail.join(" › ") : c.heading;
+      return `### [${sources.label(c)}] ${title}\n${c.text}`;
+    })
+    .join("\n\n");
+}
+
+function formatPack(text, pack, sources) {
+  return formatSections(retrieval.chunkMarkdown(text, { pack, source: "pack" }), sources);
+}
+
+const CITATION_MARK_RE = /[ \t]*\[(S\d+(?:\s*[,;]\s*S\d+)*)\]/g;
+
+// Strip [S#] markers from the reply and resolve them to { pack, heading, anchor } entries.
+function extractCitations(reply, sources) {
+  const citations = [];
+  const seen = new Set();
+
+  const text = String(reply || "")
+    .replace(CITATION_MARK_RE, (_, refs) => {
+      for (const ref of refs.split(/\s*[,;]\s*/)) {
+        const chunk = sources.list[Number(ref.slice(1)) - 1];
+        if (!chunk) continue;
+        const key = chunk.pack + "#" + chunk.anchor;
+        if (seen.has(key)) continue;
+        seen.add(key);
+        citations.push({ pack: chunk.pack, heading: chunk.heading, anchor: chunk.anchor, source: chunk.source });
+      }
+      return "";
+    })
+    .replace(/[ \t]+([.,;:!?])/g, "$1")
+    .trim();
+
+  return { text, citations };
+}
+
+// ---------- Prompt assembly ----------
+
+// sections: retrieval results for this question, or null to send the product pack in full.
+// sources: registry that receives every labelled section (see extractCitations).
+function buildDeveloperInstructionsFromPacks(packs, sections = null, sources = createSourceRegistry()) {
+  // Keep your hard rules, then layer packs beneath.
+  const hardRules = [
+    "You are Lucius, the technically credible engineering explainer for the BIM Acoustics website.",
+    "",
+    "Hard facts you MUST state correctly:",
+    "- Company: BIM Acoustics (J. Stevens BIM Acoustics)",
+    "- Founder: Jerrold Stevens",
+    '- Canonical product name: "BIM Acoustics AV Tools Suite — AV Systems System Designer"',
+    '  After first use, you may shorten to "System Designer" or "AV Tools".',
+    "",
+    "Identity handling (MUST follow exactly):",
+    '- If the user says: "This is Jerrold"',
+    '  Reply with: "If you’re Jerrold Stevens (founder of BIM Acoustics), welcome back — how can I help?"',
+    "",
+    "Tone rules:",
+    "- Professional, informative, confident.",
+    "- Do NOT be evasive.",
+    "- Do NOT be salesy. Do not push early access unless the user asks how to buy/try/get access.",
+    "",
+    "Technical truth rules:",
+    "- Be transparent about assumptions and limits.",
+    "- The product is NOT a full acoustic simulation tool (no ray tracing, room modes, or diffraction).",
+    "- It DOES calculate RT60 (Sabine/Eyring/Arau-Puchades), STI, direct-field SPL coverage, and critical distance.",
+    "- Three tiers: Free (layout+coverage), Standard (adds room acoustics/RT60/STI/materials), Pro (adds circuiting+zones, amps/cabling, interference detection, Lucius AI with live model tools).",
+    "- Roadmap items are not features; never imply they exist today.",
+    "",
+    "Answer behavior:",
+    "- When asked “what formula,” provide canonical forms if available; symbolic form is OK.",
+    "- Keep answers concise: 1–6 short paragraphs; bullets are fine.",
+    "- For speaker spacing, speaker counts, RT60, critical distance or STI with actual numbers, use the calculator tools when they are offered instead of doing the arithmetic yourself. Quote results with units and state the assumptions the tool returns.",
+    "- Sections below are labelled [S1], [S2], …. When a fact, number, or formula comes from a section, cite it inline right after the sentence, e.g. [S3]. Cite only sections you actually used; never invent labels.",
+  ].join("\n");
+
+  // Layered prompt packs (v1)
+  const core = packs.core || "";
+  const systemDesigner = packs.systemDesigner || "";
+  const overlay = packs.websiteOverlay || "";
+
+  // Label in prompt order so [S#] numbers read top to bottom
+  const coreText = core ? formatPack(core, "core", sources) : "(core pack missing)";
+
+  let product = "(system-designer pack missing)";
+  if (sections && systemDesigner) {
+    const preamble = productPreamble(packs);
+    const rest = sections.filter((r) => !preamble || r.chunk.text !== preamble.text).map((r) => r.chunk);
+    product = [
+      preamble ? formatSections([preamble], sources) : "",
+      "",
+      "(Relevant sections retrieved for this question. If they don't cover it, say so rather than guess.)",
+      "",
+      rest.length ? formatSections(rest, sources) : "(no closely matching sections)",
+    ].join("\n");
+  } else if (systemDesigner) {
+    product = formatPack(systemDesigner, "system-designer", sources);
+  }
+
+  const overlayText = overlay ? formatPack(overlay, "website-overlay", sources) : "(website overlay pack missing)";
+
+  return [
+    hardRules,
+    "",
+    "=== CORE PACK (global) ===",
+    coreText,
+    "",
+    "=== PRODUCT PACK: AVToolsSystemDesigner ===",
+    product,
+    "",
+    "=== CONTEXT OVERLAY: Website ===",
+    overlayText,
+  ].join("\n");
+}
+
+// -> { sections, sources, developerText } for one question (history: prior turns, oldest first)
+function assemblePrompt(packs, userText, history = []) {
+  const sections = retrieveSections(packs, retrievalQuery(userText, history));
+  const sources = createSourceRegistry();
+  const developerText = buildDeveloperInstructionsFromPacks(packs, sections, sources);
+  return { sections, sources, developerText };
+}
+
+module.exports = {
+  loadLuciusDocs,
+  loadPromptPacksWithCache,
+  retrieveSections,
+  retrievalQuery,
+  createSourceRegistry,
+  extractCitations,
+  buildDeveloperInstructionsFromPacks,
+  assemblePrompt,
+};
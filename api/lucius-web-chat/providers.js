@@ -0,0 +1,429 @@
+// /api/lucius-web-chat/providers.js
+// LLM provider adapters for Lucius. Every adapter exposes the same shape:
+//
+//   { name, model, complete(conversation) }
+//
+// where conversation = { developerText, history: [{ role, content }], userText, tools?, usage? }
+// and complete() resolves with the full reply text. usage ({ requests, promptChars }), when
+// given, is incremented for every request sent upstream — each tool round resends the prompt.
+//
+// There is no streaming adapter: the chat function's classic (function.json) host buffers the
+// whole response, so token streaming waits for the Functions v4 programming model.
+//
+// tools (optional, see tools.js): { definitions: [{ name, description, parameters }],
+// call(name, argumentsJson) -> Promise<string> }. The OpenAI adapter offers them through the
+// Responses API function-calling loop (at most LUCIUS_TOOL_MAX_ROUNDS rounds, then the model
+// must answer); fixtures can script one call; the chat-completions adapters answer without them.
+//
+// Pick one with LUCIUS_LLM_PROVIDER:
+// - "openai" (default)     OpenAI Responses API            OPENAI_API_KEY, OPENAI_MODEL, OPENAI_API_BASE
+// - "azure"                Azure OpenAI chat completions   AZURE_OPENAI_ENDPOINT, AZURE_OPENAI_API_KEY,
+//                                                          AZURE_OPENAI_DEPLOYMENT, AZURE_OPENAI_API_VERSION
+// - "openai-compatible"    any /v1/chat/completions server LUCIUS_LLM_BASE_URL, LUCIUS_LLM_API_KEY (optional),
+//                          (local servers, gateways)       LUCIUS_LLM_MODEL
+// - "fixture" / "echo"     deterministic, offline          LUCIUS_FIXTURE_FILE (optional JSON fixtures)
+//
+// Errors are the same for every adapter: a missing key throws code "NO_API_KEY";
+// a non-2xx upstream throws with err.status set to the upstream status.
+
+const fs = require("fs");
+const { httpsRequest } = require("../shared/http");
+
+const TOOL_MAX_ROUNDS = Number(process.env.LUCIUS_TOOL_MAX_ROUNDS || 3);
+
+// ---------- Shared helpers ----------
+
+function missingKey(envName) {
+  const e = new Error(`Missing ${envName} environment variable.`);
+  e.code = "NO_API_KEY";
+  return e;
+}
+
+function countRequest(usage, body) {
+  if (!usage) return;
+  usage.requests += 1;
+  usage.promptChars += body.length;
+}
+
+function parseJson(raw) {
+  try {
+    return raw ? JSON.parse(raw) : {};
+  } catch {
+    return null;
+  }
+}
+
+function upstreamError(label, resp) {
+  const json = parseJson(resp.raw);
+  const msg = (json && json.error && json.error.message) || `${label} API error (${resp.status})`;
+  const err = new Error(msg);
+  err.status = resp.status;
+  err.details = json || resp.raw;
+  return err;
+}
+
+function noText(label) {
+  return new Error(`${label} response received but no output text was found to display.`);
+}
+
+// ---------- OpenAI Responses API ----------
+
+function extractOutputText(data) {
+  if (!data) return null;
+
+  if (typeof data.output_text === "string" && data.output_text.trim()) {
+    return data.output_text.trim();
+  }
+
+  if (Array.isArray(data.output)) {
+    for (const item of data.output) {
+      if (item && item.type === "message" && Array.isArray(item.content)) {
+        const parts = [];
+        for (const c of item.content) {
+          if (!c) continue;
+          if ((c.type === "output_text" || c.type === "text") && typeof c.text === "string") parts.push(c.text);
+        }
+        if (parts.length) return parts.join("\n").trim();
+      }
+    }
+  }
+
+  try {
+    if (Array.isArray(data.output) && data.output[0] && Array.isArray(data.output[0].content)) {
+      const parts = data.output[0].content
+        .map((c) => (typeof c === "string" ? c : (c && typeof c.text === "string" ? c.text : "")))
+        .filter(Boolean);
+      if (parts.length) return parts.join("\n").trim();
+    }
+  } catch {
+    // ignore
+  }
+
+  return null;
+}
+
+// function_call items in a Responses API result
+function functionCalls(data) {
+  return data && Array.isArray(data.output) ? data.output.filter((item) => item && item.type === "function_call") : [];
+}
+
+// Runs each call -> the call items plus their outputs, to append to the next request's input
+async function runFunctionCalls(tools, calls) {
+  const items = [];
+  for (const c of calls) {
+    items.push({ type: "function_call", call_id: c.call_id, name: c.name, arguments: c.arguments });
+    items.push({ type: "function_call_output", call_id: c.call_id, output: await tools.call(c.name, c.arguments) });
+  }
+  return items;
+}
+
+function createOpenAIResponsesProvider(env) {
+  const apiKey = env.OPENAI_API_KEY || env.OPENAI_KEY;
+  const model = env.OPENAI_MODEL || "gpt-4o-mini";
+  const base = String(env.OPENAI_API_BASE || "https://api.openai.com").replace(/\/+$/, "");
+  const label = "OpenAI";
+
+  // toolItems: function calls and outputs from earlier rounds; round: 0-based loop count
+  function request({ developerText, history = [], userText, tools, usage }, toolItems = [], round = 0) {
+    if (!apiKey) throw missingKey("OPENAI_API_KEY");
+
+    const payload = {
+      model,
+      input: [
+        { role: "developer", content: developerText },
+        ...history.map((t) => ({ role: t.role, content: t.content })),
+        { role: "user", content: userText },
+        ...toolItems,
+      ],
+    };
+    if (tools) {
+      payload.tools = tools.definitions.map((d) => ({ type: "function", ...d }));
+      // Out of rounds: the model has to answer with what it has
+      if (round >= TOOL_MAX_ROUNDS) payload.tool_choice = "none";
+    }
+
+    const headers = { Authorization: "Bearer " + apiKey, "Content-Type": "application/json" };
+
+    const body = JSON.stringify(payload);
+    countRequest(usage, body);
+    return { url: base + "/v1/responses", headers, body };
+  }
+
+  return {
+    name: "openai",
+    model,
+
+    async complete(conversation) {
+      let toolItems = [];
+      for (let round = 0; ; round++) {
+        const { url, headers, body } = request(conversation, toolItems, round);
+        const resp = await httpsRequest(url, "POST", headers, body);
+        if (!resp.ok) throw upstreamError(label, resp);
+
+        const data = parseJson(resp.raw);
+        const calls = conversation.tools ? functionCalls(data) : [];
+        if (calls.length && round < TOOL_MAX_ROUNDS) {
+          toolItems = toolItems.concat(await runFunctionCalls(conversation.tools, calls));
+          continue;
+        }
+
+        const text = extractOutputText(data);
+        if (text) return text;
+        throw noText(label);
+      }
+    },
+  };
+}
+
+// ---------- Chat Completions (Azure OpenAI + OpenAI-compatible servers) ----------
+
+function chatMessages({ developerText, history = [], userText }) {
+  return [
+    { role: "system", content: developerText },
+    ...history.map((t) => ({ role: t.role, content: t.content })),
+    { role: "user", content: userText },
+  ];
+}
+
+function extractChatText(data) {
+  const choice = data && Array.isArray(data.choices) ? data.choices[0] : null;
+  const content = choice && choice.message ? choice.message.content : null;
+  if (typeof content === "string" && content.trim()) return content.trim();
+  if (Array.isArray(content)) {
+    const parts = content.map((c) => (c && typeof c.text === "string" ? c.text : "")).filter(Boolean);
+    if (parts.length) return parts.join("\n").trim();
+  }
+  return null;
+}
+
+// target() -> { url, headers, model } ; payload model omitted when the URL already names it (Azure).
+function createChatCompletionsProvider({ name, label, model, target }) {
+  function request(conversation) {
+    const t = target();
+    const payload = { messages: chatMessages(conversation) };
+    if (t.model) payload.model = t.model;
+
+    const headers = { "Content-Type": "application/json", ...t.headers };
+
+    const body = JSON.stringify(payload);
+    countRequest(conversation.usage, body);
+    return { url: t.url, headers, body };
+  }
+
+  return {
+    name,
+    model,
+
+    async complete(conversation) {
+      const { url, headers, body } = request(conversation);
+      const resp = await httpsRequest(url, "POST", headers, body);
+      if (!resp.ok) throw upstreamError(label, resp);
+
+      const text = extractChatText(parseJson(resp.raw));
+      if (text) return text;
+      throw noText(label);
+    },
+  };
+}
+
+function createAzureOpenAIProvider(env) {
+  const endpoint = String(env.AZURE_OPENAI_ENDPOINT || "").replace(/\/+$/, "");
+  const apiKey = env.AZURE_OPENAI_API_KEY || env.AZURE_OPENAI_KEY;
+  const deployment = env.AZURE_OPENAI_DEPLOYMENT || env.OPENAI_MODEL || "";
+  const apiVersion = env.AZURE_OPENAI_API_VERSION || "2024-10-21";
+
+  return createChatCompletionsProvider({
+    name: "azure",
+    label: "Azure OpenAI",
+    model: deployment,
+    target() {
+      if (!apiKey) throw missingKey("AZURE_OPENAI_API_KEY");
+      if (!endpoint || !deployment) {
+        throw new Error("Azure OpenAI needs AZURE_OPENAI_ENDPOINT and AZURE_OPENAI_DEPLOYMENT.");
+      }
+      return {
+        url:
+          `${endpoint}/openai/deployments/${encodeURIComponent(deployment)}/chat/completions` +
+          `?api-version=${encodeURIComponent(apiVersion)}`,
+        headers: { "api-key": apiKey },
+      };
+    },
+  });
+}
+
+function createOpenAICompatibleProvider(env) {
+  // Accept either ".../v1" or the bare server root
+  let base = String(env.LUCIUS_LLM_BASE_URL || "http://localhost:11434/v1").replace(/\/+$/, "");
+  if (!/\/v\d+$/.test(base)) base += "/v1";
+  const apiKey = env.LUCIUS_LLM_API_KEY || "";
+  const model = env.LUCIUS_LLM_MODEL || env.OPENAI_MODEL || "";
+
+  return createChatCompletionsProvider({
+    name: "openai-compatible",
+    label: "LLM",
+    model,
+    target() {
+      // Local servers usually don't need a key; set LUCIUS_LLM_REQUIRE_KEY=1 for hosted gateways.
+      if (!apiKey && String(env.LUCIUS_LLM_REQUIRE_KEY || "") === "1") throw missingKey("LUCIUS_LLM_API_KEY");
+      return {
+        url: base + "/chat/completions",
+        headers: apiKey ? { Authorization: "Bearer " + apiKey } : {},
+        model,
+      };
+    },
+  });
+}
+
+// ---------- Fixture / echo (offline, deterministic) ----------
+
+// LUCIUS_FIXTURE_FILE: JSON array of { "match": "substring" | "/regex/i", "reply": "..." }.
+// First match wins; with no match (or no file) the provider echoes the question back.
+// A fixture may also script a tool call, "tool": { "name", "arguments" }: with tools offered,
+// the call runs and "{{path.to.field}}" placeholders in the reply are filled from its result.
+function loadFixtures(filePath) {
+  if (!filePath) return [];
+  try {
+    const list = JSON.parse(fs.readFileSync(filePath, "utf8"));
+    return Array.isArray(list) ? list.filter((f) => f && typeof f.reply === "string") : [];
+  } catch {
+    return [];
+  }
+}
+
+function fixtureMatches(fixture, text) {
+  const m = String(fixture.match || "");
+  const re = /^\/(.+)\/([a-z]*)$/.exec(m);
+  if (re) {
+    try {
+      return new RegExp(re[1], re[2]).test(text);
+    } catch {
+      return false;
+    }
+  }
+  return m ? text.toLowerCase().includes(m.toLowerCase()) : false;
+}
+
+function fillTemplate(template, data) {
+  return template.replace(/\{\{\s*([\w.]+)\s*\}\}/g, (m, path) => {
+    const value = path.split(".").reduce((o, k) => (o === null || o === undefined ? undefined : o[k]), data);
+    return value === undefined || value === null ? m : String(value);
+  });
+}
+
+function createFixtureProvider(env, fixtures = null) {
+  const list = fixtures || loadFixtures(env.LUCIUS_FIXTURE_FILE);
+
+  async function reply({ userText, tools }) {
+    const hit = list.find((f) => fixtureMatches(f, userText));
+    if (!hit) return `[echo] ${userText}`;
+    if (!hit.tool || !tools) return hit.reply;
+
+    const output = await tools.call(hit.tool.name, JSON.stringify(hit.tool.arguments || {}));
+    return fillTemplate(hit.reply, parseJson(output) || {});
+  }
+
+  return {
+    name: "fixture",
+    model: "fixture",
+
+    async complete(conversation) {
+      return reply(conversation);
+    },
+  };
+}
+
+// ---------- Selection ----------
+
+const FACTORIES = {
+  openai: createOpenAIResponsesProvider,
+  "openai-responses": createOpenAIResponsesProvider,
+  azure: createAzureOpenAIProvider,
+  "azure-openai": createAzureOpenAIProvider,
+  "openai-compatible": createOpenAICompatibleProvider,
+  local: createOpenAICompatibleProvider,
+  fixture: createFixtureProvider,
+  echo: createFixtureProvider,
+};
+
+function createProvider(name, env = process.env) {
+  const key = String(name || env.LUCIUS_LLM_PROVIDER || "openai").trim().toLowerCase();
+  const factory = FACTORIES[key];
+  if (!factory) throw new Error(`Unknown LUCIUS_LLM_PROVIDER "${key}".`);
+  return factory(env);
+}
+
+// ---------- Active provider (per instance) ----------
+
+// Runtime overrides from /api/lucius-admin: { provider, model }. Per instance and lost on
+// restart; app settings stay the source of truth.
+let _overrides = {};
+let _active = null;
+
+// Every adapter's model setting, so one override works whichever adapter is active
+function withModel(env, model) {
+  if (!model) return env;
+  return { ...env, OPENAI_MODEL: model, AZURE_OPENAI_DEPLOYMENT: model, LUCIUS_LLM_MODEL: model };
+}
+
+// Built once per instance from LUCIUS_LLM_PROVIDER (plus any override).
+function getProvider() {
+  if (!_active) _active = createProvider(_overrides.provider, withModel(process.env, _overrides.model));
+  return _active;
+}
+
+// provider / model: a value switches, "" or null goes back to the app setting, undefined
+// leaves it alone. Throws (changing nothing) on an unknown provider name.
+function setProviderOverrides({ provider, model } = {}) {
+  const next = { ..._overrides };
+  if (provider !== undefined) next.provider = provider ? String(provider).trim().toLowerCase() : undefined;
+  if (model !== undefined) next.model = model ? String(model).trim() : undefined;
+
+  const candidate = createProvider(next.provider, withModel(process.env, next.model));
+  _overrides = next;
+  _active = candidate;
+  return candidate;
+}
+
+function providerOverrides() {
+  return { provider: _overrides.provider || null, model: _overrides.model || null };
+}
+
+// Env vars that hold each adapter's key, for status payloads (values are never returned).
+const KEY_ENV = {
+  openai: ["OPENAI_API_KEY", "OPENAI_KEY"],
+  azure: ["AZURE_OPENAI_API_KEY", "AZURE_OPENAI_KEY"],
+  "openai-compatible": ["LUCIUS_LLM_API_KEY"],
+  fixture: [],
+};
+
+// -> { provider, model, keyRequired, keyConfigured }; never throws, never includes the key
+function describeProvider(name = _overrides.provider, env = withModel(process.env, _overrides.model)) {
+  let provider;
+  try {
+    provider = createProvider(name, env);
+  } catch (e) {
+    return { provider: null, model: null, keyRequired: true, keyConfigured: false, error: e.message };
+  }
+
+  const names = KEY_ENV[provider.name] || [];
+  const keyRequired =
+    provider.name === "openai-compatible" ? String(env.LUCIUS_LLM_REQUIRE_KEY || "") === "1" : names.length > 0;
+
+  return {
+    provider: provider.name,
+    model: provider.model || null,
+    keyRequired,
+    keyConfigured: names.some((n) => !!String(env[n] || "").trim()),
+  };
+}
+
+module.exports = {
+  createProvider,
+  getProvider,
+  setProviderOverrides,
+  providerOverrides,
+  describeProvider,
+  createFixtureProvider,
+  extractOutputText,
+  providerNames: Object.keys(FACTORIES),
+};
@@ -0,0 +1,193 @@
+// /api/lucius-web-chat/ratelimit.js
+// Abuse protection for the public chat endpoint.
+//
+// - Token buckets per client IP and per widget sessionId (burst capacity + steady refill).
+//   IPs are keyed by their salted hash (../shared/telemetry.js), never stored raw; with the
+//   table store set TELEMETRY_SALT so every instance hashes an IP the same way
+// - Daily global spend cap, estimated from the size of every model request (tool rounds
+//   resend the whole prompt) plus the reply (≈ 4 chars per token)
+// - Pluggable storage: in-memory (default, per instance) or Azure Table Storage
+//   (LUCIUS_RL_STORE=table + LUCIUS_RL_TABLE_SAS_URL) so limits hold across instances;
+//   expired buckets are purged at most once an hour per instance
+//
+// Storage errors fail open: a broken store must never take the chat down. check() and
+// recordUsage() take the invocation's log (context.log.warn) for those warnings.
+
+const { createMemoryStore, createTableStore } = require("../shared/table-store");
+const telemetry = require("../shared/telemetry");
+
+const PURGE_INTERVAL_MS = 60 * 60 * 1000;
+
+function num(value, fallback) {
+  const n = Number(value);
+  return Number.isFinite(n) ? n : fallback;
+}
+
+function readConfig(env = process.env) {
+  return {
+    ipCapacity: num(env.LUCIUS_RL_IP_CAPACITY, 20),
+    ipRefillPerMin: num(env.LUCIUS_RL_IP_REFILL_PER_MIN, 6),
+    sessionCapacity: num(env.LUCIUS_RL_SESSION_CAPACITY, 10),
+    sessionRefillPerMin: num(env.LUCIUS_RL_SESSION_REFILL_PER_MIN, 4),
+    maxMessageChars: num(env.LUCIUS_MAX_MESSAGE_CHARS, 2000),
+    // 0 disables the cap
+    dailyBudgetUsd: num(env.LUCIUS_DAILY_BUDGET_USD, 10),
+    usdPer1kTokens: num(env.LUCIUS_USD_PER_1K_TOKENS, 0.0006),
+    store: String(env.LUCIUS_RL_STORE || "memory").toLowerCase(),
+    tableSasUrl: env.LUCIUS_RL_TABLE_SAS_URL || "",
+  };
+}
+
+function createStore(config) {
+  if (config.store === "table" && config.tableSasUrl) {
+    return createTableStore({ sasUrl: config.tableSasUrl, partitionKey: "lucius-ratelimit" });
+  }
+  return createMemoryStore();
+}
+
+function estimateTokens(chars) {
+  return Math.ceil(Math.max(0, chars) / 4);
+}
+
+function utcDay(now) {
+  return new Date(now).toISOString().slice(0, 10);
+}
+
+function msUntilUtcMidnight(now) {
+  const d = new Date(now);
+  return Date.UTC(d.getUTCFullYear(), d.getUTCMonth(), d.getUTCDate() + 1) - now;
+}
+
+// Rejections carry what the handler needs for a 429/400 response.
+function limited(code, message, retryAfterMs) {
+  return {
+    allowed: false,
+    status: code === "message_too_long" ? 400 : 429,
+    code,
+    message,
+    retryAfterSec: retryAfterMs ? Math.max(1, Math.ceil(retryAfterMs / 1000)) : 0,
+  };
+}
+
+function createRateLimiter({ config = readConfig(), store = createStore(config) } = {}) {
+  let purgeDueAt = 0;
+
+  function warn(log, msg) {
+    try {
+      if (log) log(msg);
+    } catch {}
+  }
+
+  // Daily-salted, like telemetry: the bucket of an IP starts over at the salt rotation
+  function ipKey(ip, now) {
+    return "ip:" + telemetry.anonymizeIp(ip, { ...telemetry.readConfig(), ipMode: "hash" }, now);
+  }
+
+  // Buckets of visitors who never come back would otherwise stay in the table forever
+  async function purgeIfDue(now, log) {
+    if (now < purgeDueAt) return;
+    purgeDueAt = now + PURGE_INTERVAL_MS;
+    try {
+      await store.purgeExpired();
+    } catch (e) {
+      warn(log, `Lucius rate-limit purge failed: ${e && e.message}`);
+    }
+  }
+
+  // Optimistic read-modify-write; a few retries on etag conflicts, then fail open.
+  async function takeToken(key, capacity, refillPerMin, now) {
+    if (capacity <= 0 || refillPerMin <= 0) return { allowed: true };
+    const refillPerMs = refillPerMin / 60000;
+
+    for (let attempt = 0; attempt < 3; attempt++) {
+      const current = await store.get(key);
+      let tokens = capacity;
+      if (current && current.value) {
+        const elapsed = Math.max(0, now - Number(current.value.updatedAt || now));
+        tokens = Math.min(capacity, Number(current.value.tokens) + elapsed * refillPerMs);
+      }
+
+      if (tokens < 1) return { allowed: false, retryAfterMs: Math.ceil((1 - tokens) / refillPerMs) };
+
+      const ok = await store.set(
+        key,
+        { tokens: tokens - 1, updatedAt: now },
+        { etag: current ? current.etag : null, ttlMs: Math.ceil(capacity / refillPerMs) }
+      );
+      if (ok) return { allowed: true, remaining: Math.floor(tokens - 1) };
+    }
+
+    return { allowed: true };
+  }
+
+  async function spentToday(now) {
+    const row = await store.get("spend:" + utcDay(now));
+    return row && row.value ? Number(row.value.usd) || 0 : 0;
+  }
+
+  return {
+    config,
+
+    // Before calling the model. Returns { allowed: true } or a rejection (see limited()).
+    async check({ ip, sessionId, messageChars, log }, now = Date.now()) {
+      if (config.maxMessageChars > 0 && messageChars > config.maxMessageChars) {
+        return limited(
+          "message_too_long",
+          `Message is too long (max ${config.maxMessageChars} characters).`,
+          0
+        );
+      }
+
+      try {
+        if (config.dailyBudgetUsd > 0 && (await spentToday(now)) >= config.dailyBudgetUsd) {
+          return limited(
+            "daily_cap",
+            "Lucius has reached today's usage limit. Please try again tomorrow.",
+            msUntilUtcMidnight(now)
+          );
+        }
+
+        if (ip) {
+          const r = await takeToken(ipKey(ip, now), config.ipCapacity, config.ipRefillPerMin, now);
+          if (!r.allowed) return limited("rate_limited", "Too many messages. Please slow down.", r.retryAfterMs);
+        }
+
+        if (sessionId) {
+          const r = await takeToken("session:" + sessionId, config.sessionCapacity, config.sessionRefillPerMin, now);
+          if (!r.allowed) return limited("rate_limited", "Too many messages. Please slow down.", r.retryAfterMs);
+        }
+      } catch (e) {
+        warn(log, `Lucius rate-limit store failed (allowing request): ${e && e.message}`);
+      }
+
+      return { allowed: true };
+    },
+
+    // After a reply: add its estimated cost to today's total. Best-effort.
+    // promptChars: every request sent to the model for this reply, tool rounds included
+    async recordUsage({ promptChars, replyChars, log }, now = Date.now()) {
+      await purgeIfDue(now, log);
+      if (config.dailyBudgetUsd <= 0) return;
+      const usd = (estimateTokens(promptChars + replyChars) / 1000) * config.usdPer1kTokens;
+      const key = "spend:" + utcDay(now);
+
+      try {
+        for (let attempt = 0; attempt < 3; attempt++) {
+          const current = await store.get(key);
+          const prev = current && current.value ? current.value : { usd: 0, requests: 0 };
+          const next = { usd: (Number(prev.usd) || 0) + usd, requests: (Number(prev.requests) || 0) + 1 };
+          const ok = await store.set(key, next, { etag: current ? current.etag : null, ttlMs: 2 * 24 * 60 * 60 * 1000 });
+          if (ok) return;
+        }
+      } catch (e) {
+        warn(log, `Lucius spend tracking failed: ${e && e.message}`);
+      }
+    },
+  };
+}
+
+module.exports = {
+  readConfig,
+  createRateLimiter,
+  estimateTokens,
+};
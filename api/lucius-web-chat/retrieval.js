@@ -0,0 +1,211 @@
+// /api/lucius-web-chat/retrieval.js
+// Lexical retrieval over the Lucius prompt packs and local engineering docs.
+//
+// - Splits markdown by heading (#, ##, ###) into chunks that keep their heading trail
+// - Builds an in-memory BM25 index (no dependencies; rebuilt whenever packs refresh)
+// - search() returns the top-k chunks for a question so the prompt only carries
+//   the sections that matter instead of every pack in full
+
+// BM25 tuning (standard defaults)
+const BM25_K1 = 1.2;
+const BM25_B = 0.75;
+
+// Heading text is a strong signal; count heading terms this many extra times.
+const HEADING_BOOST = 2;
+
+// Chunks longer than this are split on paragraph boundaries so one huge section
+// can't crowd everything else out of the prompt.
+const MAX_CHUNK_CHARS = 2400;
+
+// Small EN stopword list; DE/FR/ES questions still match on product terms.
+const STOPWORDS = new Set(
+  (
+    "a an and are as at be but by can do does for from has have how i if in into is it its " +
+    "me my of on or so that the their then there these this to was what when where which " +
+    "who why will with would you your about any our we us not no yes also just than"
+  ).split(" ")
+);
+
+// ---------- Tokenizing ----------
+
+function tokenize(text) {
+  return String(text || "")
+    .toLowerCase()
+    .normalize("NFKD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .split(/[^\p{L}\p{N}.]+/u)
+    .map((t) => t.replace(/^\.+|\.+$/g, ""))
+    .filter((t) => t && (t.length > 1 || /\d/.test(t)) && !STOPWORDS.has(t));
+}
+
+function slugify(heading) {
+  return String(heading || "")
+    .toLowerCase()
+    .replace(/[*_`]/g, "")
+    .replace(/[^\p{L}\p{N}]+/gu, "-")
+    .replace(/^-+|-+$/g, "");
+}
+
+function cleanHeading(heading) {
+  return String(heading || "")
+    .replace(/\*+\(([^)]*)\)\*+/g, "($1)")
+    .replace(/[*_`]/g, "")
+    .trim();
+}
+
+// ---------- Chunking ----------
+
+function splitLongText(text) {
+  if (text.length <= MAX_CHUNK_CHARS) return [text];
+
+  const parts = [];
+  let current = "";
+  for (const para of text.split(/\n\s*\n/)) {
+    if (current && current.length + para.length + 2 > MAX_CHUNK_CHARS) {
+      parts.push(current);
+      current = "";
+    }
+    current = current ? current + "\n\n" + para : para;
+  }
+  if (current) parts.push(current);
+  return parts;
+}
+
+// Split one markdown document into heading-scoped chunks.
+// Text before the first heading becomes a "preamble" chunk.
+function chunkMarkdown(text, { pack, source }) {
+  const lines = String(text || "").split(/\r?\n/);
+  const chunks = [];
+  const trail = []; // heading stack: [{ level, title }]
+
+  let inFence = false;
+  let heading = null;
+  let body = [];
+
+  function flush() {
+    const content = body.join("\n").replace(/^\s*---\s*$/gm, "").trim();
+    if (content) {
+      const title = heading ? heading.title : "Preamble";
+      const parts = splitLongText(content);
+      parts.forEach((part, i) => {
+        chunks.push({
+          id: `${pack}#${slugify(title) || "preamble"}${parts.length > 1 ? "-" + (i + 1) : ""}`,
+          pack,
+          source,
+          heading: title,
+          anchor: slugify(title) || "preamble",
+          trail: trail.map((t) => t.title),
+          text: part,
+        });
+      });
+    }
+    body = [];
+  }
+
+  for (const line of lines) {
+    if (/^\s*```/.test(line)) inFence = !inFence;
+    const m = !inFence && /^(#{1,3})\s+(.+?)\s*#*\s*$/.exec(line);
+    if (!m) {
+      body.push(line);
+      continue;
+    }
+
+    flush();
+    const level = m[1].length;
+    const title = cleanHeading(m[2]);
+    while (trail.length && trail[trail.length - 1].level >= level) trail.pop();
+    trail.push({ level, title });
+    heading = { level, title };
+  }
+  flush();
+
+  return chunks;
+}
+
+// ---------- BM25 index ----------
+
+function buildIndex(chunks) {
+  const docs = [];
+  const df = new Map();
+  let totalLength = 0;
+
+  for (const chunk of chunks) {
+    const headingTerms = tokenize(chunk.trail.join(" ") + " " + chunk.heading);
+    const terms = tokenize(chunk.text);
+    for (let i = 0; i < HEADING_BOOST; i++) terms.push(...headingTerms);
+
+    const tf = new Map();
+    for (const t of terms) tf.set(t, (tf.get(t) || 0) + 1);
+    for (const t of tf.keys()) df.set(t, (df.get(t) || 0) + 1);
+
+    docs.push({ chunk, tf, length: terms.length });
+    totalLength += terms.length;
+  }
+
+  return {
+    builtAt: new Date().toISOString(),
+    docs,
+    df,
+    avgLength: docs.length ? totalLength / docs.length : 0,
+  };
+}
+
+function idf(index, term) {
+  const n = index.docs.length;
+  const d = index.df.get(term) || 0;
+  return Math.log(1 + (n - d + 0.5) / (d + 0.5));
+}
+
+// Top-k chunks for a query, best first: [{ chunk, score }]
+function search(index, query, k = 6) {
+  if (!index || !index.docs.length) return [];
+
+  const terms = [...new Set(tokenize(query))];
+  if (!terms.length) return [];
+
+  const scored = [];
+  for (const doc of index.docs) {
+    let score = 0;
+    for (const term of terms) {
+      const f = doc.tf.get(term);
+      if (!f) continue;
+      const norm = 1 - BM25_B + BM25_B * (doc.length / (index.avgLength || 1));
+      score += idf(index, term) * ((f * (BM25_K1 + 1)) / (f + BM25_K1 * norm));
+    }
+    if (score > 0) scored.push({ chunk: doc.chunk, score });
+  }
+
+  scored.sort((a, b) => b.score - a.score);
+  return scored.slice(0, k);
+}
+
+// ---------- Corpus assembly ----------
+
+// sources: [{ pack, source, text }] in priority order. Later sources whose
+// heading already appeared earlier are skipped (local docs mirror the packs).
+function buildCorpus(sources) {
+  const seenHeadings = new Set();
+  const chunks = [];
+
+  for (const src of sources) {
+    if (!src || !src.text) continue;
+    const headings = new Set();
+    for (const chunk of chunkMarkdown(src.text, src)) {
+      if (chunk.anchor !== "preamble" && seenHeadings.has(chunk.anchor)) continue;
+      headings.add(chunk.anchor);
+      chunks.push(chunk);
+    }
+    for (const h of headings) seenHeadings.add(h);
+  }
+
+  return chunks;
+}
+
+module.exports = {
+  tokenize,
+  slugify,
+  chunkMarkdown,
+  buildCorpus,
+  buildIndex,
+  search,
+};
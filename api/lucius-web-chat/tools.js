@@ -0,0 +1,376 @@
+// /api/lucius-web-chat/tools.js
+// Engineering calculators offered to the model as function tools, so spacing, RT60 and
+// critical-distance answers carry computed numbers instead of prose arithmetic.
+//
+// - speaker_spacing    S = 2 × H × tan(θ/2) / minimum overlap / S = k × H, plus a grid for a room
+// - room_rt60          Sabine, Norris-Eyring and Arau-Puchades per octave band for a rectangular room
+// - critical_distance  Dc = 0.141 × √(Q × R), R from a room constant or a room description
+// - speech_intelligibility  estimated STI (IEC 60268-16) with rating, Dc and D/R
+//
+// The math lives in ../shared/calc (unit-agnostic); this file handles units, defaults,
+// rounding and the assumptions the model is asked to state. Every result carries
+// `formula` and `assumptions`; bad input comes back as { error } for the model to relay.
+//
+// createToolbox() is per request: { definitions, call(name, argumentsJson), calls }, where
+// `calls` records what ran (for the TEST LOGGING debug payload). LUCIUS_TOOLS=0 disables.
+
+const spacingCalc = require("../shared/calc/spacing");
+const acoustics = require("../shared/calc/acoustics");
+const { MATERIALS, getMaterial } = require("../shared/calc/materials");
+const stiCalc = require("../shared/calc/sti");
+
+const TOOLS_ENABLED = String(process.env.LUCIUS_TOOLS || "1") !== "0";
+
+const DEFAULT_LISTENER_HEIGHT = { ft: 4, m: 1.2 }; // seated ear height
+
+// ---------- Schemas ----------
+
+const UNITS = { type: "string", enum: ["ft", "m"], description: "Length unit for every input and output (default ft)." };
+
+const MATERIAL_IDS = Object.keys(MATERIALS);
+const MATERIAL = {
+  type: ["string", "number"],
+  description:
+    "Finish: a material id (" + MATERIAL_IDS.join(", ") + ") or one absorption coefficient for every band.",
+};
+
+const ROOM_PROPERTIES = {
+  length: { type: "number", description: "Room length." },
+  width: { type: "number", description: "Room width." },
+  height: { type: "number", description: "Room height (floor to ceiling)." },
+  floor: MATERIAL,
+  ceiling: MATERIAL,
+  walls: MATERIAL,
+  units: UNITS,
+};
+
+const DEFINITIONS = [
+  {
+    name: "speaker_spacing",
+    description:
+      "Distributed ceiling loudspeaker spacing per the System Designer engineering model, and optionally the grid for a rectangular room. Use for any spacing, speaker count or coverage-radius question.",
+    parameters: {
+      type: "object",
+      properties: {
+        ceiling_height: { type: "number", description: "Ceiling (speaker) height above the floor." },
+        listener_height: { type: "number", description: "Ear height above the floor (default 4 ft / 1.2 m seated)." },
+        coverage_angle: { type: "number", description: "Nominal conical coverage angle in degrees." },
+        mode: { type: "string", enum: spacingCalc.SPACING_MODES, description: "Spacing model (default edge-to-edge)." },
+        k: { type: "number", description: "Multiplier for center-to-center S = k × H (default 1)." },
+        overlap_percent: { type: "number", description: "Circle overlap for minimum-overlap mode (default 29.3)." },
+        room_length: { type: "number", description: "Optional room length, to size the grid." },
+        room_width: { type: "number", description: "Optional room width, to size the grid." },
+        units: UNITS,
+      },
+      required: ["ceiling_height"],
+    },
+  },
+  {
+    name: "room_rt60",
+    description:
+      "RT60 by Sabine, Norris-Eyring and Arau-Puchades in octave bands (63 Hz–8 kHz) for a rectangular room with floor, ceiling and wall finishes.",
+    parameters: {
+      type: "object",
+      properties: ROOM_PROPERTIES,
+      required: ["length", "width", "height", "floor", "ceiling", "walls"],
+    },
+  },
+  {
+    name: "critical_distance",
+    description:
+      "Critical distance Dc = 0.141 × √(Q × R). Give Q and either room_constant or a rectangular room with finishes (R from the 500 Hz–1 kHz average absorption).",
+    parameters: {
+      type: "object",
+      properties: {
+        q: { type: "number", description: "Loudspeaker directivity factor Q (e.g. 2 for a hemispherical ceiling speaker)." },
+        room_constant: { type: "number", description: "Room constant R in ft² or m², if already known." },
+        ...ROOM_PROPERTIES,
+      },
+      required: ["q"],
+    },
+  },
+  {
+    name: "speech_intelligibility",
+    description:
+      "Estimated STI per IEC 60268-16 with its rating (Excellent … Bad), critical distance and D/R at the listener, checked against the 0.50 mass-notification and 0.60 critical-speech targets. Give rt60 with volume and surface_area, or a rectangular room with finishes.",
+    parameters: {
+      type: "object",
+      properties: {
+        rt60: {
+          type: ["number", "array"],
+          items: { type: "number" },
+          description: "RT60 in seconds: one value, or eight per octave band 63 Hz–8 kHz. Omit to compute it from the room finishes.",
+        },
+        volume: { type: "number", description: "Room volume (ft³ or m³), when rt60 is given." },
+        surface_area: { type: "number", description: "Total room surface area (ft² or m²), when rt60 is given." },
+        q: { type: "number", description: "Loudspeaker directivity factor Q." },
+        n: { type: "number", description: "N factor: total radiated power over the power of the speakers giving the direct sound (default 1)." },
+        distance: { type: "number", description: "Distance from the nearest speaker to the listener's ears." },
+        speech_level: { type: "number", description: "Speech level at the listener in dBA (needed with noise)." },
+        noise: {
+          type: ["number", "string", "array"],
+          items: { type: "number" },
+          description: `Background noise: one dB SPL value, eight per octave band 63 Hz–8 kHz, or a curve (${Object.keys(stiCalc.NC_CURVES).join(", ")}). Omit for noise-free STI.`,
+        },
+        ...ROOM_PROPERTIES,
+      },
+      required: ["q", "distance"],
+    },
+  },
+];
+
+// ---------- Helpers ----------
+
+function round(n, digits = 2) {
+  if (n === null || n === undefined) return null;
+  const f = 10 ** digits;
+  return Math.round(n * f) / f;
+}
+
+function unitsOf(args) {
+  const units = String(args.units || "ft").toLowerCase();
+  if (units !== "ft" && units !== "m") {
+    const e = new Error('units must be "ft" or "m".');
+    e.code = "BAD_INPUT";
+    throw e;
+  }
+  return units;
+}
+
+function materialLabel(material) {
+  if (typeof material === "number") return `α ${material} (all bands)`;
+  const found = getMaterial(material);
+  return found ? found.label : String(material);
+}
+
+function roomFrom(args) {
+  return acoustics.shoeboxRoom({
+    length: args.length,
+    width: args.width,
+    height: args.height,
+    floor: args.floor,
+    ceiling: args.ceiling,
+    walls: args.walls,
+  });
+}
+
+// ---------- Calculators ----------
+
+function speakerSpacing(args) {
+  const units = unitsOf(args);
+  const listenerHeight = args.listener_height ?? DEFAULT_LISTENER_HEIGHT[units];
+  const result = spacingCalc.speakerSpacing({
+    ceilingHeight: args.ceiling_height,
+    listenerHeight,
+    coverageAngle: args.coverage_angle,
+    mode: args.mode,
+    k: args.k,
+    overlap: args.overlap_percent !== undefined && args.overlap_percent !== null ? args.overlap_percent / 100 : undefined,
+  });
+
+  const formula = {
+    "edge-to-edge": "S = 2 × H × tan(θ/2)",
+    "minimum-overlap": "S = 2 × H × tan(θ/2) × (1 − overlap)",
+    "center-to-center": "S = k × H",
+  }[result.mode];
+
+  const out = {
+    units,
+    mode: result.mode,
+    formula,
+    listener_height: round(listenerHeight),
+    height_above_listeners: round(result.height),
+    coverage_radius: round(result.radius),
+    spacing: round(result.spacing),
+    overlap_percent: result.overlap === null ? null : round(result.overlap * 100, 1),
+    k: result.k,
+    assumptions: [
+      "H is measured from the listening plane, not the floor" +
+        (args.listener_height === undefined || args.listener_height === null ? ` (seated ears assumed at ${listenerHeight} ${units})` : ""),
+      "Nominal conical coverage, symmetric about the speaker axis; a layout rule, not an SPL prediction",
+    ],
+  };
+
+  if (args.room_length && args.room_width) {
+    const grid = spacingCalc.gridLayout({ length: args.room_length, width: args.room_width, spacing: result.spacing });
+    out.grid = {
+      along_length: grid.countX,
+      along_width: grid.countY,
+      total: grid.count,
+      pitch_length: round(grid.pitchX),
+      pitch_width: round(grid.pitchY),
+      first_speaker_from_walls: [round(grid.edgeX), round(grid.edgeY)],
+    };
+    out.assumptions.push("Counts round up so no pitch exceeds the spacing; speakers centred with half a pitch to each wall");
+  }
+  return out;
+}
+
+function roomRt60(args) {
+  const units = unitsOf(args);
+  const result = acoustics.rt60Bands(roomFrom(args), units);
+
+  return {
+    units,
+    formula: `Sabine RT60 = ${acoustics.SABINE_CONSTANT[units]} × V / A; Eyring RT60 = ${acoustics.SABINE_CONSTANT[units]} × V / (−S ln(1 − ᾱ)); Arau-Puchades RT60 = Π Eyring(ᾱ per axis) ^ (axis area / S)`,
+    volume: round(result.volume, 1),
+    surface_area: round(result.area, 1),
+    materials: { floor: materialLabel(args.floor), ceiling: materialLabel(args.ceiling), walls: materialLabel(args.walls) },
+    bands: result.bands.map((b) => ({
+      hz: b.hz,
+      mean_alpha: round(b.meanAlpha, 3),
+      sabine_s: round(b.sabine),
+      eyring_s: round(b.eyring),
+      arau_s: round(b.arau),
+    })),
+    mid_500_1k: {
+      mean_alpha: round(result.mid.meanAlpha, 3),
+      sabine_s: round(result.mid.sabine),
+      eyring_s: round(result.mid.eyring),
+      arau_s: round(result.mid.arau),
+    },
+    assumptions: [
+      "Empty rectangular room, diffuse field, no furniture or occupants unless given as a finish",
+      "Typical published coefficients; 63 Hz and 8 kHz repeat the 125 Hz and 4 kHz values",
+      "No air absorption (reads slightly long at 4–8 kHz in large rooms)",
+    ],
+  };
+}
+
+function criticalDistance(args) {
+  const units = unitsOf(args);
+  let r = args.room_constant;
+  let meanAlpha = null;
+  const assumptions = [];
+
+  if (r === undefined || r === null) {
+    const result = acoustics.rt60Bands(roomFrom(args), units);
+    meanAlpha = result.mid.meanAlpha;
+    r = acoustics.roomConstant(result.area, meanAlpha);
+    assumptions.push("R = S ᾱ / (1 − ᾱ) with ᾱ averaged over 500 Hz and 1 kHz");
+  }
+  assumptions.push("Single source with directivity Q in a diffuse reverberant field");
+
+  return {
+    units,
+    formula: "Dc = 0.141 × √(Q × R)",
+    q: args.q,
+    room_constant: round(r, 1),
+    mean_alpha: meanAlpha === null ? null : round(meanAlpha, 3),
+    critical_distance: round(acoustics.criticalDistance(args.q, r)),
+    assumptions,
+  };
+}
+
+function speechIntelligibility(args) {
+  const units = unitsOf(args);
+  const assumptions = [];
+  let { rt60, volume, surface_area: surface } = args;
+
+  if (rt60 === undefined || rt60 === null) {
+    const result = acoustics.rt60Bands(roomFrom(args), units);
+    rt60 = result.bands.map((b) => b.arau);
+    volume = result.volume;
+    surface = result.area;
+    assumptions.push("RT60 per band by Arau-Puchades from the room finishes");
+  }
+
+  let noise = args.noise;
+  if (typeof noise === "string") {
+    noise = stiCalc.NC_CURVES[noise.trim().toUpperCase().replace(/^NC\s*-?\s*/, "NC-")];
+    if (!noise) {
+      const e = new Error(`noise curve must be one of ${Object.keys(stiCalc.NC_CURVES).join(", ")}.`);
+      e.code = "BAD_INPUT";
+      throw e;
+    }
+  }
+
+  const result = stiCalc.estimateSti({
+    rt60,
+    volume,
+    surface,
+    q: args.q,
+    n: args.n,
+    distance: args.distance,
+    speechLevel: args.speech_level,
+    noise,
+    units,
+  });
+
+  assumptions.push(
+    noise === undefined || noise === null ? "No background noise (noise-free STI)" : "IEC 60268-16 male speech spectrum against the given noise",
+    "Indirect method from RT60, D/R and S/N; no auditory masking; diffuse reverberant field",
+    (args.n === undefined || args.n === null ? "N = 1 (single source)" : `N = ${args.n}`) + ", Dc and D/R from the 500 Hz–1 kHz average absorption"
+  );
+
+  return {
+    units,
+    formula: "m(F) = |D/R + 1/(1 + j2πFT/13.8)| / (D/R + 1) × 1/(1 + 10^(−S/N/10)); STI = Σ αₖ MTIₖ − Σ βₖ √(MTIₖ MTIₖ₊₁); D/R = Q R / (16π r² N)",
+    sti: round(result.sti),
+    rating: result.rating,
+    meets_mass_notification_0_50: result.meets.massNotification,
+    meets_critical_speech_0_60: result.meets.criticalSpeech,
+    critical_distance: round(result.criticalDistance),
+    distance: args.distance,
+    direct_to_reverberant_db: round(result.drDb, 1),
+    room_constant: round(result.roomConstant, 1),
+    bands: result.bands.map((b) => ({
+      hz: b.hz,
+      rt60_s: round(b.rt60),
+      direct_to_reverberant_db: round(b.drDb, 1),
+      signal_to_noise_db: Number.isFinite(b.snr) ? round(b.snr, 1) : null,
+      mti: round(b.mti, 3),
+    })),
+    assumptions,
+  };
+}
+
+const HANDLERS = {
+  speaker_spacing: speakerSpacing,
+  room_rt60: roomRt60,
+  critical_distance: criticalDistance,
+  speech_intelligibility: speechIntelligibility,
+};
+
+// ---------- Toolbox ----------
+
+// -> JSON string for the model; never throws
+function runTool(name, argumentsJson) {
+  const handler = HANDLERS[name];
+  if (!handler) return JSON.stringify({ error: `Unknown tool "${name}".` });
+
+  let args;
+  try {
+    args = typeof argumentsJson === "string" ? JSON.parse(argumentsJson || "{}") : argumentsJson || {};
+  } catch {
+    return JSON.stringify({ error: "Arguments were not valid JSON." });
+  }
+
+  try {
+    return JSON.stringify(handler(args));
+  } catch (e) {
+    if (e.code !== "BAD_INPUT") return JSON.stringify({ error: "Calculation failed." });
+    const out = { error: e.message };
+    if (/material/.test(e.message)) out.known_materials = MATERIAL_IDS;
+    return JSON.stringify(out);
+  }
+}
+
+function createToolbox() {
+  const calls = [];
+  return {
+    definitions: DEFINITIONS,
+    calls,
+    async call(name, argumentsJson) {
+      const output = runTool(name, argumentsJson);
+      calls.push({ name, arguments: argumentsJson, ok: !output.startsWith('{"error"') });
+      return output;
+    },
+  };
+}
+
+module.exports = {
+  TOOLS_ENABLED,
+  definitions: DEFINITIONS,
+  createToolbox,
+};
@@ -1,289 +1,228 @@
-// /api/lucius-web-chat/index.js
-// Azure Functions (Node) endpoint for Lucius website chat.
-// - Reads the two engineering MD docs from /docs/lucius/
-// - Calls OpenAI Responses API
-// - Returns a single text reply for the website widget
+// /api/ping/index.js
+// Health check for uptime monitoring: 200 when every check passes, 503 otherwise.
+//
+// GET /api/ping            -> { ok, status, failing: [...], checkedAt, probedAt }
+//   with the admin key     -> the same plus version and checks: { packs, localDocs, llm, downloads }
+//   (Authorization: Bearer <LUCIUS_ADMIN_KEY> or x-admin-key, as /api/lucius-admin)
+// GET /api/ping?probe=0    -> skip the outbound fetches (pack URLs, remote /downloads); cache/disk state only
+// HEAD /api/ping           -> status code only
+//
+// The route is anonymous, so the outbound fetches run at most once per HEALTH_PROBE_TTL_MS on
+// each instance (concurrent pings share one run); pings in between reuse those results.
+//
+// checks:
+// - packs      each Lucius prompt pack fetched (in parallel, see above), plus the age and source of
+//              the copy cached on this instance (../lucius-web-chat/packs.js)
+// - localDocs  the engineering docs the chat falls back to when a pack can't be fetched
+// - llm        provider, model and whether its API key is configured (never the key itself)
+// - downloads  every file in the download allowlist (../shared/releases.json) exists in /downloads.
+//              Checked on disk when /downloads sits next to /api (local dev), otherwise with
+//              HEAD requests against HEALTH_SITE_BASE (the deployed API can't see static files)
+//
+// Version: api/build.json (written by the deploy workflow: commit, ref, run, builtAt), the
+// api package version and the newest release the site serves.
+//
+// Env (optional): HEALTH_SITE_BASE (default https://www.bimacoustics.net),
+//                 HEALTH_TIMEOUT_MS per outbound request (default 5000),
+//                 HEALTH_PROBE_TTL_MS reuse of the outbound results (default 60000)
 
 const fs = require("fs");
 const path = require("path");
+const { httpsRequest, withTimeout } = require("../shared/http");
+const { checkKey } = require("../shared/auth");
+const { loadCatalog, checksumEntries, resolveRelease } = require("../shared/releases");
+const promptPacks = require("../lucius-web-chat/packs");
+const { describeProvider } = require("../lucius-web-chat/providers");
 
-const OPENAI_API_KEY = process.env.OPENAI_API_KEY || process.env.OPENAI_KEY;
-const OPENAI_MODEL = process.env.OPENAI_MODEL || "gpt-5.2"; // safe default per OpenAI quickstart
-const OPENAI_API_BASE = process.env.OPENAI_API_BASE || "https://api.openai.com";
+const SITE_BASE = (process.env.HEALTH_SITE_BASE || "https://www.bimacoustics.net").replace(/\/+$/, "");
+const TIMEOUT_MS = Number(process.env.HEALTH_TIMEOUT_MS || 5000);
+const PROBE_TTL_MS = Number(process.env.HEALTH_PROBE_TTL_MS || 60 * 1000);
 
-let _cachedDocs = null;
-let _cachedDocsMtimeKey = null;
+const API_ROOT = path.join(__dirname, "..");
+const LOCAL_DOWNLOADS_DIR = path.join(API_ROOT, "..", "downloads");
 
-function tryReadFileUtf8(filePath) {
+// ---------- Helpers ----------
+
+function readJson(filePath) {
   try {
-    return fs.readFileSync(filePath, "utf8");
+    return JSON.parse(fs.readFileSync(filePath, "utf8"));
   } catch {
     return null;
   }
 }
 
-function getRepoRoot() {
-  // This function runs at: /api/lucius-web-chat/index.js
-  // Repo root is two levels up from /api/lucius-web-chat
-  return path.resolve(__dirname, "..", "..");
+function errorMessage(e) {
+  return e && e.message ? String(e.message) : "failed";
 }
 
-function loadLuciusDocs() {
-  const repoRoot = getRepoRoot();
-  const docsDir = path.join(repoRoot, "docs", "lucius");
-
-  const engineeringModelPath = path.join(docsDir, "System_Designer_Engineering_Model.md");
-  const responsesPath = path.join(docsDir, "Lucius_Website_Engineering_Responses.md");
-
-  // Create a simple cache key based on mtimes so we can hot-update without redeploying
-  const parts = [];
-  for (const p of [engineeringModelPath, responsesPath]) {
-    try {
-      const stat = fs.statSync(p);
-      parts.push(`${p}:${stat.mtimeMs}`);
-    } catch {
-      parts.push(`${p}:missing`);
-    }
-  }
-  const mtimeKey = parts.join("|");
-
-  if (_cachedDocs && _cachedDocsMtimeKey === mtimeKey) return _cachedDocs;
+// ---------- Checks ----------
 
-  const engineeringModel = tryReadFileUtf8(engineeringModelPath);
-  const engineeringResponses = tryReadFileUtf8(responsesPath);
-
-  _cachedDocs = {
-    docsDir,
-    engineeringModelPath,
-    responsesPath,
-    engineeringModel,
-    engineeringResponses,
+function versionInfo() {
+  const pkg = readJson(path.join(API_ROOT, "package.json")) || {};
+  let latestRelease = null;
+  try {
+    const latest = resolveRelease(loadCatalog(), "latest");
+    latestRelease = latest ? latest.version : null;
+  } catch {}
+
+  return {
+    build: readJson(path.join(API_ROOT, "build.json")),
+    api: pkg.version || null,
+    latestRelease,
+    node: process.version,
   };
-  _cachedDocsMtimeKey = mtimeKey;
-
-  return _cachedDocs;
 }
 
-function parseUserMessage(req) {
-  // Support a few common payload shapes from chat widgets.
-  // Prefer: req.body.message (string)
-  // Also accept: req.body.input, req.body.text
-  // Also accept: req.body.messages (array) and take the last user content
-  const body = req.body || {};
-
-  if (typeof body.message === "string" && body.message.trim()) return body.message.trim();
-  if (typeof body.input === "string" && body.input.trim()) return body.input.trim();
-  if (typeof body.text === "string" && body.text.trim()) return body.text.trim();
-
-  if (Array.isArray(body.messages) && body.messages.length) {
-    // Try to find the last user-ish message
-    for (let i = body.messages.length - 1; i >= 0; i--) {
-      const m = body.messages[i];
-      const role = (m && m.role) ? String(m.role).toLowerCase() : "";
-      const content = m && (m.content ?? m.text ?? m.message);
-      if ((role === "user" || role === "human" || role === "") && typeof content === "string" && content.trim()) {
-        return content.trim();
-      }
-    }
+// live: probePacks() results, or null when not probing
+function checkPacks(live) {
+  const cache = promptPacks.packCacheStatus();
+  const fetched = cache.fetched || {};
+
+  const packs = {};
+  for (const [packKey, url] of Object.entries(promptPacks.PACK_URLS)) {
+    const cached = fetched[packKey];
+    packs[packKey] = {
+      url,
+      fetch: live ? live[packKey] : null,
+      // What this instance is serving right now (null until the chat has loaded packs)
+      cachedSource: cached ? cached.source : null,
+      cachedVersion: cached ? cached.version : null,
+      cachedAgeMs: cached ? cache.ageMs : null,
+    };
   }
 
-  // Fall back to raw body if it is a string
-  if (typeof body === "string" && body.trim()) return body.trim();
-
-  return "";
-}
-
-function buildDeveloperInstructions(docs) {
-  // This is the “Lucius brain contract” for the website.
-  // Keep it stable and grounded; the docs provide the technical substance.
-  const hardRules = `
-You are Lucius, the technically credible engineering explainer for the BIM Acoustics website.
-
-Identity / facts:
-- Company: BIM Acoustics (J. Stevens BIM Acoustics)
-- Founder: Jerrold Stevens
-- Canonical product name: "AVToolsSystemDesigner add-in for Revit (Distributed Systems)"
-  - After first use, you may shorten to "System Designer".
-
-Tone rules:
-- Professional, informative, confident.
-- Do NOT be evasive. If something is unknown or out of scope, say so plainly and suggest the right next step.
-- Do NOT be salesy. Do not push early access unless the user asks how to buy/try/get access.
-
-Technical truth rules:
-- Be transparent about assumptions and limits.
-- Do NOT claim acoustic simulation (no SPL maps/STI/EASE prediction).
-- v1 includes geometric layout + spacing + tap recommendation based on target SPL.
-- Pro roadmap may include amplifier loading, circuiting, and line-loss modeling, but do NOT imply those exist today.
-
-Answer behavior:
-- When asked “what formula,” provide the canonical form(s) shown in the engineering docs (symbolic form is OK).
-- Prefer concise answers (1–6 short paragraphs). Use bullets when it improves clarity.
-- If user says “This is Jerrold”, respond: "If you’re Jerrold Stevens (founder of BIM Acoustics), welcome back — how can I help?"
-`.trim();
-
-  const engineeringModel = docs.engineeringModel || "(Engineering model document not found on server.)";
-  const engineeringResponses = docs.engineeringResponses || "(Engineering responses document not found on server.)";
-
-  // Provide the documents as reference context. The model should follow them.
-  return `
-${hardRules}
-
-REFERENCE DOCUMENT 1 — System Designer Engineering Model:
----
-${engineeringModel}
----
-
-REFERENCE DOCUMENT 2 — Lucius Website Engineering Responses:
----
-${engineeringResponses}
----
-`.trim();
+  return {
+    ok: live ? Object.values(live).every((r) => r.ok) : true,
+    probed: !!live,
+    cache: {
+      loadedAt: cache.loadedAt,
+      expiresAt: cache.expiresAt,
+      ageMs: cache.ageMs,
+      fresh: cache.fresh,
+      ttlMs: cache.ttlMs,
+    },
+    packs,
+  };
 }
 
-async function callOpenAI({ developerText, userText }) {
-  if (!OPENAI_API_KEY) {
-    const e = new Error("Missing OPENAI_API_KEY environment variable.");
-    e.code = "NO_API_KEY";
-    throw e;
-  }
-
-  const url = `${OPENAI_API_BASE.replace(/\/+$/, "")}/v1/responses`;
-
-  const payload = {
-    model: OPENAI_MODEL,
-    // Keep cost controlled; you can adjust later via env.
-    reasoning: { effort: "low" },
-    input: [
-      { role: "developer", content: developerText },
-      { role: "user", content: userText },
-    ],
+function checkLocalDocs() {
+  const docs = promptPacks.findLocalDocs();
+  return {
+    ok: !!(docs.engineeringModelPath && docs.engineeringResponsesPath),
+    engineeringModel: docs.engineeringModelPath ? path.basename(docs.engineeringModelPath) : null,
+    engineeringResponses: docs.engineeringResponsesPath ? path.basename(docs.engineeringResponsesPath) : null,
   };
+}
 
-  const resp = await fetch(url, {
-    method: "POST",
-    headers: {
-      "Authorization": `Bearer ${OPENAI_API_KEY}`,
-      "Content-Type": "application/json",
-    },
-    body: JSON.stringify(payload),
-  });
-
-  const data = await resp.json().catch(() => ({}));
-
-  if (!resp.ok) {
-    const msg =
-      (data && data.error && data.error.message) ||
-      `OpenAI API error (${resp.status})`;
-    const err = new Error(msg);
-    err.status = resp.status;
-    err.details = data;
-    throw err;
-  }
+function checkLlm() {
+  const info = describeProvider();
+  return { ok: !!info.provider && (!info.keyRequired || info.keyConfigured), ...info };
+}
 
-  // Responses API returns a convenience field `output_text` in many SDK examples.
-  // If not present, fall back to digging through output.
-  if (typeof data.output_text === "string" && data.output_text.trim()) {
-    return data.output_text.trim();
+async function fileExistsRemote(file) {
+  const url = `${SITE_BASE}/downloads/${encodeURIComponent(file)}`;
+  try {
+    const resp = await withTimeout(httpsRequest(url, "HEAD", { "User-Agent": "bimacoustics-health/1.0" }, null), TIMEOUT_MS);
+    return { exists: resp.ok, status: resp.status, error: resp.ok ? null : `HTTP ${resp.status}` };
+  } catch (e) {
+    return { exists: false, status: null, error: errorMessage(e) };
   }
+}
 
-  // Fallback extraction (best-effort)
+function downloadEntries() {
   try {
-    const out = data.output || [];
-    for (const item of out) {
-      // Look for message-like content blocks
-      if (item && item.type === "message" && Array.isArray(item.content)) {
-        const textParts = item.content
-          .filter((c) => c && (c.type === "output_text" || c.type === "text") && typeof c.text === "string")
-          .map((c) => c.text);
-        if (textParts.length) return textParts.join("\n").trim();
-      }
-    }
-  } catch {
-    // ignore
+    return { entries: checksumEntries(loadCatalog()), error: null };
+  } catch (e) {
+    return { entries: [], error: "releases.json unreadable: " + errorMessage(e) };
   }
-
-  // Last resort
-  return "I’m here, but I couldn’t parse the model output. Please try again.";
 }
 
-module.exports = async function (context, req) {
-  // Basic CORS (adjust allowed origin if you want to lock it down)
-  const corsHeaders = {
-    "Access-Control-Allow-Origin": "*",
-    "Access-Control-Allow-Methods": "POST, OPTIONS",
-    "Access-Control-Allow-Headers": "Content-Type, Authorization",
-  };
+// remote: file -> fileExistsRemote() result, or null when not probing
+function checkDownloads(remote) {
+  const { entries, error } = downloadEntries();
+  if (error) return { ok: false, error, files: [] };
 
-  // Preflight
-  if (req.method === "OPTIONS") {
-    context.res = { status: 204, headers: corsHeaders };
-    return;
-  }
+  const local = fs.existsSync(LOCAL_DOWNLOADS_DIR);
+  if (!local && !remote) return { ok: true, source: "skipped", files: entries.map((e) => ({ key: e.key, file: e.file })) };
 
-  // Simple health check support (optional)
-  if (req.method === "GET") {
-    context.res = { status: 200, headers: corsHeaders, body: { ok: true, service: "lucius-web-chat" } };
-    return;
-  }
-function logTranscriptEvent(context, payload) {
-  try {
-    // Truncate to avoid App Insights size/serialization issues
-    const safePayload = {
-      ts: payload.ts,
-      sessionId: payload.sessionId,
-      page: payload.page,
-      model: payload.model,
-      user: typeof payload.user === "string" ? payload.user.slice(0, 2000) : null,
-      lucius: typeof payload.lucius === "string" ? payload.lucius.slice(0, 4000) : null
-    };
+  const files = entries.map((e) => {
+    const result = local
+      ? { exists: fs.existsSync(path.join(LOCAL_DOWNLOADS_DIR, e.file)), status: null, error: null }
+      : remote[e.file] || { exists: false, status: null, error: "not probed" };
+    return { key: e.key, file: e.file, ...result };
+  });
+  const missing = files.filter((f) => !f.exists).map((f) => f.file);
 
-    context.log("LUCIUS_TRANSCRIPT " + JSON.stringify(safePayload));
-  } catch (e) {
-    // NEVER allow logging to break chat
-    context.log.warn("Lucius transcript logging failed:", e && e.message);
-  }
+  return { ok: missing.length === 0, source: local ? "disk" : SITE_BASE, missing, files };
 }
 
+// ---------- Outbound probes (cached) ----------
 
-  try {
-    const userText = parseUserMessage(req);
+let _probe = { at: 0, results: null, pending: null };
 
-    if (!userText) {
-      context.res = {
-        status: 400,
-        headers: corsHeaders,
-        body: { ok: false, error: "Missing user message. Send { message: \"...\" }." },
-      };
-      return;
-    }
+async function runProbes() {
+  const remoteFiles = fs.existsSync(LOCAL_DOWNLOADS_DIR) ? [] : downloadEntries().entries.map((e) => e.file);
+  const [live, remote] = await Promise.all([
+    promptPacks.probePacks({ timeoutMs: TIMEOUT_MS }),
+    Promise.all(remoteFiles.map(async (file) => [file, await fileExistsRemote(file)])),
+  ]);
+  return { live, remote: Object.fromEntries(remote) };
+}
 
-    const docs = loadLuciusDocs();
-    const developerText = buildDeveloperInstructions(docs);
+// -> { live, remote, probedAt }; fetches again only once the last results are PROBE_TTL_MS old
+function probeResults(now = Date.now()) {
+  if (_probe.pending) return _probe.pending;
+  if (_probe.results && now - _probe.at < PROBE_TTL_MS) return Promise.resolve(_probe.results);
+
+  _probe.pending = runProbes()
+    .then((results) => {
+      const at = Date.now();
+      _probe = { at, results: { ...results, probedAt: new Date(at).toISOString() }, pending: null };
+      return _probe.results;
+    })
+    .finally(() => {
+      _probe.pending = null;
+    });
+  return _probe.pending;
+}
 
-    const reply = await callOpenAI({ developerText, userText });
+// ---------- Handler ----------
 
-    context.res = {
-      status: 200,
-      headers: { ...corsHeaders, "Content-Type": "application/json" },
-      body: {
-        ok: true,
-        reply,
-        model: OPENAI_MODEL,
-      },
-    };
-  } catch (err) {
-    const status = err && err.code === "NO_API_KEY" ? 500 : (err.status || 500);
+module.exports = async function (context, req) {
+  const probe = String((req.query && req.query.probe) || "1") !== "0";
+  const detailed = checkKey(req, process.env.LUCIUS_ADMIN_KEY).ok;
+
+  const probed = probe ? await probeResults() : { live: null, remote: null, probedAt: null };
+  const checks = {
+    packs: checkPacks(probed.live),
+    localDocs: checkLocalDocs(),
+    llm: checkLlm(),
+    downloads: checkDownloads(probed.remote),
+  };
 
-    context.log.error("Lucius error:", err);
+  const failing = Object.keys(checks).filter((name) => !checks[name].ok);
+  const ok = failing.length === 0;
 
-    context.res = {
-      status,
-      headers: { ...corsHeaders, "Content-Type": "application/json" },
-      body: {
-        ok: false,
-        error: err.message || "Unknown error",
-      },
-    };
+  if (!ok) {
+    try {
+      context.log.warn("Health check failing: " + failing.join(", "));
+    } catch {}
   }
+
+  context.res = {
+    status: ok ? 200 : 503,
+    headers: { "Content-Type": "application/json", "Cache-Control": "no-store" },
+    body:
+      req.method === "HEAD"
+        ? undefined
+        : {
+            ok,
+            status: ok ? "healthy" : "unhealthy",
+            failing,
+            checkedAt: new Date().toISOString(),
+            probedAt: probed.probedAt,
+            // Model, build and URLs only for the admin key
+            ...(detailed ? { version: versionInfo(), checks } : {}),
+          },
+  };
 };
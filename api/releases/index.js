@@ -0,0 +1,30 @@
+// /api/releases/index.js
+// Public release catalog (from ../shared/releases.json) so pages render versions,
+// Revit ranges, download links and checksums from one place.
+//
+// GET /api/releases               -> { product, publisher, latest: { alias: key }, releases: [...] }
+// GET /api/releases?channel=legacy -> only that channel
+
+const { CHANNELS, loadCatalog, publicCatalog } = require("../shared/releases");
+
+module.exports = async function (context, req) {
+  const channel = req.query && req.query.channel ? String(req.query.channel).toLowerCase() : null;
+
+  if (channel && !CHANNELS.includes(channel)) {
+    context.res = {
+      status: 400,
+      headers: { "Content-Type": "application/json" },
+      body: { ok: false, error: `Unknown channel. Use one of: ${CHANNELS.join(", ")}.` },
+    };
+    return;
+  }
+
+  context.res = {
+    status: 200,
+    headers: {
+      "Content-Type": "application/json",
+      "Cache-Control": "public, max-age=300",
+    },
+    body: { ok: true, ...publicCatalog(loadCatalog(), { channel }) },
+  };
+};
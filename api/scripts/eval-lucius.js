@@ -0,0 +1,303 @@
+#!/usr/bin/env node
+// /api/scripts/eval-lucius.js
+// Golden-question evaluation for Lucius: runs every question in lucius-eval/golden.json
+// through the real chat handler (packs, retrieval, prompt, provider, citation stripping)
+// and checks the answers, so a pack or prompt edit that breaks a hard rule shows up.
+//
+//   node api/scripts/eval-lucius.js                      offline: recorded fixtures + this checkout's packs
+//   node api/scripts/eval-lucius.js --provider openai    live model (needs its usual env, e.g. OPENAI_API_KEY)
+//   node api/scripts/eval-lucius.js --packs local,live   one report per pack source, side by side
+//
+// Options:
+//   --provider <name>    LUCIUS_LLM_PROVIDER to use (default fixture)
+//   --model <name>       model / deployment override
+//   --fixtures <file>    replies for the fixture provider (default lucius-eval/fixtures.json)
+//   --record <file>      write this run's replies as a fixtures file (for later offline runs)
+//   --packs <list>       comma-separated: local (/lucius/packs in this checkout), live
+//                        (LUCIUS_PACK_BASE or the website), or a pack base URL (default local)
+//   --only <ids>         comma-separated case ids; --category <name> one category
+//   --json <file>        also write the full report as JSON
+//   --verbose            print every reply and the handler's log lines
+//
+// Assertions per case (phrases match case-insensitively; "/re/flags" is a regex):
+//   exact           whole reply, ignoring quote style, bold markers and whitespace
+//   mustInclude     every phrase        mustIncludeAny   at least one phrase
+//   mustNotInclude  none of the phrases facts            named entries of the "facts" map
+//   language        en | de | fr | es (guard.js heuristic)   maxChars   reply length ceiling
+//
+// Results are grouped by pack version (front-matter "version" of each pack).
+// Exits 1 when any case fails.
+
+const fs = require("fs");
+const http = require("http");
+const os = require("os");
+const path = require("path");
+
+const ROOT = path.resolve(__dirname, "..", "..");
+const EVAL_DIR = path.join(__dirname, "lucius-eval");
+const LOCAL_PACKS_DIR = path.join(ROOT, "lucius", "packs");
+
+const argv = process.argv.slice(2);
+
+function argValue(name, fallback = null) {
+  const i = argv.indexOf(name);
+  return i >= 0 && i + 1 < argv.length ? argv[i + 1] : fallback;
+}
+
+function argList(name) {
+  const v = argValue(name);
+  return v ? v.split(",").map((s) => s.trim()).filter(Boolean) : [];
+}
+
+const PROVIDER = argValue("--provider", "fixture");
+const MODEL = argValue("--model");
+const FIXTURES = path.resolve(argValue("--fixtures", path.join(EVAL_DIR, "fixtures.json")));
+const RECORD = argValue("--record");
+const JSON_OUT = argValue("--json");
+const PACK_SOURCES = argList("--packs").length ? argList("--packs") : ["local"];
+const ONLY = new Set(argList("--only"));
+const CATEGORY = argValue("--category");
+const VERBOSE = argv.includes("--verbose");
+
+// The handler reads these when it first builds its provider / rate limiter / pack store.
+process.env.LUCIUS_LLM_PROVIDER = PROVIDER;
+if (PROVIDER === "fixture" || PROVIDER === "echo") process.env.LUCIUS_FIXTURE_FILE = FIXTURES;
+process.env.LUCIUS_PACK_LKG_DIR = fs.mkdtempSync(path.join(os.tmpdir(), "lucius-eval-"));
+process.env.LUCIUS_RL_IP_CAPACITY = "100000";
+process.env.LUCIUS_DAILY_BUDGET_USD = "0";
+
+const chat = require("../lucius-web-chat");
+const promptPacks = require("../lucius-web-chat/packs");
+const { detectLanguage } = require("../lucius-web-chat/guard");
+const providers = require("../lucius-web-chat/providers");
+
+// ---------- Assertions ----------
+
+function toMatcher(phrase) {
+  const re = /^\/(.+)\/([a-z]*)$/.exec(String(phrase));
+  if (re) return { label: phrase, test: (text) => new RegExp(re[1], re[2]).test(text) };
+  const needle = String(phrase).toLowerCase();
+  return { label: JSON.stringify(phrase), test: (text) => text.toLowerCase().includes(needle) };
+}
+
+function normalizeExact(text) {
+  return String(text || "")
+    .replace(/[“”„"]/g, '"')
+    .replace(/[‘’']/g, "'")
+    .replace(/\*\*/g, "")
+    .replace(/\s+/g, " ")
+    .trim()
+    .replace(/^"(.*)"$/, "$1");
+}
+
+// -> list of failure messages (empty when the reply passes)
+function checkReply(testCase, reply, facts) {
+  const failures = [];
+  const text = String(reply || "");
+
+  if (testCase.exact !== undefined && normalizeExact(text) !== normalizeExact(testCase.exact)) {
+    failures.push("not the exact reply");
+  }
+  for (const m of (testCase.mustInclude || []).map(toMatcher)) {
+    if (!m.test(text)) failures.push(`missing ${m.label}`);
+  }
+  if (testCase.mustIncludeAny && !testCase.mustIncludeAny.map(toMatcher).some((m) => m.test(text))) {
+    failures.push(`none of ${testCase.mustIncludeAny.map((p) => JSON.stringify(p)).join(", ")}`);
+  }
+  for (const m of (testCase.mustNotInclude || []).map(toMatcher)) {
+    if (m.test(text)) failures.push(`forbidden ${m.label}`);
+  }
+  for (const name of testCase.facts || []) {
+    const phrases = facts[name];
+    if (!phrases) {
+      failures.push(`unknown fact "${name}"`);
+      continue;
+    }
+    for (const m of phrases.map(toMatcher)) {
+      if (!m.test(text)) failures.push(`fact ${name}: missing ${m.label}`);
+    }
+  }
+  if (testCase.language) {
+    const lang = detectLanguage(text);
+    if (lang !== testCase.language) failures.push(`answered in ${lang || "unknown"}, expected ${testCase.language}`);
+  }
+  if (testCase.maxChars && text.length > testCase.maxChars) {
+    failures.push(`${text.length} chars, max ${testCase.maxChars}`);
+  }
+
+  return failures;
+}
+
+// ---------- Packs ----------
+
+// Serves /lucius/packs from this checkout so offline runs use the packs being edited.
+function serveLocalPacks() {
+  return new Promise((resolve, reject) => {
+    const server = http.createServer((req, res) => {
+      const name = path.basename(decodeURIComponent(String(req.url).split("?")[0]));
+      const file = path.join(LOCAL_PACKS_DIR, name);
+      if (!name.endsWith(".md") || !fs.existsSync(file)) {
+        res.writeHead(404);
+        res.end();
+        return;
+      }
+      res.writeHead(200, { "Content-Type": "text/markdown; charset=utf-8" });
+      res.end(fs.readFileSync(file));
+    });
+    server.on("error", reject);
+    server.listen(0, "127.0.0.1", () => {
+      resolve({ base: `http://127.0.0.1:${server.address().port}`, close: () => server.close() });
+    });
+  });
+}
+
+function packBaseFor(source, localBase) {
+  if (source === "local") return localBase;
+  if (source === "live") return null; // app settings / website default
+  return source;
+}
+
+function packLabel(versions) {
+  const names = { core: "core", systemDesigner: "system-designer", websiteOverlay: "website-overlay" };
+  return Object.entries(names)
+    .map(([key, name]) => `${name}@${(versions && versions[key]) || "?"}`)
+    .join(" ");
+}
+
+// ---------- Running ----------
+
+async function ask(question) {
+  const lines = [];
+  const log = (...args) => lines.push(args.join(" "));
+  log.warn = log;
+  log.error = log;
+  log.info = log;
+
+  const context = { log, res: null };
+  await chat(context, {
+    method: "POST",
+    headers: { "user-agent": "lucius-eval/1.0", "x-forwarded-for": "192.0.2.10" },
+    query: {},
+    body: { message: question },
+  });
+  return { res: context.res || { status: 500, body: {} }, logs: lines };
+}
+
+async function runSuite(golden, cases, source, localBase) {
+  promptPacks.setPackBase(packBaseFor(source, localBase));
+
+  const results = [];
+  for (const testCase of cases) {
+    const startedAt = Date.now();
+    const { res, logs } = await ask(testCase.question);
+    const body = res.body || {};
+    const reply = typeof body.reply === "string" ? body.reply : "";
+
+    const failures =
+      res.status === 200
+        ? checkReply(testCase, reply, golden.facts || {})
+        : [`HTTP ${res.status}: ${body.error || "no reply"}`];
+    if (body.source === "faq-fallback") failures.push("answered from the FAQ fallback, not the model");
+
+    results.push({
+      id: testCase.id,
+      category: testCase.category || "general",
+      question: testCase.question,
+      pass: failures.length === 0,
+      failures,
+      reply,
+      citations: (body.citations || []).length,
+      source: body.source || "model",
+      ms: Date.now() - startedAt,
+      logs: VERBOSE ? logs : undefined,
+    });
+  }
+
+  const status = promptPacks.packCacheStatus();
+  const fetched = status.fetched || {};
+  return {
+    packs: source,
+    base: promptPacks.packConfig().base,
+    versions: status.versions,
+    label: packLabel(status.versions),
+    warnings: Object.entries(fetched)
+      .filter(([, f]) => f.source !== "https" && f.source !== "not-modified")
+      .map(([key, f]) => `${key} pack came from ${f.source}${f.error ? ` (${f.error})` : ""}`),
+    passed: results.filter((r) => r.pass).length,
+    failed: results.filter((r) => !r.pass).length,
+    results,
+  };
+}
+
+function printRun(run) {
+  console.log(`\nPacks: ${run.label}   (${run.packs}: ${run.base})`);
+  for (const w of run.warnings) console.log(`  warning: ${w}`);
+
+  for (const r of run.results) {
+    console.log(`  ${r.pass ? "PASS" : "FAIL"}  ${r.id.padEnd(30)} ${r.category.padEnd(13)} ${r.failures.join("; ")}`.trimEnd());
+    if (VERBOSE) {
+      console.log("        " + r.reply.replace(/\n/g, "\n        "));
+      for (const line of r.logs || []) console.log("        | " + line);
+    }
+  }
+
+  const byCategory = {};
+  for (const r of run.results) {
+    const c = (byCategory[r.category] = byCategory[r.category] || { passed: 0, total: 0 });
+    c.total++;
+    if (r.pass) c.passed++;
+  }
+  const summary = Object.entries(byCategory).map(([name, c]) => `${name} ${c.passed}/${c.total}`);
+  console.log(`  ${run.passed}/${run.results.length} passed — ${summary.join(", ")}`);
+  run.byCategory = byCategory;
+}
+
+async function main() {
+  const golden = JSON.parse(fs.readFileSync(path.join(EVAL_DIR, "golden.json"), "utf8"));
+  const cases = (golden.cases || []).filter(
+    (c) => (!ONLY.size || ONLY.has(c.id)) && (!CATEGORY || c.category === CATEGORY)
+  );
+  if (!cases.length) {
+    console.error("No cases selected.");
+    process.exitCode = 1;
+    return;
+  }
+
+  if (MODEL) providers.setProviderOverrides({ model: MODEL });
+  const provider = providers.describeProvider();
+  console.log(`Lucius eval — provider ${provider.provider || PROVIDER} (model ${provider.model || "?"}), ${cases.length} cases`);
+
+  const local = PACK_SOURCES.includes("local") ? await serveLocalPacks() : null;
+  const runs = [];
+  try {
+    for (const source of PACK_SOURCES) {
+      const run = await runSuite(golden, cases, source, local && local.base);
+      printRun(run);
+      runs.push(run);
+    }
+  } finally {
+    if (local) local.close();
+    fs.rmSync(process.env.LUCIUS_PACK_LKG_DIR, { recursive: true, force: true });
+  }
+
+  if (RECORD) {
+    const last = runs[runs.length - 1];
+    const fixtures = last.results
+      .filter((r) => r.source === "model" && r.reply)
+      .map((r) => ({ id: r.id, match: r.question, reply: r.reply }));
+    fs.writeFileSync(path.resolve(RECORD), JSON.stringify(fixtures, null, 2) + "\n");
+    console.log(`\nRecorded ${fixtures.length} replies to ${RECORD}`);
+  }
+
+  if (JSON_OUT) {
+    const report = { generatedAt: new Date().toISOString(), provider, runs };
+    fs.writeFileSync(path.resolve(JSON_OUT), JSON.stringify(report, null, 2) + "\n");
+  }
+
+  if (runs.some((r) => r.failed > 0)) process.exitCode = 1;
+}
+
+main().catch((e) => {
+  console.error(e && e.stack ? e.stack : e);
+  process.exitCode = 1;
+});
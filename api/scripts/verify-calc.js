@@ -0,0 +1,62 @@
+#!/usr/bin/env node
+// /api/scripts/verify-calc.js
+// The engineering calculators in api/shared/calc run in two places: the API requires them
+// (Lucius tools) and the site loads copies from /js/calc (window.BimCalc) for the calculator
+// pages. Static Web Apps deploys /api separately, so the site needs its own copy; this keeps
+// the two byte-for-byte identical.
+//
+//   node api/scripts/verify-calc.js            check; exit 1 when a copy is missing or stale
+//   node api/scripts/verify-calc.js --write    copy api/shared/calc -> js/calc
+//
+// Edit the api/shared/calc version, then run with --write. SITE_MODULES lists the modules
+// the site uses (they must be UMD: CommonJS + window.BimCalc).
+
+const fs = require("fs");
+const path = require("path");
+
+const ROOT = path.resolve(__dirname, "..", "..");
+const SOURCE_DIR = path.join(ROOT, "api", "shared", "calc");
+const SITE_DIR = path.join(ROOT, "js", "calc");
+
+const SITE_MODULES = ["spacing.js", "materials.js", "acoustics.js", "sti.js", "circuits.js"];
+
+const WRITE = process.argv.includes("--write");
+
+function readOrNull(file) {
+  try {
+    return fs.readFileSync(file);
+  } catch {
+    return null;
+  }
+}
+
+function main() {
+  let stale = 0;
+
+  for (const name of SITE_MODULES) {
+    const source = fs.readFileSync(path.join(SOURCE_DIR, name));
+    const target = path.join(SITE_DIR, name);
+    const copy = readOrNull(target);
+
+    if (copy && copy.equals(source)) {
+      console.log(`OK       js/calc/${name}`);
+      continue;
+    }
+
+    if (WRITE) {
+      fs.mkdirSync(SITE_DIR, { recursive: true });
+      fs.writeFileSync(target, source);
+      console.log(`WRITTEN  js/calc/${name}`);
+    } else {
+      console.log(`${copy ? "STALE  " : "MISSING"}  js/calc/${name}`);
+      stale++;
+    }
+  }
+
+  if (stale) {
+    console.error(`\n${stale} calculator cop${stale === 1 ? "y differs" : "ies differ"} from api/shared/calc. Run: node api/scripts/verify-calc.js --write`);
+    process.exit(1);
+  }
+}
+
+main();
@@ -0,0 +1,105 @@
+#!/usr/bin/env node
+// /api/scripts/verify-downloads.js
+// Recomputes SHA-256 and size of every bundle listed in api/shared/releases.json
+// from /downloads and fails when the published metadata is stale.
+//
+//   node api/scripts/verify-downloads.js            check; exit 1 on any mismatch
+//   node api/scripts/verify-downloads.js --write    refresh sha256/size in releases.json
+//   node api/scripts/verify-downloads.js --strict   also fail when a listed file is missing or a
+//                                                   "current" release has no published sha256
+//
+// Bundles that are not in this checkout (the MSI zips are uploaded separately) are
+// reported and skipped unless --strict.
+
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+
+const ROOT = path.resolve(__dirname, "..", "..");
+const DOWNLOADS_DIR = path.join(ROOT, "downloads");
+const CATALOG_PATH = path.join(ROOT, "api", "shared", "releases.json");
+
+const args = new Set(process.argv.slice(2));
+const WRITE = args.has("--write");
+const STRICT = args.has("--strict");
+
+function sha256File(file) {
+  return new Promise((resolve, reject) => {
+    const hash = crypto.createHash("sha256");
+    fs.createReadStream(file)
+      .on("error", reject)
+      .on("data", (chunk) => hash.update(chunk))
+      .on("end", () => resolve(hash.digest("hex")));
+  });
+}
+
+// Every object in the manifest that describes a file: [{ label, file, target }]
+// target is the object whose sha256/size fields describe that file.
+function listedFiles(catalog) {
+  const out = [];
+  for (const r of catalog.releases || []) {
+    if (r.zip) out.push({ label: `v${r.version}`, file: r.zip, target: r });
+  }
+  for (const [key, value] of Object.entries(catalog.files || {})) {
+    if (typeof value === "string") {
+      catalog.files[key] = { file: value, sha256: null, size: null };
+    }
+    out.push({ label: key, file: catalog.files[key].file, target: catalog.files[key] });
+  }
+  return out;
+}
+
+async function main() {
+  const catalog = JSON.parse(fs.readFileSync(CATALOG_PATH, "utf8"));
+  let stale = 0;
+  let missing = 0;
+
+  // The builds most people download must be verifiable
+  const unhashed = (catalog.releases || []).filter((r) => r.zip && r.channel === "current" && !r.sha256);
+  for (const r of unhashed) console.log(`NO HASH  ${("v" + r.version).padEnd(10)} ${r.zip}`);
+
+  for (const { label, file, target } of listedFiles(catalog)) {
+    const full = path.join(DOWNLOADS_DIR, file);
+    if (!fs.existsSync(full)) {
+      missing++;
+      console.log(`MISSING  ${label.padEnd(10)} ${file}`);
+      continue;
+    }
+
+    const sha256 = await sha256File(full);
+    const size = fs.statSync(full).size;
+    const published = String(target.sha256 || "").toLowerCase();
+
+    if (published === sha256 && target.size === size) {
+      console.log(`OK       ${label.padEnd(10)} ${file}`);
+      continue;
+    }
+
+    stale++;
+    console.log(`STALE    ${label.padEnd(10)} ${file}`);
+    if (published !== sha256) console.log(`           sha256 published ${published || "(none)"}\n                  actual    ${sha256}`);
+    if (target.size !== size) console.log(`           size   published ${target.size == null ? "(none)" : target.size}, actual ${size}`);
+
+    target.sha256 = sha256;
+    target.size = size;
+  }
+
+  if (WRITE && stale) {
+    fs.writeFileSync(CATALOG_PATH, JSON.stringify(catalog, null, 2) + "\n");
+    console.log(`\nUpdated ${path.relative(ROOT, CATALOG_PATH)} (${stale} entr${stale === 1 ? "y" : "ies"}).`);
+    stale = 0;
+  }
+
+  if (stale || (STRICT && (missing || unhashed.length))) {
+    console.error(
+      `\n${stale} stale, ${missing} missing, ${unhashed.length} current without sha256. Re-run with --write to refresh releases.json` +
+        (missing ? " (missing files must be added to /downloads first)." : ".")
+    );
+    process.exit(1);
+  }
+}
+
+main().catch((e) => {
+  console.error(e && e.stack ? e.stack : e);
+  process.exit(1);
+});
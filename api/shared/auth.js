@@ -0,0 +1,34 @@
+// /api/shared/auth.js
+// Shared-secret check for operator-only routes.
+//
+// Static Web Apps' managed functions only support anonymous auth, so protected
+// routes compare a key from app settings against the request:
+//   Authorization: Bearer <key>   or   x-admin-key: <key>
+// Keys are never accepted in the query string (they would end up in logs).
+
+const crypto = require("crypto");
+
+function presentedKey(req) {
+  const headers = (req && req.headers) || {};
+  const auth = String(headers.authorization || headers.Authorization || "");
+  const bearer = /^Bearer\s+(.+)$/i.exec(auth);
+  if (bearer) return bearer[1].trim();
+  return String(headers["x-admin-key"] || "").trim();
+}
+
+// -> { ok: true } | { ok: false, status, error }
+// An unset key disables the route (503) rather than leaving it open.
+function checkKey(req, expected) {
+  if (!expected) return { ok: false, status: 503, error: "This endpoint is not configured." };
+
+  const given = presentedKey(req);
+  const a = crypto.createHash("sha256").update(given).digest();
+  const b = crypto.createHash("sha256").update(String(expected)).digest();
+  if (!given || !crypto.timingSafeEqual(a, b)) return { ok: false, status: 401, error: "Unauthorized." };
+
+  return { ok: true };
+}
+
+module.exports = {
+  checkKey,
+};
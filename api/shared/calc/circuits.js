@@ -0,0 +1,160 @@
+// /api/shared/calc/circuits.js
+// Loudspeaker circuit loading for 70V / 100V constant-voltage and Low-Z lines, per
+// System_Designer_Engineering_Model.md (Circuiting, Amps & Cabling). Used by
+// /circuit-calculator.html (window.BimCalc.circuits); /js/calc/circuits.js is a byte-for-byte
+// copy — see api/scripts/verify-calc.js.
+//
+//   tap             nearest tap ≥ required power (largest tap, flagged short, when none is)
+//   Spkr (Ω)        V² / tap for a constant-voltage transformer; nominal impedance for Low-Z
+//   Circuit (Ω)     speakers in parallel: 1 / Σ (qty / Spkr Ω)  (= V² / Σ watts on a CV line)
+//   line R          2 × run × Ω per length of one conductor (copper, 20 °C)
+//   loss (dB)       20 log10((Z + R) / Z), the level drop at the speakers with the whole load
+//                   lumped at the far end of the run (conservative for daisy chains)
+//   damping factor  Z / (R + amp output Ω), Low-Z only; amp output Ω = 8 / the amp's rated DF
+//
+// Colour bands: amp load green < 80 %, yellow 80–100 %, red > 100 % of max watts; line loss
+// green < 0.4 dB, yellow 0.4–0.75 dB, red > 0.75 dB; damping factor green > 20, yellow 10–20,
+// red < 10.
+//
+// Worked values (hand-checked):
+//   70V, 10 × 4 W taps -> 40 W, 70.7² / 40 = 125.0 Ω; 16 AWG, 250 ft -> R 2 × 250 × 4.016 / 1000
+//   = 2.01 Ω -> loss 0.14 dB (green); 60 W amp channel -> 66.7 % (green)
+//   Low-Z, 4 × 8 Ω -> 2.0 Ω; 14 AWG, 50 ft -> R 0.253 Ω -> loss 1.03 dB (red), DF 7.9 (red)
+
+(function (root, factory) {
+  if (typeof module === "object" && module.exports) module.exports = factory();
+  else (root.BimCalc = root.BimCalc || {}).circuits = factory();
+})(typeof self !== "undefined" ? self : this, function () {
+  "use strict";
+
+  const MODES = { "70V": 70.7, "100V": 100, "Low-Z": null };
+  const DEFAULT_TAPS = [0.5, 1, 2, 4, 8, 16];
+  const FT_PER_M = 1 / 0.3048;
+
+  // Ω per 1000 ft of one solid copper conductor at 20 °C
+  const AWG_OHMS_PER_KFT = { 10: 0.9989, 12: 1.588, 14: 2.525, 16: 4.016, 18: 6.385, 20: 10.15, 22: 16.14 };
+
+  const LEVELS = {
+    load: [80, 100], // % of amp max watts
+    loss: [0.4, 0.75], // dB
+    damping: [20, 10], // higher is better
+  };
+
+  function badInput(message) {
+    const e = new Error(message);
+    e.code = "BAD_INPUT";
+    return e;
+  }
+
+  function positive(value, name) {
+    const n = Number(value);
+    if (!Number.isFinite(n) || n <= 0) throw badInput(`${name} must be a positive number.`);
+    return n;
+  }
+
+  function count(value, name) {
+    const n = Number(value);
+    if (!Number.isInteger(n) || n < 1) throw badInput(`${name} must be a whole number of 1 or more.`);
+    return n;
+  }
+
+  // -> { tap, short } where short means even the largest tap is below the required power
+  function chooseTap(required, taps = DEFAULT_TAPS) {
+    const need = positive(required, "required power");
+    const list = taps.map((t) => positive(t, "tap")).sort((a, b) => a - b);
+    if (!list.length) throw badInput("give at least one tap.");
+    const tap = list.find((t) => t >= need - 1e-9);
+    return tap === undefined ? { tap: list[list.length - 1], short: true } : { tap, short: false };
+  }
+
+  // Round-trip resistance of a two-conductor run
+  function lineResistance(awg, length, units = "ft") {
+    const perKft = AWG_OHMS_PER_KFT[awg];
+    if (!perKft) throw badInput(`wire gauge must be one of ${Object.keys(AWG_OHMS_PER_KFT).join(", ")} AWG.`);
+    const feet = positive(length, "run length") * (units === "m" ? FT_PER_M : 1);
+    return (2 * feet * perKft) / 1000;
+  }
+
+  function lineLossDb(loadOhms, lineOhms) {
+    return 20 * Math.log10((loadOhms + lineOhms) / loadOhms);
+  }
+
+  function loadLevel(percent) {
+    return percent < LEVELS.load[0] ? "green" : percent <= LEVELS.load[1] ? "yellow" : "red";
+  }
+
+  function lossLevel(db) {
+    return db < LEVELS.loss[0] ? "green" : db <= LEVELS.loss[1] ? "yellow" : "red";
+  }
+
+  function dampingLevel(df) {
+    return df > LEVELS.damping[0] ? "green" : df >= LEVELS.damping[1] ? "yellow" : "red";
+  }
+
+  // { mode, speakers: [{ type, qty, required, taps?, impedance? }], awg, length, units, ampWatts,
+  //   ampDampingFactor? }
+  //   CV lines take required watts per speaker and its taps; Low-Z takes the nominal impedance and
+  //   the power each speaker is driven at.
+  // -> { mode, voltage, speakers: [{ type, qty, required, tap, short, ohms }], watts, loadOhms,
+  //      lineOhms, lossDb, ampLoad, dampingFactor, levels: { load, loss, damping } }
+  function circuitLoad(input) {
+    if (!(input.mode in MODES)) throw badInput(`system voltage must be one of ${Object.keys(MODES).join(", ")}.`);
+    const voltage = MODES[input.mode];
+    if (!Array.isArray(input.speakers) || !input.speakers.length) throw badInput("add at least one speaker.");
+
+    const speakers = input.speakers.map((s, i) => {
+      const type = String(s.type || "").trim() || `Speaker ${i + 1}`;
+      const qty = count(s.qty, `${type} quantity`);
+      const required = positive(s.required, `${type} power`);
+      if (voltage === null) {
+        return { type, qty, required, tap: null, short: false, ohms: positive(s.impedance, `${type} impedance`) };
+      }
+      const { tap, short } = chooseTap(required, s.taps && s.taps.length ? s.taps : DEFAULT_TAPS);
+      return { type, qty, required, tap, short, ohms: (voltage * voltage) / tap };
+    });
+
+    const watts = speakers.reduce((n, s) => n + s.qty * (s.tap === null ? s.required : s.tap), 0);
+    const loadOhms = 1 / speakers.reduce((n, s) => n + s.qty / s.ohms, 0);
+    const lineOhms = lineResistance(input.awg, input.length, input.units);
+    const lossDb = lineLossDb(loadOhms, lineOhms);
+    const ampLoad = (watts / positive(input.ampWatts, "amp max watts")) * 100;
+
+    let dampingFactor = null;
+    if (voltage === null) {
+      const ampDf = input.ampDampingFactor;
+      const ampOhms = ampDf === undefined || ampDf === null || ampDf === "" ? 0 : 8 / positive(ampDf, "amp damping factor");
+      dampingFactor = loadOhms / (lineOhms + ampOhms);
+    }
+
+    return {
+      mode: input.mode,
+      voltage,
+      speakers,
+      watts,
+      loadOhms,
+      lineOhms,
+      lossDb,
+      ampLoad,
+      dampingFactor,
+      levels: {
+        load: loadLevel(ampLoad),
+        loss: lossLevel(lossDb),
+        damping: dampingFactor === null ? null : dampingLevel(dampingFactor),
+      },
+    };
+  }
+
+  return {
+    MODES,
+    DEFAULT_TAPS,
+    AWG_OHMS_PER_KFT,
+    LEVELS,
+    chooseTap,
+    lineResistance,
+    lineLossDb,
+    loadLevel,
+    lossLevel,
+    dampingLevel,
+    circuitLoad,
+  };
+});
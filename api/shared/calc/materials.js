@@ -0,0 +1,78 @@
+// /api/shared/calc/materials.js
+// Absorption coefficients for common room finishes, one value per octave band (OCTAVE_BANDS).
+// Shared by the Lucius tools (require) and /rt60-calculator.html (window.BimCalc.materials);
+// /js/calc/materials.js is a byte-for-byte copy — see api/scripts/verify-calc.js.
+//
+// Typical published values (Sabine α, random incidence) for first-order estimates, not a
+// substitute for the manufacturer's test report. Tables rarely give 63 Hz or 8 kHz, so those
+// bands repeat the 125 Hz and 4 kHz values. Coefficients above 1 are capped at 0.99 so Eyring
+// stays finite.
+
+(function (root, factory) {
+  if (typeof module === "object" && module.exports) module.exports = factory();
+  else (root.BimCalc = root.BimCalc || {}).materials = factory();
+})(typeof self !== "undefined" ? self : this, function () {
+  "use strict";
+
+  const OCTAVE_BANDS = [63, 125, 250, 500, 1000, 2000, 4000, 8000];
+
+  // id -> [label, [125, 250, 500, 1k, 2k, 4k]]
+  const TABLE = {
+    "carpet-on-concrete": ["Carpet, heavy, glued to concrete", [0.02, 0.06, 0.14, 0.37, 0.6, 0.65]],
+    "carpet-on-pad": ["Carpet on foam underlay", [0.08, 0.24, 0.57, 0.69, 0.71, 0.73]],
+    "vinyl-on-concrete": ["Vinyl / linoleum on concrete", [0.02, 0.03, 0.03, 0.03, 0.03, 0.02]],
+    "wood-floor": ["Wood floor on joists", [0.15, 0.11, 0.1, 0.07, 0.06, 0.07]],
+    concrete: ["Concrete, unpainted", [0.01, 0.01, 0.015, 0.02, 0.02, 0.02]],
+    "painted-block": ["Concrete block, painted", [0.1, 0.05, 0.06, 0.07, 0.09, 0.08]],
+    brick: ["Brick, unglazed", [0.03, 0.03, 0.03, 0.04, 0.05, 0.07]],
+    plaster: ["Plaster on masonry", [0.01, 0.02, 0.02, 0.03, 0.04, 0.05]],
+    gypsum: ["Gypsum board on studs", [0.29, 0.1, 0.05, 0.04, 0.07, 0.09]],
+    glass: ["Glass, large panes", [0.18, 0.06, 0.04, 0.03, 0.02, 0.02]],
+    "wood-panel": ["Wood paneling over air space", [0.42, 0.21, 0.1, 0.08, 0.06, 0.06]],
+    act: ["Acoustic ceiling tile, mineral fibre, suspended (NRC ≈ 0.70)", [0.4, 0.55, 0.65, 0.75, 0.8, 0.75]],
+    "act-high-nrc": ["Acoustic ceiling tile, high-NRC fibreglass, suspended", [0.6, 0.8, 0.9, 0.95, 0.95, 0.9]],
+    "fabric-panel-50mm": ["Fabric-wrapped fibreglass panel, 50 mm", [0.28, 0.8, 0.99, 0.99, 0.99, 0.99]],
+    drapery: ["Heavy drapery, pleated", [0.14, 0.35, 0.55, 0.72, 0.7, 0.65]],
+    "seats-occupied": ["Upholstered seating, occupied (per m² of seating area)", [0.6, 0.74, 0.88, 0.96, 0.93, 0.85]],
+  };
+
+  const MATERIALS = Object.fromEntries(
+    Object.entries(TABLE).map(([id, [label, six]]) => {
+      const alpha = [six[0], ...six, six[5]].map((a) => Math.min(a, 0.99));
+      return [id, { id, label, alpha }];
+    })
+  );
+
+  const ALIASES = {
+    carpet: "carpet-on-concrete",
+    vinyl: "vinyl-on-concrete",
+    linoleum: "vinyl-on-concrete",
+    drywall: "gypsum",
+    "gypsum-board": "gypsum",
+    gyp: "gypsum",
+    "ceiling-tile": "act",
+    "acoustic-tile": "act",
+    "acoustic-ceiling-tile": "act",
+    block: "painted-block",
+    cmu: "painted-block",
+    window: "glass",
+    curtains: "drapery",
+    "acoustic-panel": "fabric-panel-50mm",
+  };
+
+  function materialKey(name) {
+    return String(name || "").trim().toLowerCase().replace(/[\s_]+/g, "-");
+  }
+
+  // -> material record, or null for an unknown id / alias
+  function getMaterial(name) {
+    const key = materialKey(name);
+    return MATERIALS[key] || MATERIALS[ALIASES[key]] || null;
+  }
+
+  return {
+    OCTAVE_BANDS,
+    MATERIALS,
+    getMaterial,
+  };
+});
@@ -0,0 +1,24 @@
+// /api/shared/client.js
+// Who is calling: client IP and country as passed through by Static Web Apps / Front Door.
+
+// x-azure-clientip is set by the platform. In x-forwarded-for only the last entry is trustworthy
+// (the hop our proxy appended); anything before it comes from the client and can be forged.
+function clientIp(req) {
+  const headers = req.headers || {};
+  const azure = headers["x-azure-clientip"] || headers["X-Azure-ClientIP"];
+  if (typeof azure === "string" && azure.trim()) return azure.trim();
+  const xff = headers["x-forwarded-for"] || headers["X-Forwarded-For"];
+  if (typeof xff === "string" && xff.trim()) return xff.split(",").pop().trim() || null;
+  return null;
+}
+
+function clientCountry(req) {
+  const headers = req.headers || {};
+  // SWA injects this header when available
+  return headers["x-azure-clientip-country"] || headers["x-country"] || null;
+}
+
+module.exports = {
+  clientIp,
+  clientCountry,
+};
@@ -0,0 +1,225 @@
+// /api/shared/events.js
+// Pluggable sink for structured events (AVTOOLS_DOWNLOAD, AVTOOLS_UPDATE_CHECK, ...).
+//
+// Functions always context.log their events (App Insights picks those up as traces);
+// the sink is where reporting endpoints such as /api/download-stats read them back.
+//
+// AVTOOLS_EVENT_SINK:
+//   log          (default) nothing extra is stored; events are not readable back
+//   jsonl        append to a local JSONL file (AVTOOLS_EVENTS_FILE) — local dev / single instance
+//   table        Azure Table Storage (AVTOOLS_EVENTS_TABLE_SAS_URL), one partition per
+//                event name per month, e.g. "AVTOOLS_DOWNLOAD-2026-06"
+//   appinsights  read-only: query the traces App Insights already has
+//                (AVTOOLS_APPINSIGHTS_APP_ID + AVTOOLS_APPINSIGHTS_API_KEY)
+//
+// append() never throws; read() throws when the sink is misconfigured or unreadable.
+
+const crypto = require("crypto");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { httpsRequest } = require("./http");
+const { createTableStore } = require("./table-store");
+
+const SINKS = ["log", "jsonl", "table", "appinsights"];
+
+function readConfig(env = process.env) {
+  return {
+    kind: String(env.AVTOOLS_EVENT_SINK || "log").toLowerCase(),
+    file: env.AVTOOLS_EVENTS_FILE || path.join(os.tmpdir(), "avtools-events.jsonl"),
+    tableSasUrl: env.AVTOOLS_EVENTS_TABLE_SAS_URL || "",
+    appInsightsAppId: env.AVTOOLS_APPINSIGHTS_APP_ID || "",
+    appInsightsApiKey: env.AVTOOLS_APPINSIGHTS_API_KEY || "",
+    // Table rows expire after this many days (0 = keep)
+    retentionDays: Number(env.AVTOOLS_EVENTS_RETENTION_DAYS) || 400,
+  };
+}
+
+// "2026-06" for each month touched by [since, until]
+function monthsBetween(since, until) {
+  const out = [];
+  const d = new Date(Date.UTC(new Date(since).getUTCFullYear(), new Date(since).getUTCMonth(), 1));
+  while (d.getTime() <= until) {
+    out.push(d.toISOString().slice(0, 7));
+    d.setUTCMonth(d.getUTCMonth() + 1);
+  }
+  return out;
+}
+
+function inRange(event, since, until) {
+  const t = Date.parse(event && event.ts);
+  return Number.isFinite(t) && t >= since && t <= until;
+}
+
+// ---------- Sinks ----------
+
+function createLogSink() {
+  return {
+    kind: "log",
+    readable: false,
+    async append() {},
+    async read() {
+      throw new Error("AVTOOLS_EVENT_SINK=log keeps events in App Insights traces only; set it to jsonl, table or appinsights to read them back.");
+    },
+  };
+}
+
+function createJsonlSink(config) {
+  return {
+    kind: "jsonl",
+    readable: true,
+
+    async append(name, event) {
+      await fs.promises.appendFile(config.file, JSON.stringify({ event: name, ...event }) + "\n", "utf8");
+    },
+
+    async read(name, { since = 0, until = Date.now() } = {}) {
+      let text = "";
+      try {
+        text = await fs.promises.readFile(config.file, "utf8");
+      } catch (e) {
+        if (e && e.code === "ENOENT") return [];
+        throw e;
+      }
+
+      const out = [];
+      for (const line of text.split("\n")) {
+        if (!line.trim()) continue;
+        try {
+          const row = JSON.parse(line);
+          if (row.event !== name || !inRange(row, since, until)) continue;
+          delete row.event;
+          out.push(row);
+        } catch {}
+      }
+      return out;
+    },
+  };
+}
+
+function createTableSink(config) {
+  if (!config.tableSasUrl) throw new Error("AVTOOLS_EVENT_SINK=table needs AVTOOLS_EVENTS_TABLE_SAS_URL.");
+  const ttlMs = config.retentionDays > 0 ? config.retentionDays * 24 * 60 * 60 * 1000 : 0;
+
+  function store(name, month) {
+    return createTableStore({ sasUrl: config.tableSasUrl, partitionKey: `${name}-${month}` });
+  }
+
+  return {
+    kind: "table",
+    readable: true,
+
+    async append(name, event) {
+      const ts = event.ts || new Date().toISOString();
+      const key = `${ts}:${crypto.randomBytes(4).toString("hex")}`;
+      await store(name, ts.slice(0, 7)).set(key, event, { etag: null, ttlMs });
+    },
+
+    async read(name, { since = 0, until = Date.now() } = {}) {
+      const out = [];
+      for (const month of monthsBetween(since, until)) {
+        for (const row of await store(name, month).list()) {
+          if (inRange(row.value, since, until)) out.push(row.value);
+        }
+      }
+      return out;
+    },
+  };
+}
+
+function createAppInsightsSink(config) {
+  if (!config.appInsightsAppId || !config.appInsightsApiKey) {
+    throw new Error("AVTOOLS_EVENT_SINK=appinsights needs AVTOOLS_APPINSIGHTS_APP_ID and AVTOOLS_APPINSIGHTS_API_KEY.");
+  }
+
+  return {
+    kind: "appinsights",
+    readable: true,
+
+    // Events already reach App Insights through context.log
+    async append() {},
+
+    async read(name, { since = 0, until = Date.now() } = {}) {
+      if (!/^[A-Z0-9_]+$/.test(name)) throw new Error("Invalid event name.");
+      const prefix = name + " ";
+      const query = [
+        "traces",
+        `| where timestamp between (datetime(${new Date(since).toISOString()}) .. datetime(${new Date(until).toISOString()}))`,
+        `| where message startswith "${prefix}"`,
+        `| project payload = substring(message, ${prefix.length})`,
+        "| take 200000",
+      ].join("\n");
+
+      const resp = await httpsRequest(
+        `https://api.applicationinsights.io/v1/apps/${encodeURIComponent(config.appInsightsAppId)}/query`,
+        "POST",
+        { "Content-Type": "application/json", "x-api-key": config.appInsightsApiKey },
+        JSON.stringify({ query })
+      );
+      if (!resp.ok) {
+        const err = new Error(`App Insights query failed (${resp.status})`);
+        err.status = resp.status;
+        throw err;
+      }
+
+      const table = (JSON.parse(resp.raw).tables || [])[0] || { rows: [] };
+      const out = [];
+      for (const [payload] of table.rows || []) {
+        try {
+          out.push(JSON.parse(payload));
+        } catch {}
+      }
+      return out;
+    },
+  };
+}
+
+function createEventSink(config = readConfig()) {
+  switch (config.kind) {
+    case "jsonl":
+      return createJsonlSink(config);
+    case "table":
+      return createTableSink(config);
+    case "appinsights":
+      return createAppInsightsSink(config);
+    case "log":
+      return createLogSink();
+    default:
+      throw new Error(`Unknown AVTOOLS_EVENT_SINK "${config.kind}". Use one of: ${SINKS.join(", ")}.`);
+  }
+}
+
+let _sink = null;
+
+// Shared, lazily created sink for the current process env
+function getEventSink() {
+  if (!_sink) _sink = createEventSink();
+  return _sink;
+}
+
+// context.log the event (as before) and, best-effort, store it in the sink.
+async function recordEvent(context, name, event) {
+  try {
+    context.log(name + " " + JSON.stringify(event));
+  } catch (e) {
+    try {
+      context.log.warn(`${name} logging failed:`, e && e.message);
+    } catch {}
+  }
+
+  try {
+    await getEventSink().append(name, event);
+  } catch (e) {
+    try {
+      context.log.warn(`${name} event sink failed:`, e && e.message);
+    } catch {}
+  }
+}
+
+module.exports = {
+  SINKS,
+  readConfig,
+  createEventSink,
+  getEventSink,
+  recordEvent,
+};
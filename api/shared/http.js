@@ -0,0 +1,65 @@
+// /api/shared/http.js
+// Minimal HTTP(S) client on the built-in modules (no fetch dependency).
+// http: is accepted so local OpenAI-compatible servers work in development.
+
+const http = require("http");
+const https = require("https");
+
+function httpsRequest(urlString, method, headers, bodyString) {
+  return new Promise((resolve, reject) => {
+    const u = new URL(urlString);
+    const transport = u.protocol === "http:" ? http : https;
+
+    const options = {
+      protocol: u.protocol,
+      hostname: u.hostname,
+      port: u.port || (u.protocol === "https:" ? 443 : 80),
+      path: u.pathname + (u.search || ""),
+      method,
+      headers,
+    };
+
+    const r = transport.request(options, (res) => {
+      let data = "";
+      res.setEncoding("utf8");
+      res.on("data", (chunk) => (data += chunk));
+      res.on("end", () => {
+        resolve({
+          ok: res.statusCode >= 200 && res.statusCode < 300,
+          status: res.statusCode,
+          headers: res.headers || {},
+          raw: data,
+        });
+      });
+    });
+
+    r.on("error", reject);
+    if (bodyString) r.write(bodyString);
+    r.end();
+  });
+}
+
+async function httpsTextGet(url, extraHeaders = {}) {
+  const resp = await httpsRequest(url, "GET", { "User-Agent": "lucius-web-chat/1.0", ...extraHeaders }, null);
+  if (!resp.ok) {
+    const err = new Error(`HTTP GET failed (${resp.status}) for ${url}`);
+    err.status = resp.status;
+    throw err;
+  }
+  return { text: resp.raw || "", headers: resp.headers || {} };
+}
+
+// Rejects after ms; the underlying request is left to finish (or fail) on its own.
+function withTimeout(promise, ms) {
+  let timer;
+  const timeout = new Promise((_, reject) => {
+    timer = setTimeout(() => reject(new Error(`timed out after ${ms} ms`)), ms);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+module.exports = {
+  httpsRequest,
+  httpsTextGet,
+  withTimeout,
+};
@@ -0,0 +1,234 @@
+// /api/shared/releases.js
+// Release catalog: the single source of truth for what /api/download serves.
+//
+// releases.json lists every downloadable build (version, Revit range, channel,
+// zip, release notes, user guide, SHA-256). Keys the site links to resolve as:
+//   "v230"        -> that release
+//   "2.3.0"       -> that release (by version, optional leading "v")
+//   "latest"      -> newest release on the "current" channel
+//   "latest-1.x"  -> newest release with major version 1 (any channel but prerelease)
+//   aliases       -> another key, e.g. "v21" -> "latest-2.x"
+//   files         -> non-release downloads (press kit)
+//
+// resolveCompatible() picks the newest build for a Revit year (and optional
+// channel); "upcoming" lists Revit years announced but not yet supported.
+//
+// Integrity: each release's "sha256"/"size" describe its zip; "files" entries carry
+// their own. `node api/scripts/verify-downloads.js` recomputes them from /downloads
+// and fails when this manifest is stale (--write refreshes it).
+//
+// "critical": true on a release makes /api/update-check flag the update as
+// critical for anyone on an older build.
+//
+// To ship a release: add it at the top of releases.json, move the previous
+// build to "legacy", and drop the zip into /downloads/.
+
+const fs = require("fs");
+const path = require("path");
+
+const CATALOG_PATH = path.join(__dirname, "releases.json");
+const CHANNELS = ["current", "legacy", "prerelease"];
+
+let _catalog = null;
+
+function loadCatalog() {
+  if (!_catalog) _catalog = JSON.parse(fs.readFileSync(CATALOG_PATH, "utf8"));
+  return _catalog;
+}
+
+// ---------- Versions ----------
+
+function parseVersion(v) {
+  const m = /^v?(\d+)(?:\.(\d+))?(?:\.(\d+))?$/i.exec(String(v || "").trim());
+  return m ? [Number(m[1]), Number(m[2] || 0), Number(m[3] || 0)] : null;
+}
+
+function compareVersions(a, b) {
+  const pa = parseVersion(a) || [0, 0, 0];
+  const pb = parseVersion(b) || [0, 0, 0];
+  for (let i = 0; i < 3; i++) {
+    if (pa[i] !== pb[i]) return pa[i] - pb[i];
+  }
+  return 0;
+}
+
+// Newest first
+function sortedReleases(catalog) {
+  return [...(catalog.releases || [])].sort((a, b) => compareVersions(b.version, a.version));
+}
+
+// ---------- Resolution ----------
+
+function resolveRelease(catalog, key) {
+  const k = String(key || "").trim().toLowerCase();
+  if (!k) return null;
+
+  const releases = sortedReleases(catalog);
+
+  if (k === "latest") {
+    return releases.find((r) => r.channel === "current") || null;
+  }
+
+  const major = /^latest-(\d+)\.x$/.exec(k);
+  if (major) {
+    return releases.find((r) => r.channel !== "prerelease" && parseVersion(r.version)[0] === Number(major[1])) || null;
+  }
+
+  const byKey = releases.find((r) => r.key === k);
+  if (byKey) return byKey;
+
+  if (parseVersion(k) && k.includes(".")) {
+    const byVersion = releases.find((r) => compareVersions(r.version, k) === 0);
+    if (byVersion) return byVersion;
+  }
+
+  return null;
+}
+
+function supportsRevit(release, year) {
+  const r = release.revit || {};
+  return year >= Number(r.min) && year <= Number(r.max);
+}
+
+function parseRevitYear(value) {
+  const m = /^(?:revit\s*)?(\d{4})$/i.exec(String(value || "").trim());
+  return m ? Number(m[1]) : null;
+}
+
+// Newest build for a Revit year and/or channel. Without a channel, prerelease
+// builds are skipped. -> { release } or { release: null, upcoming, supported }
+function resolveCompatible(catalog, { revit = null, channel = null } = {}) {
+  const candidates = sortedReleases(catalog).filter(
+    (r) => (channel ? r.channel === channel : r.channel !== "prerelease") && (revit === null || supportsRevit(r, revit))
+  );
+  if (candidates.length) return { release: candidates[0] };
+
+  const upcoming = (catalog.upcoming || []).find((u) => Number(u.revit) === revit) || null;
+  return { release: null, upcoming, supported: supportedRevitRanges(catalog) };
+}
+
+// Distinct Revit ranges with a shipping (non-prerelease) build, newest first
+function supportedRevitRanges(catalog) {
+  const seen = new Map();
+  for (const r of sortedReleases(catalog)) {
+    if (r.channel === "prerelease" || !r.revit) continue;
+    const id = `${r.revit.min}-${r.revit.max}`;
+    if (!seen.has(id)) seen.set(id, { min: r.revit.min, max: r.revit.max, latest: r.version });
+  }
+  return [...seen.values()];
+}
+
+// "files" values may be a bare filename or { file, sha256, size }
+function fileEntry(value) {
+  return typeof value === "string" ? { file: value, sha256: null, size: null } : { sha256: null, size: null, ...value };
+}
+
+// -> { key, file, sha256, size, release } | null   (release is null for plain files such as the press kit)
+function resolveDownload(catalog, key, depth = 0) {
+  const k = String(key || "").trim().toLowerCase();
+  if (!k || depth > 3) return null;
+
+  const aliases = catalog.aliases || {};
+  if (Object.prototype.hasOwnProperty.call(aliases, k)) {
+    const target = resolveDownload(catalog, aliases[k], depth + 1);
+    return target ? { ...target, key: k } : null;
+  }
+
+  const files = catalog.files || {};
+  if (Object.prototype.hasOwnProperty.call(files, k)) {
+    const entry = fileEntry(files[k]);
+    return { key: k, file: entry.file, sha256: entry.sha256, size: entry.size, release: null };
+  }
+
+  const release = resolveRelease(catalog, k);
+  return release && release.zip ? downloadFor(release, k) : null;
+}
+
+function downloadFor(release, key = release.key) {
+  return { key, file: release.zip, sha256: release.sha256 || null, size: release.size || null, release };
+}
+
+// Every downloadable file with its published checksum: [{ key, file, sha256, size }]
+function checksumEntries(catalog) {
+  const entries = sortedReleases(catalog)
+    .filter((r) => r.zip)
+    .map((r) => ({ key: r.key, file: r.zip, sha256: r.sha256 || null, size: r.size || null }));
+  for (const [key, value] of Object.entries(catalog.files || {})) {
+    const entry = fileEntry(value);
+    entries.push({ key, file: entry.file, sha256: entry.sha256, size: entry.size });
+  }
+  return entries;
+}
+
+// ---------- Public shape (/api/releases) ----------
+
+function downloadsUrl(filename) {
+  return filename ? "/downloads/" + encodeURIComponent(filename) : null;
+}
+
+function publicRelease(r) {
+  return {
+    key: r.key,
+    version: r.version,
+    channel: r.channel,
+    date: r.date || null,
+    revit: r.revit,
+    editions: r.editions || [],
+    signed: !!r.signed,
+    critical: !!r.critical,
+    download: "/api/download?key=" + encodeURIComponent(r.key),
+    sha256: r.sha256 || null,
+    size: r.size || null,
+    msiSha256: r.msiSha256 || null,
+    releaseNotes: {
+      pdf: downloadsUrl(r.releaseNotes && r.releaseNotes.pdf),
+      md: downloadsUrl(r.releaseNotes && r.releaseNotes.md),
+    },
+    userGuide: downloadsUrl(r.userGuide),
+    summary: r.summary || "",
+  };
+}
+
+function publicCatalog(catalog, { channel = null } = {}) {
+  const releases = sortedReleases(catalog).filter((r) => !channel || r.channel === channel);
+
+  // Every alias the site may link to, resolved to a release key
+  const latest = {};
+  for (const name of ["latest", ...Object.keys(catalog.aliases || {})]) {
+    const hit = resolveDownload(catalog, name);
+    if (hit && hit.release) latest[name] = hit.release.key;
+  }
+  for (const r of releases) {
+    const name = `latest-${parseVersion(r.version)[0]}.x`;
+    if (!latest[name]) {
+      const hit = resolveRelease(catalog, name);
+      if (hit) latest[name] = hit.key;
+    }
+  }
+
+  return {
+    product: catalog.product,
+    publisher: catalog.publisher,
+    latest,
+    upcoming: catalog.upcoming || [],
+    releases: releases.map(publicRelease),
+  };
+}
+
+module.exports = {
+  CHANNELS,
+  loadCatalog,
+  parseVersion,
+  compareVersions,
+  sortedReleases,
+  resolveRelease,
+  resolveDownload,
+  downloadFor,
+  checksumEntries,
+  resolveCompatible,
+  supportsRevit,
+  supportedRevitRanges,
+  parseRevitYear,
+  publicRelease,
+  publicCatalog,
+};
@@ -0,0 +1,296 @@
+// /api/shared/table-store.js
+// Small key/value store over Azure Table Storage's REST API (no SDK dependency).
+//
+// Configure with a table SAS URL, e.g.
+//   https://<account>.table.core.windows.net/<table>?sv=...&sig=...
+// The SAS needs read/add/update (and delete, if callers delete) permissions.
+//
+// get(key)                      -> { value, etag } | null
+// set(key, value, { etag })     -> true, or false when the etag no longer matches
+//                                  (etag null = insert only; fails if the row exists)
+// del(key)                      -> true
+// list()                        -> [{ key, value }] for every live row in the partition
+// purgeExpired({ limit })       -> number of expired rows deleted (at most limit, default 100)
+//
+// Every value is stored as JSON in a single "Value" column under one PartitionKey,
+// so any JSON-serialisable object fits. Expired rows (ttlMs) read back as missing: get()
+// deletes the one it finds, so an insert-only set can recreate the key; rows nobody reads
+// again stay until purgeExpired() (or purgeExpiredRows() across partitions) removes them.
+
+const { httpsRequest } = require("./http");
+
+const TABLE_API_VERSION = "2019-02-02";
+
+function parseSasUrl(sasUrl) {
+  const u = new URL(sasUrl);
+  const table = u.pathname.replace(/^\/+|\/+$/g, "");
+  if (!table) throw new Error("Table SAS URL must include the table name in its path.");
+  return { origin: u.origin, table, sas: u.search.replace(/^\?/, "") };
+}
+
+// RowKey may not contain / \ # ? or control characters; base64url avoids all of them.
+function rowKeyFor(key) {
+  return Buffer.from(String(key), "utf8").toString("base64url");
+}
+
+function keyFromRowKey(rowKey) {
+  return Buffer.from(String(rowKey), "base64url").toString("utf8");
+}
+
+function odataQuote(s) {
+  return "'" + String(s).replace(/'/g, "''") + "'";
+}
+
+function tableHeaders(extra) {
+  return {
+    Accept: "application/json;odata=nometadata",
+    "Content-Type": "application/json",
+    "x-ms-version": TABLE_API_VERSION,
+    ...extra,
+  };
+}
+
+function expired(entity, now) {
+  return !!entity.ExpiresAt && Number(entity.ExpiresAt) <= now;
+}
+
+// Deletes expired rows matching an OData filter, page by page, until limit rows are gone.
+// Each delete is conditional on the row's etag, so a row refreshed meanwhile survives.
+async function purgeWhere({ origin, table, sas }, filter, limit, now = Date.now()) {
+  let removed = 0;
+  let next = "";
+
+  do {
+    const resp = await httpsRequest(
+      `${origin}/${table}()?${sas}&$filter=${encodeURIComponent(filter)}&$select=PartitionKey,RowKey,ExpiresAt${next}`,
+      "GET",
+      tableHeaders({ Accept: "application/json;odata=minimalmetadata" }),
+      null
+    );
+    if (resp.status === 404) return removed;
+    if (!resp.ok) {
+      const err = new Error(`Table purge failed (${resp.status})`);
+      err.status = resp.status;
+      throw err;
+    }
+
+    let page = [];
+    try {
+      page = JSON.parse(resp.raw).value || [];
+    } catch {
+      page = [];
+    }
+    for (const entity of page) {
+      if (!expired(entity, now)) continue;
+      const path = `/${table}(PartitionKey=${odataQuote(entity.PartitionKey)},RowKey=${odataQuote(entity.RowKey)})`;
+      const del = await httpsRequest(`${origin}${encodeURI(path)}?${sas}`, "DELETE", tableHeaders({ "If-Match": entity["odata.etag"] || "*" }), null);
+      if (del.ok) removed++;
+      if (removed >= limit) return removed;
+    }
+
+    const np = resp.headers["x-ms-continuation-nextpartitionkey"];
+    const nr = resp.headers["x-ms-continuation-nextrowkey"];
+    next = np ? `&NextPartitionKey=${encodeURIComponent(np)}` + (nr ? `&NextRowKey=${encodeURIComponent(nr)}` : "") : "";
+  } while (next);
+
+  return removed;
+}
+
+// Table-wide cleanup for stores that use one partition per owner (e.g. transcripts): every
+// partition whose name starts with partitionPrefix.
+function purgeExpiredRows({ sasUrl, partitionPrefix, limit = 100 }) {
+  const prefix = String(partitionPrefix);
+  // Partitions sort as strings: [prefix, prefix with its last character bumped)
+  const upper = prefix.slice(0, -1) + String.fromCharCode(prefix.charCodeAt(prefix.length - 1) + 1);
+  return purgeWhere(parseSasUrl(sasUrl), `PartitionKey ge ${odataQuote(prefix)} and PartitionKey lt ${odataQuote(upper)}`, limit);
+}
+
+function createTableStore({ sasUrl, partitionKey = "kv" }) {
+  const target = parseSasUrl(sasUrl);
+  const { origin, table, sas } = target;
+
+  function entityUrl(key) {
+    const path = `/${table}(PartitionKey=${odataQuote(partitionKey)},RowKey=${odataQuote(rowKeyFor(key))})`;
+    return `${origin}${encodeURI(path)}?${sas}`;
+  }
+
+  function fail(action, resp) {
+    const err = new Error(`Table ${action} failed (${resp.status})`);
+    err.status = resp.status;
+    return err;
+  }
+
+  return {
+    kind: "table",
+
+    async get(key) {
+      const resp = await httpsRequest(entityUrl(key), "GET", tableHeaders(), null);
+      if (resp.status === 404) return null;
+      if (!resp.ok) throw fail("read", resp);
+
+      let entity = null;
+      try {
+        entity = JSON.parse(resp.raw);
+      } catch {
+        return null;
+      }
+      const etag = resp.headers.etag || entity["odata.etag"] || "*";
+
+      // Expired: delete it (unless it was rewritten meanwhile) so it reads and inserts as missing
+      if (expired(entity, Date.now())) {
+        const del = await httpsRequest(entityUrl(key), "DELETE", tableHeaders({ "If-Match": etag }), null);
+        if (!del.ok && del.status !== 404 && del.status !== 412) throw fail("delete", del);
+        return null;
+      }
+
+      let value = null;
+      try {
+        value = JSON.parse(entity.Value);
+      } catch {
+        value = null;
+      }
+      return { value, etag };
+    },
+
+    async set(key, value, { etag = "*", ttlMs = 0 } = {}) {
+      const entity = {
+        PartitionKey: partitionKey,
+        RowKey: rowKeyFor(key),
+        Value: JSON.stringify(value),
+        ExpiresAt: ttlMs ? Date.now() + ttlMs : 0,
+      };
+
+      // etag null: insert only (409 if someone else created it first)
+      if (etag === null) {
+        const resp = await httpsRequest(`${origin}/${table}?${sas}`, "POST", tableHeaders({ Prefer: "return-no-content" }), JSON.stringify(entity));
+        if (resp.status === 409) return false;
+        if (!resp.ok) throw fail("insert", resp);
+        return true;
+      }
+
+      // etag "*": unconditional upsert; a real etag: replace only if unchanged (412 otherwise)
+      const resp = await httpsRequest(
+        entityUrl(key),
+        "PUT",
+        tableHeaders(etag === "*" ? {} : { "If-Match": etag }),
+        JSON.stringify(entity)
+      );
+      if (resp.status === 412 || resp.status === 404) return false;
+      if (!resp.ok) throw fail("write", resp);
+      return true;
+    },
+
+    async del(key) {
+      const resp = await httpsRequest(entityUrl(key), "DELETE", tableHeaders({ "If-Match": "*" }), null);
+      if (!resp.ok && resp.status !== 404) throw fail("delete", resp);
+      return true;
+    },
+
+    // Whole partition, following continuation tokens (1000 rows per page)
+    async list() {
+      const rows = [];
+      const filter = encodeURIComponent(`PartitionKey eq ${odataQuote(partitionKey)}`);
+      let next = "";
+      const now = Date.now();
+
+      do {
+        const resp = await httpsRequest(`${origin}/${table}()?${sas}&$filter=${filter}${next}`, "GET", tableHeaders(), null);
+        if (resp.status === 404) return rows;
+        if (!resp.ok) throw fail("list", resp);
+
+        let page = [];
+        try {
+          page = JSON.parse(resp.raw).value || [];
+        } catch {
+          page = [];
+        }
+        for (const entity of page) {
+          if (expired(entity, now)) continue;
+          try {
+            rows.push({ key: keyFromRowKey(entity.RowKey), value: JSON.parse(entity.Value) });
+          } catch {}
+        }
+
+        const np = resp.headers["x-ms-continuation-nextpartitionkey"];
+        const nr = resp.headers["x-ms-continuation-nextrowkey"];
+        next = np ? `&NextPartitionKey=${encodeURIComponent(np)}` + (nr ? `&NextRowKey=${encodeURIComponent(nr)}` : "") : "";
+      } while (next);
+
+      return rows;
+    },
+
+    purgeExpired({ limit = 100 } = {}) {
+      return purgeWhere(target, `PartitionKey eq ${odataQuote(partitionKey)}`, limit);
+    },
+  };
+}
+
+// Same contract, kept in process memory (per function instance; lost on restart).
+function createMemoryStore({ maxKeys = 10000 } = {}) {
+  const rows = new Map(); // key -> { value, etag, expiresAt }
+  let version = 0;
+
+  function live(key) {
+    const row = rows.get(key);
+    if (!row) return null;
+    if (row.expiresAt && row.expiresAt <= Date.now()) {
+      rows.delete(key);
+      return null;
+    }
+    return row;
+  }
+
+  return {
+    kind: "memory",
+
+    async get(key) {
+      const row = live(key);
+      return row ? { value: JSON.parse(row.json), etag: row.etag } : null;
+    },
+
+    async set(key, value, { etag = "*", ttlMs = 0 } = {}) {
+      const row = live(key);
+      if (etag === null && row) return false;
+      if (etag !== null && etag !== "*" && (!row || row.etag !== etag)) return false;
+
+      // Insertion order doubles as LRU: re-insert on write, evict the oldest when full
+      rows.delete(key);
+      while (rows.size >= maxKeys) rows.delete(rows.keys().next().value);
+      rows.set(key, {
+        json: JSON.stringify(value),
+        etag: String(++version),
+        expiresAt: ttlMs ? Date.now() + ttlMs : 0,
+      });
+      return true;
+    },
+
+    async del(key) {
+      rows.delete(key);
+      return true;
+    },
+
+    async list() {
+      const out = [];
+      for (const key of [...rows.keys()]) {
+        const row = live(key);
+        if (row) out.push({ key, value: JSON.parse(row.json) });
+      }
+      return out;
+    },
+
+    async purgeExpired({ limit = 100 } = {}) {
+      let removed = 0;
+      for (const key of [...rows.keys()]) {
+        if (removed >= limit) break;
+        if (rows.has(key) && !live(key)) removed++;
+      }
+      return removed;
+    },
+  };
+}
+
+module.exports = {
+  createTableStore,
+  createMemoryStore,
+  purgeExpiredRows,
+};
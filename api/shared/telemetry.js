@@ -0,0 +1,187 @@
+// /api/shared/telemetry.js
+// Privacy filter for everything the functions log about a visitor.
+//
+// - IPs: keyed hash with a rotating salt (default), truncation to the network
+//   (/24 for IPv4, /48 for IPv6), raw, or dropped
+// - User agents: reduced to browser + OS family ("Chrome on Windows"); crawlers -> "bot"
+// - Referrers: origin + path only (query strings and fragments carry campaign ids,
+//   search terms and sometimes tokens)
+// - Free text (chat transcripts, feedback comments): emails and phone numbers scrubbed
+//
+// Env (all optional):
+//   TELEMETRY_IP_MODE        hash | truncate | raw | off            (default hash)
+//   TELEMETRY_SALT           secret mixed into IP hashes; without it a per-process
+//                            random secret is used (hashes then also change on restart)
+//   TELEMETRY_SALT_ROTATION  daily | weekly | monthly               (default daily)
+//   TELEMETRY_UA_MODE        family | full | off                    (default family)
+//   TELEMETRY_REFERRER_MODE  path | origin | full | off             (default path)
+//   TELEMETRY_SCRUB_TEXT     1 | 0                                  (default 1)
+//
+// With a daily salt the same visitor hashes to the same value within a UTC day
+// (enough to de-duplicate repeat downloads) but cannot be linked across days.
+
+const crypto = require("crypto");
+const { clientIp, clientCountry } = require("./client");
+
+const PROCESS_SECRET = crypto.randomBytes(32).toString("hex");
+
+const BOT_UA_RE =
+  /bot\b|bot\/|crawl|spider|slurp|archiver|facebookexternalhit|embedly|preview|monitor|pingdom|uptime|headless|phantomjs|lighthouse|curl\/|wget\/|python-requests|python-urllib|aiohttp|go-http-client|java\/|okhttp|libwww|httpclient|scrapy|node-fetch|axios\//i;
+
+function readConfig(env = process.env) {
+  return {
+    ipMode: String(env.TELEMETRY_IP_MODE || "hash").toLowerCase(),
+    salt: env.TELEMETRY_SALT || PROCESS_SECRET,
+    saltRotation: String(env.TELEMETRY_SALT_ROTATION || "daily").toLowerCase(),
+    uaMode: String(env.TELEMETRY_UA_MODE || "family").toLowerCase(),
+    referrerMode: String(env.TELEMETRY_REFERRER_MODE || "path").toLowerCase(),
+    scrubText: String(env.TELEMETRY_SCRUB_TEXT || "1") !== "0",
+  };
+}
+
+// ---------- IP ----------
+
+// Salt epoch: "2026-06-14" (daily), "W2945" (weeks since 1970, Monday-based), "2026-06" (monthly)
+function saltPeriod(rotation, now) {
+  const d = new Date(now);
+  if (rotation === "monthly") return d.toISOString().slice(0, 7);
+  if (rotation === "weekly") {
+    return "W" + Math.floor((now / 86400000 + 3) / 7);
+  }
+  return d.toISOString().slice(0, 10);
+}
+
+function truncateIp(ip) {
+  if (ip.includes(":")) {
+    // IPv6: keep the first three hextets (/48)
+    return ip.split(":").slice(0, 3).join(":") + "::";
+  }
+  const parts = ip.split(".");
+  return parts.length === 4 ? `${parts[0]}.${parts[1]}.${parts[2]}.0` : null;
+}
+
+// x-forwarded-for may carry a port: "203.0.113.7:51234", "[2001:db8::1]:443"
+function normalizeIp(ip) {
+  const s = String(ip).trim();
+  const bracketed = /^\[([^\]]+)\](?::\d+)?$/.exec(s);
+  if (bracketed) return bracketed[1];
+  const v4 = /^(\d{1,3}(?:\.\d{1,3}){3})(?::\d+)?$/.exec(s);
+  return v4 ? v4[1] : s;
+}
+
+function anonymizeIp(ip, config = readConfig(), now = Date.now()) {
+  if (!ip) return null;
+  const value = normalizeIp(ip);
+
+  switch (config.ipMode) {
+    case "raw":
+      return value;
+    case "off":
+      return null;
+    case "truncate":
+      return truncateIp(value);
+    default: {
+      const key = `${config.salt}:${saltPeriod(config.saltRotation, now)}`;
+      return "h:" + crypto.createHmac("sha256", key).update(value).digest("hex").slice(0, 16);
+    }
+  }
+}
+
+// ---------- User agent ----------
+
+function isBotUa(ua) {
+  return BOT_UA_RE.test(String(ua || ""));
+}
+
+// Order matters: Edge and Opera also say "Chrome", Chrome also says "Safari"
+const BROWSERS = [
+  [/Edg(e|A|iOS)?\//, "Edge"],
+  [/OPR\/|Opera/, "Opera"],
+  [/Firefox\/|FxiOS\//, "Firefox"],
+  [/Chrome\/|CriOS\//, "Chrome"],
+  [/Safari\//, "Safari"],
+  [/Revit|AVTools|JSBA/i, "AVTools add-in"],
+];
+
+const SYSTEMS = [
+  [/Windows/, "Windows"],
+  [/iPhone|iPad|iPod/, "iOS"],
+  [/Mac OS X|Macintosh/, "macOS"],
+  [/Android/, "Android"],
+  [/CrOS/, "ChromeOS"],
+  [/Linux/, "Linux"],
+];
+
+function uaFamily(ua) {
+  if (!ua) return null;
+  if (isBotUa(ua)) return "bot";
+  const s = String(ua);
+  const browser = (BROWSERS.find(([re]) => re.test(s)) || [null, "Other"])[1];
+  const os = (SYSTEMS.find(([re]) => re.test(s)) || [null, "Other"])[1];
+  return `${browser} on ${os}`;
+}
+
+function reduceUserAgent(ua, config = readConfig()) {
+  if (!ua) return null;
+  if (config.uaMode === "full") return String(ua).slice(0, 512);
+  // Keep the bot flag so download stats can still filter crawlers
+  if (config.uaMode === "off") return isBotUa(ua) ? "bot" : "(hidden)";
+  return uaFamily(ua);
+}
+
+// ---------- Referrer ----------
+
+function cleanReferrer(ref, config = readConfig()) {
+  if (!ref) return null;
+  if (config.referrerMode === "off") return null;
+  if (config.referrerMode === "full") return String(ref).slice(0, 1000);
+  try {
+    const u = new URL(String(ref));
+    return config.referrerMode === "origin" ? u.origin : u.origin + u.pathname;
+  } catch {
+    return null;
+  }
+}
+
+// ---------- Free text ----------
+
+const EMAIL_RE = /[A-Z0-9._%+-]+@[A-Z0-9.-]+\.[A-Z]{2,}/gi;
+// North American (864-555-1234, (864) 555 1234, +1 864.555.1234) and "+<country> …" numbers.
+// Deliberately narrow so Revit years (2022-2024), SKUs and measurements survive.
+const PHONE_RES = [
+  /(?<![\w.])(?:\+?1[\s.-]?)?(?:\(\d{3}\)\s?|\d{3}[\s.-])\d{3}[\s.-]\d{4}(?!\w|\.\d)/g,
+  /(?<![\w.])\+\d{1,3}(?:[\s.-]?\(?\d{1,4}\)?){2,5}(?!\w|\.\d)/g,
+];
+
+function scrubText(text, config = readConfig()) {
+  if (typeof text !== "string" || !config.scrubText) return text;
+  let out = text.replace(EMAIL_RE, "[email]");
+  for (const re of PHONE_RES) {
+    out = out.replace(re, (m) => (m.replace(/\D/g, "").length >= 8 ? "[phone]" : m));
+  }
+  return out;
+}
+
+// ---------- Request ----------
+
+// The visitor fields every event carries, already privacy-filtered.
+function requestFields(req, config = readConfig(), now = Date.now()) {
+  const headers = (req && req.headers) || {};
+  return {
+    ip: anonymizeIp(clientIp(req || {}), config, now),
+    country: clientCountry(req || {}),
+    ua: reduceUserAgent(headers["user-agent"], config),
+    ref: cleanReferrer(headers["referer"] || headers["referrer"], config),
+  };
+}
+
+module.exports = {
+  readConfig,
+  anonymizeIp,
+  isBotUa,
+  uaFamily,
+  reduceUserAgent,
+  cleanReferrer,
+  scrubText,
+  requestFields,
+};
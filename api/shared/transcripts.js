@@ -0,0 +1,148 @@
+// /api/shared/transcripts.js
+// Where consented Lucius transcripts (and feedback comments) are kept, keyed by the
+// widget's sessionId so a visitor can export or delete their own data.
+//
+// LUCIUS_TRANSCRIPT_STORE:
+//   table   Azure Table Storage (LUCIUS_TRANSCRIPT_TABLE_SAS_URL; SAS needs
+//           read/add/update/delete/list), one partition per session. The default
+//           whenever the SAS URL is set
+//   log     text goes to context.log (App Insights) only; export/delete unavailable.
+//           The default without a SAS URL. privacy.html promises deletion within 180 days,
+//           so keep the App Insights retention at or below that
+//   memory  per function instance, lost on restart — local dev only. Not durable, so
+//           callers keep logging the text as well
+//
+// Partitions are named from a SHA-256 of the sessionId, so raw session ids never
+// appear in storage. Rows expire after LUCIUS_TRANSCRIPT_RETENTION_DAYS (default 180);
+// the table store deletes expired rows of every session at most once an hour per
+// instance, when a new entry is written.
+
+const crypto = require("crypto");
+const { createMemoryStore, createTableStore, purgeExpiredRows } = require("./table-store");
+
+const PARTITION_PREFIX = "lucius-transcript-";
+const PURGE_INTERVAL_MS = 60 * 60 * 1000;
+const PURGE_LIMIT = 500;
+
+// Widget ids are random UUIDs; older widgets sent "sess_<ms>_<hex>", still accepted so those
+// visitors can reach what they saved
+const SESSION_ID_RE = /^[A-Za-z0-9_-]{16,200}$/;
+
+function readConfig(env = process.env) {
+  return {
+    store: String(env.LUCIUS_TRANSCRIPT_STORE || (env.LUCIUS_TRANSCRIPT_TABLE_SAS_URL ? "table" : "log")).toLowerCase(),
+    tableSasUrl: env.LUCIUS_TRANSCRIPT_TABLE_SAS_URL || "",
+    retentionDays: Number(env.LUCIUS_TRANSCRIPT_RETENTION_DAYS) || 180,
+    maxSessions: Number(env.LUCIUS_TRANSCRIPT_MAX_SESSIONS) || 1000,
+  };
+}
+
+function validSessionId(sessionId) {
+  return typeof sessionId === "string" && SESSION_ID_RE.test(sessionId);
+}
+
+function sessionPartition(sessionId) {
+  return PARTITION_PREFIX + crypto.createHash("sha256").update(String(sessionId)).digest("hex").slice(0, 40);
+}
+
+function byTs(a, b) {
+  return String(a.ts).localeCompare(String(b.ts));
+}
+
+// openStore(partition) -> a table-store-shaped { set, list, del }
+// purge() (optional) deletes expired rows of every session -> count
+function createSessionStore(config, openStore, { durable, purge = null }) {
+  const ttlMs = config.retentionDays > 0 ? config.retentionDays * 24 * 60 * 60 * 1000 : 0;
+  let purgeDueAt = 0;
+
+  return {
+    kind: config.store,
+    queryable: true,
+    durable,
+
+    // log (optional) receives purge failures; the entry itself is already saved by then
+    async append(sessionId, entry, { log = null } = {}) {
+      const ts = entry.ts || new Date().toISOString();
+      const key = `${ts}:${entry.messageId || crypto.randomBytes(6).toString("hex")}:${entry.type || "exchange"}`;
+      await openStore(sessionPartition(sessionId)).set(key, { ...entry, ts }, { etag: "*", ttlMs });
+
+      if (!purge || !ttlMs || Date.now() < purgeDueAt) return;
+      purgeDueAt = Date.now() + PURGE_INTERVAL_MS;
+      try {
+        await purge();
+      } catch (e) {
+        try {
+          if (log) log(`Lucius transcript retention purge failed: ${e && e.message}`);
+        } catch {}
+      }
+    },
+
+    async list(sessionId) {
+      const rows = await openStore(sessionPartition(sessionId)).list();
+      return rows.map((r) => r.value).sort(byTs);
+    },
+
+    // -> number of entries removed
+    async remove(sessionId) {
+      const store = openStore(sessionPartition(sessionId));
+      const rows = await store.list();
+      for (const row of rows) await store.del(row.key);
+      return rows.length;
+    },
+  };
+}
+
+function createTranscriptStore(config = readConfig()) {
+  if (config.store === "log") {
+    return {
+      kind: "log",
+      queryable: false,
+      durable: false,
+      async append() {},
+      async list() {
+        return [];
+      },
+      async remove() {
+        return 0;
+      },
+    };
+  }
+
+  if (config.store === "table") {
+    if (!config.tableSasUrl) throw new Error("LUCIUS_TRANSCRIPT_STORE=table needs LUCIUS_TRANSCRIPT_TABLE_SAS_URL.");
+    return createSessionStore(config, (partitionKey) => createTableStore({ sasUrl: config.tableSasUrl, partitionKey }), {
+      durable: true,
+      purge: () => purgeExpiredRows({ sasUrl: config.tableSasUrl, partitionPrefix: PARTITION_PREFIX, limit: PURGE_LIMIT }),
+    });
+  }
+
+  // memory: one small store per session, oldest sessions evicted first
+  const sessions = new Map();
+  return createSessionStore(
+    { ...config, store: "memory" },
+    (partition) => {
+      let store = sessions.get(partition);
+      if (!store) {
+        while (sessions.size >= config.maxSessions) sessions.delete(sessions.keys().next().value);
+        store = createMemoryStore({ maxKeys: 500 });
+        sessions.set(partition, store);
+      }
+      return store;
+    },
+    { durable: false }
+  );
+}
+
+let _store = null;
+
+function getTranscriptStore() {
+  if (!_store) _store = createTranscriptStore();
+  return _store;
+}
+
+module.exports = {
+  readConfig,
+  validSessionId,
+  createTranscriptStore,
+  getTranscriptStore,
+};
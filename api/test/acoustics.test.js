@@ -0,0 +1,45 @@
+// /api/test/acoustics.test.js
+// Hand-worked values from the header of ../shared/calc/acoustics.js (10 × 8 × 3 m room).
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { shoeboxRoom, rt60Bands, sabine, eyring, roomConstant, criticalDistance } = require("../shared/calc/acoustics");
+
+function near(actual, expected, tolerance) {
+  assert.ok(Math.abs(actual - expected) <= tolerance, `${actual} is not within ${tolerance} of ${expected}`);
+}
+
+test("α 0.20 everywhere: Sabine 0.721 s, Eyring 0.646 s, Arau equals Eyring", () => {
+  const r = rt60Bands(shoeboxRoom({ length: 10, width: 8, height: 3, floor: 0.2, ceiling: 0.2, walls: 0.2 }));
+  assert.equal(r.volume, 240);
+  assert.equal(r.area, 268);
+  near(r.mid.sabine, 0.721, 0.0005);
+  near(r.mid.eyring, 0.646, 0.0005);
+  near(r.mid.arau, r.mid.eyring, 1e-9);
+});
+
+test("absorptive floor and ceiling, live walls: Arau-Puchades 0.594 s", () => {
+  const r = rt60Bands(shoeboxRoom({ length: 10, width: 8, height: 3, floor: 0.5, ceiling: 0.5, walls: 0.05 }));
+  near(r.bands[0].absorption, 85.4, 1e-9);
+  near(r.mid.sabine, 0.452, 0.0005);
+  near(r.mid.eyring, 0.376, 0.0005);
+  near(r.mid.arau, 0.594, 0.0005);
+});
+
+test("room constant 67 m² and critical distance 1.632 m at Q 2", () => {
+  const r = roomConstant(268, 0.2);
+  near(r, 67, 1e-9);
+  near(criticalDistance(2, r), 1.632, 0.0005);
+});
+
+test("no absorption or ᾱ of 1 is BAD_INPUT, never Infinity / NaN", () => {
+  const badInput = { code: "BAD_INPUT" };
+  const room = (walls) => shoeboxRoom({ length: 10, width: 8, height: 3, floor: 0, ceiling: 0, walls });
+
+  assert.throws(() => rt60Bands(room(0)), { ...badInput, message: /no absorption at 63 Hz/ });
+  assert.throws(() => rt60Bands(room(0.2)), { ...badInput, message: /floor and ceiling have no absorption/ });
+  assert.throws(() => sabine(240, 268, 0), badInput);
+  assert.throws(() => eyring(240, 268, 1), badInput);
+  assert.throws(() => roomConstant(268, 1), badInput);
+  near(sabine(240, 268, 1), 0.161 * 240 / 268, 1e-12);
+});
@@ -0,0 +1,47 @@
+// /api/test/circuits.test.js
+// Hand-worked values from the header of ../shared/calc/circuits.js.
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { chooseTap, circuitLoad } = require("../shared/calc/circuits");
+
+function near(actual, expected, tolerance) {
+  assert.ok(Math.abs(actual - expected) <= tolerance, `${actual} is not within ${tolerance} of ${expected}`);
+}
+
+test("nearest tap at or above the required power", () => {
+  assert.deepEqual(chooseTap(3), { tap: 4, short: false });
+  assert.deepEqual(chooseTap(20), { tap: 16, short: true });
+});
+
+test("70V, 10 × 4 W on 250 ft of 16 AWG: 125 Ω, loss ≈ 0.14 dB, 66.7 % of a 60 W channel", () => {
+  const r = circuitLoad({
+    mode: "70V",
+    speakers: [{ type: "CS-1", qty: 10, required: 4 }],
+    awg: 16,
+    length: 250,
+    units: "ft",
+    ampWatts: 60,
+  });
+  assert.equal(r.watts, 40);
+  near(r.loadOhms, 125.0, 0.05);
+  near(r.lineOhms, 2.008, 0.0005);
+  near(r.lossDb, 0.14, 0.005);
+  near(r.ampLoad, 66.7, 0.05);
+  assert.deepEqual(r.levels, { load: "green", loss: "green", damping: null });
+});
+
+test("Low-Z, 4 × 8 Ω on 50 ft of 14 AWG: 2 Ω, loss 1.03 dB and DF 7.9, both red", () => {
+  const r = circuitLoad({
+    mode: "Low-Z",
+    speakers: [{ type: "SUB-1", qty: 4, required: 50, impedance: 8 }],
+    awg: 14,
+    length: 50,
+    ampWatts: 400,
+  });
+  near(r.loadOhms, 2, 1e-9);
+  near(r.lossDb, 1.03, 0.005);
+  near(r.dampingFactor, 7.9, 0.05);
+  assert.equal(r.levels.loss, "red");
+  assert.equal(r.levels.damping, "red");
+});
@@ -0,0 +1,70 @@
+// /api/test/helpers/fake-table.js
+// In-process fake of the Table Storage REST API (entity GET/PUT/DELETE, insert POST, filtered
+// queries, etags). install() swaps it in for ../shared/http's httpsRequest; call it before
+// requiring anything that uses the table store.
+
+const rows = new Map(); // "pk|rk" -> { entity, etag }
+let version = 0;
+
+function fakeTableRequest(url, method, headers, body) {
+  const u = new URL(url);
+  const path = decodeURIComponent(u.pathname);
+  const reply = (status, value, extra = {}) => ({
+    ok: status >= 200 && status < 300,
+    status,
+    headers: extra,
+    raw: value === undefined ? "" : JSON.stringify(value),
+  });
+
+  const entityPath = /^\/\w+\(PartitionKey='(.*)',RowKey='(.*)'\)$/.exec(path);
+  if (entityPath) {
+    const id = `${entityPath[1]}|${entityPath[2]}`;
+    const row = rows.get(id);
+    const ifMatch = headers["If-Match"];
+    if (method === "GET") return row ? reply(200, row.entity, { etag: row.etag }) : reply(404);
+    if (ifMatch && ifMatch !== "*" && row && row.etag !== ifMatch) return reply(412);
+    if (ifMatch && !row) return reply(404);
+    if (method === "DELETE") {
+      rows.delete(id);
+      return reply(204);
+    }
+    rows.set(id, { entity: JSON.parse(body), etag: `W/"${++version}"` });
+    return reply(204);
+  }
+
+  if (method === "POST") {
+    const entity = JSON.parse(body);
+    const id = `${entity.PartitionKey}|${entity.RowKey}`;
+    if (rows.has(id)) return reply(409);
+    rows.set(id, { entity, etag: `W/"${++version}"` });
+    return reply(204);
+  }
+
+  // Query: only the PartitionKey clauses this repo sends
+  const filter = u.searchParams.get("$filter") || "";
+  const eq = /PartitionKey eq '([^']*)'/.exec(filter);
+  const range = /PartitionKey ge '([^']*)' and PartitionKey lt '([^']*)'/.exec(filter);
+  const value = [...rows.values()]
+    .filter(({ entity: e }) => (eq ? e.PartitionKey === eq[1] : range ? e.PartitionKey >= range[1] && e.PartitionKey < range[2] : true))
+    .map(({ entity, etag }) => ({ ...entity, "odata.etag": etag }));
+  return reply(200, { value });
+}
+
+
+function install() {
+  const http = require("../../shared/http");
+  http.httpsRequest = async (...args) => fakeTableRequest(...args);
+}
+
+// Backdates every row with a TTL (or only those matching the partition filter) to expired
+function expireRows(partitionFilter = () => true) {
+  for (const row of rows.values()) {
+    if (row.entity.ExpiresAt && partitionFilter(row.entity.PartitionKey)) row.entity.ExpiresAt = 1;
+  }
+}
+
+module.exports = {
+  rows,
+  install,
+  expireRows,
+};
@@ -0,0 +1,14 @@
+// /api/test/packs.test.js
+// Runtime pack base switch (/api/lucius-admin).
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { normalizePackBase } = require("../lucius-web-chat/packs");
+
+test("pack base: https only (plain http on loopback), trailing slashes dropped", () => {
+  assert.equal(normalizePackBase("https://staging.example.com/lucius/packs/"), "https://staging.example.com/lucius/packs");
+  assert.equal(normalizePackBase(""), null);
+  assert.throws(() => normalizePackBase("http://staging.example.com/lucius/packs"), /https URL/);
+  assert.throws(() => normalizePackBase("file:///etc/passwd"), /https URL/);
+  assert.equal(normalizePackBase("http://127.0.0.1:8123/"), "http://127.0.0.1:8123");
+});
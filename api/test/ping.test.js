@@ -0,0 +1,48 @@
+// /api/test/ping.test.js
+// /api/ping: the anonymous answer carries no details, and outbound probes are reused.
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+// Count outbound requests (pack probes); every pack URL answers 404
+const http = require("../shared/http");
+const outbound = [];
+http.httpsRequest = async (url) => {
+  outbound.push(url);
+  return { ok: false, status: 404, headers: {}, raw: "" };
+};
+
+process.env.LUCIUS_ADMIN_KEY = "test-admin-key";
+const ping = require("../ping/index");
+
+function log() {}
+log.warn = log;
+
+async function get(headers = {}) {
+  const context = { log, res: null };
+  await ping(context, { method: "GET", headers, query: {} });
+  return context.res;
+}
+
+// ---------- Tests ----------
+
+test("anonymous ping: status only, no model, build or URLs", async () => {
+  const res = await get();
+  assert.equal(res.status, 503);
+  assert.ok(res.body.failing.includes("packs"));
+  assert.equal(outbound.length, 3); // one probe per pack
+  assert.equal(res.body.checks, undefined);
+  assert.equal(res.body.version, undefined);
+  assert.ok(!JSON.stringify(res.body).includes("http"));
+});
+
+test("admin key gets the checks; pings within the TTL reuse one probe", async () => {
+  const before = outbound.length;
+  await Promise.all([get(), get(), get()]);
+  const res = await get({ authorization: "Bearer test-admin-key" });
+
+  assert.equal(outbound.length, before);
+  assert.equal(res.body.checks.packs.probed, true);
+  assert.equal(res.body.checks.packs.packs.core.fetch.status, 404);
+  assert.ok(res.body.version);
+});
@@ -0,0 +1,33 @@
+// /api/test/providers.test.js
+// Provider adapters against a scripted upstream (no network).
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const sent = [];
+let replies = [];
+
+const http = require("../shared/http");
+http.httpsRequest = async (url, method, headers, body) => {
+  sent.push(body);
+  return { ok: true, status: 200, headers: {}, raw: JSON.stringify(replies.shift()) };
+};
+
+const { createProvider } = require("../lucius-web-chat/providers");
+
+test("usage counts every request of a tool-calling answer", async () => {
+  replies = [
+    { output: [{ type: "function_call", call_id: "c1", name: "room_rt60", arguments: "{}" }] },
+    { output: [{ type: "message", content: [{ type: "output_text", text: "RT60 is 0.72 s." }] }] },
+  ];
+  const provider = createProvider("openai", { OPENAI_API_KEY: "k" });
+  const usage = { requests: 0, promptChars: 0 };
+  const tools = { definitions: [], call: async () => '{"rt60":0.72}' };
+
+  const text = await provider.complete({ developerText: "rules", history: [], userText: "RT60?", tools, usage });
+
+  assert.equal(text, "RT60 is 0.72 s.");
+  assert.equal(usage.requests, 2);
+  assert.equal(usage.promptChars, sent[0].length + sent[1].length);
+  assert.ok(sent[1].length > sent[0].length, "the second round resends the prompt plus the tool output");
+});
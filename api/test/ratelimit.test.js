@@ -0,0 +1,80 @@
+// /api/test/ratelimit.test.js
+// Rate limiter over both stores; the table store talks to ./helpers/fake-table.js.
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const { rows, install, expireRows } = require("./helpers/fake-table");
+
+install();
+
+const { createTableStore, createMemoryStore } = require("../shared/table-store");
+const { createRateLimiter, readConfig } = require("../lucius-web-chat/ratelimit");
+const { clientIp } = require("../shared/client");
+
+const SAS_URL = "https://acct.table.core.windows.net/limits?sv=x&sig=y";
+
+function limiterConfig(extra = {}) {
+  return { ...readConfig({}), ipCapacity: 2, ipRefillPerMin: 1, dailyBudgetUsd: 0, ...extra };
+}
+
+// ---------- Tests ----------
+
+test("a bucket keeps limiting after the key sits idle past its TTL", async () => {
+  rows.clear();
+  const store = createTableStore({ sasUrl: SAS_URL, partitionKey: "lucius-ratelimit" });
+  const limiter = createRateLimiter({ config: limiterConfig(), store });
+  const ask = () => limiter.check({ ip: "203.0.113.7", messageChars: 10 });
+
+  assert.equal((await ask()).allowed, true);
+  assert.equal((await ask()).allowed, true);
+  assert.equal((await ask()).code, "rate_limited");
+
+  expireRows();
+
+  // The expired row is replaced, not left to block inserts (which used to fail open forever)
+  assert.equal((await ask()).allowed, true);
+  assert.equal((await ask()).allowed, true);
+  assert.equal((await ask()).code, "rate_limited");
+  assert.equal(rows.size, 1);
+});
+
+test("IPs are stored as hashes, never raw", async () => {
+  rows.clear();
+  const store = createTableStore({ sasUrl: SAS_URL, partitionKey: "lucius-ratelimit" });
+  const limiter = createRateLimiter({ config: limiterConfig(), store });
+  await limiter.check({ ip: "203.0.113.7", messageChars: 10 });
+
+  const keys = [...rows.values()].map(({ entity }) => Buffer.from(entity.RowKey, "base64url").toString("utf8"));
+  assert.equal(keys.length, 1);
+  assert.match(keys[0], /^ip:h:[0-9a-f]{16}$/);
+  assert.ok(!keys[0].includes("203.0.113.7"));
+});
+
+test("purgeExpired deletes expired rows nobody reads again", async () => {
+  rows.clear();
+  const store = createTableStore({ sasUrl: SAS_URL, partitionKey: "lucius-ratelimit" });
+  await store.set("a", { n: 1 }, { ttlMs: 60000 });
+  await store.set("b", { n: 2 }, { ttlMs: 60000 });
+  await store.set("c", { n: 3 });
+  expireRows();
+
+  assert.equal(await store.purgeExpired(), 2);
+  assert.deepEqual((await store.list()).map((r) => r.key), ["c"]);
+});
+
+test("memory store: empty bucket -> 429 with Retry-After", async () => {
+  const limiter = createRateLimiter({ config: limiterConfig(), store: createMemoryStore() });
+  const now = Date.now();
+  await limiter.check({ ip: "198.51.100.1", messageChars: 10 }, now);
+  await limiter.check({ ip: "198.51.100.1", messageChars: 10 }, now);
+  const r = await limiter.check({ ip: "198.51.100.1", messageChars: 10 }, now);
+  assert.equal(r.status, 429);
+  assert.equal(r.retryAfterSec, 60);
+});
+
+test("clientIp ignores client-supplied x-forwarded-for entries", () => {
+  assert.equal(clientIp({ headers: { "x-azure-clientip": "203.0.113.7", "x-forwarded-for": "1.2.3.4" } }), "203.0.113.7");
+  assert.equal(clientIp({ headers: { "x-forwarded-for": "1.2.3.4, 203.0.113.7" } }), "203.0.113.7");
+  assert.equal(clientIp({ headers: {} }), null);
+});
@@ -0,0 +1,42 @@
+// /api/test/spacing.test.js
+// Hand-worked values from the header of ../shared/calc/spacing.js.
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { speakerSpacing, gridLayout } = require("../shared/calc/spacing");
+
+function near(actual, expected, tolerance) {
+  assert.ok(Math.abs(actual - expected) <= tolerance, `${actual} is not within ${tolerance} of ${expected}`);
+}
+
+test("edge-to-edge spacing: 9 ft ceiling, 4 ft ears, 60°", () => {
+  const s = speakerSpacing({ ceilingHeight: 9, listenerHeight: 4, coverageAngle: 60 });
+  assert.equal(s.height, 5);
+  near(s.radius, 2.887, 0.0005);
+  near(s.spacing, 5.774, 0.0005);
+});
+
+test("minimum-overlap spacing: 3 m ceiling, 1.2 m ears, 90°", () => {
+  const s = speakerSpacing({ ceilingHeight: 3, listenerHeight: 1.2, coverageAngle: 90, mode: "minimum-overlap" });
+  near(s.spacing, 2.546, 0.0005);
+});
+
+test("30 × 20 ft room at 5.774 ft -> 6 × 4 grid at a 5 ft pitch", () => {
+  const g = gridLayout({ length: 30, width: 20, spacing: 5.774 });
+  assert.equal(g.countX, 6);
+  assert.equal(g.countY, 4);
+  assert.equal(g.count, 24);
+  near(g.pitchX, 5, 1e-9);
+  near(g.pitchY, 5, 1e-9);
+});
+
+test("same room on 2 × 2 ft tiles -> 8 × 6 snapped to tile centres", () => {
+  const g = gridLayout({ length: 30, width: 20, spacing: 5.774, tileX: 2, tileY: 2 });
+  assert.equal(g.count, 48);
+  assert.deepEqual(g.ys, [1, 5, 9, 11, 15, 19]);
+  assert.ok(g.fits);
+});
+
+test("rejects a listener above the ceiling", () => {
+  assert.throws(() => speakerSpacing({ ceilingHeight: 4, listenerHeight: 5, coverageAngle: 90 }), { code: "BAD_INPUT" });
+});
@@ -0,0 +1,30 @@
+// /api/test/sti.test.js
+// Hand-worked values from the header of ../shared/calc/sti.js (10 × 8 × 3 m room, RT60 0.6 s).
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { estimateSti, NC_CURVES } = require("../shared/calc/sti");
+
+function near(actual, expected, tolerance) {
+  assert.ok(Math.abs(actual - expected) <= tolerance, `${actual} is not within ${tolerance} of ${expected}`);
+}
+
+const ROOM = { rt60: 0.6, volume: 240, surface: 268, q: 4, n: 1, distance: 2 };
+
+test("no noise: STI ≈ 0.80 (Excellent), Dc 2.60 m, D/R +2.3 dB", () => {
+  const r = estimateSti(ROOM);
+  near(r.sti, 0.8, 0.005);
+  assert.equal(r.rating, "Excellent");
+  near(r.criticalDistance, 2.6, 0.005);
+  near(r.drDb, 2.3, 0.05);
+  assert.ok(r.meets.criticalSpeech);
+});
+
+test("70 dBA speech over NC-35: STI ≈ 0.79", () => {
+  const r = estimateSti({ ...ROOM, noise: NC_CURVES["NC-35"], speechLevel: 70 });
+  near(r.sti, 0.79, 0.005);
+});
+
+test("noise without a speech level is rejected", () => {
+  assert.throws(() => estimateSti({ ...ROOM, noise: "50" }), { code: "BAD_INPUT" });
+});
@@ -0,0 +1,61 @@
+// /api/test/transcripts.test.js
+// Transcript store selection, table retention and the feedback fallback.
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const { rows, install, expireRows } = require("./helpers/fake-table");
+
+install();
+
+// A table store without its SAS URL: the misconfiguration feedback has to survive
+process.env.LUCIUS_TRANSCRIPT_STORE = "table";
+delete process.env.LUCIUS_TRANSCRIPT_TABLE_SAS_URL;
+
+const { readConfig, createTranscriptStore } = require("../shared/transcripts");
+const feedback = require("../lucius-feedback");
+
+const SAS_URL = "https://acct.table.core.windows.net/lucius?sv=x&sig=y";
+const SESSION_A = "6f1c2d3e-4a5b-4c6d-8e7f-0123456789ab";
+const SESSION_B = "0a1b2c3d-4e5f-4a6b-9c7d-ba9876543210";
+
+test("defaults to the log backend until a table is configured", () => {
+  assert.equal(readConfig({}).store, "log");
+  assert.equal(readConfig({ LUCIUS_TRANSCRIPT_TABLE_SAS_URL: SAS_URL }).store, "table");
+  assert.equal(createTranscriptStore({ ...readConfig({}), store: "memory" }).durable, false);
+});
+
+test("table store deletes expired entries of every session, and nothing else", async () => {
+  rows.clear();
+  const store = createTranscriptStore(readConfig({ LUCIUS_TRANSCRIPT_TABLE_SAS_URL: SAS_URL }));
+  rows.set("lucius-ratelimit|x", { entity: { PartitionKey: "lucius-ratelimit", RowKey: "x", Value: "{}", ExpiresAt: 1 }, etag: "1" });
+
+  await store.append(SESSION_A, { type: "exchange", user: "old", lucius: "old" });
+  await store.append(SESSION_B, { type: "exchange", user: "old", lucius: "old" });
+  expireRows((pk) => pk.startsWith("lucius-transcript-"));
+
+  // First write of a new store instance runs the purge
+  const fresh = createTranscriptStore(readConfig({ LUCIUS_TRANSCRIPT_TABLE_SAS_URL: SAS_URL }));
+  await fresh.append(SESSION_A, { type: "exchange", user: "new", lucius: "new" });
+
+  const left = [...rows.values()].map(({ entity }) => entity.PartitionKey);
+  assert.equal(left.filter((pk) => pk.startsWith("lucius-transcript-")).length, 1);
+  assert.ok(left.includes("lucius-ratelimit"));
+  assert.deepEqual((await fresh.list(SESSION_A)).map((e) => e.user), ["new"]);
+});
+
+test("feedback with a misconfigured store is accepted and logged", async () => {
+  const lines = [];
+  const log = (line) => lines.push(line);
+  log.warn = () => {};
+  const context = { log, res: null };
+
+  await feedback(context, {
+    method: "POST",
+    headers: {},
+    body: { messageId: "msg-12345678", rating: "down", comment: "Too vague", sessionId: SESSION_A, consentToLog: true },
+  });
+
+  assert.equal(context.res.status, 202);
+  assert.match(lines.join("\n"), /LUCIUS_FEEDBACK .*"comment":"Too vague"/);
+});
@@ -0,0 +1,38 @@
+// /api/test/update-check.test.js
+// /api/update-check against the real release catalog (../shared/releases.json).
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const updateCheck = require("../update-check/index");
+
+function log() {}
+log.warn = log;
+
+async function check(query) {
+  const context = { log, res: null };
+  await updateCheck(context, { method: "GET", headers: {}, query });
+  return context.res;
+}
+
+// ---------- Tests ----------
+
+test("a known build without ?revit is matched to its own Revit range", async () => {
+  const res = await check({ current: "1.2.1" });
+  assert.equal(res.status, 200);
+  assert.equal(res.body.revit, 2024);
+  assert.equal(res.body.updateAvailable, false);
+
+  const newer = await check({ current: "2.2.1" });
+  assert.equal(newer.body.latest.version, "2.3.0");
+});
+
+test("an unknown version without ?revit is a 400, not a guess", async () => {
+  const res = await check({ current: "2.2.9" });
+  assert.equal(res.status, 400);
+  assert.match(res.body.error, /revit=YYYY/);
+
+  const withRevit = await check({ current: "2.2.9", revit: "2026" });
+  assert.equal(withRevit.status, 200);
+  assert.equal(withRevit.body.latest.version, "2.3.0");
+});
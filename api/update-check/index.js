@@ -0,0 +1,127 @@
+// /api/update-check/index.js
+// Called by the installed Revit add-in: "is there a newer build for me?"
+//
+// GET /api/update-check?current=2.2.1&revit=2026[&channel=current]
+//   -> { ok, current, revit, updateAvailable, critical, latest: { version, key, download, summary, ... } }
+//
+// Built on the same release catalog as /api/download (../shared/releases.json):
+// - Only builds that support the caller's Revit year are offered. Without ?revit,
+//   the Revit range of the installed build is used (a v1.2.1 user on Revit 2024
+//   is never pointed at a 2025+ only build). A version the catalog doesn't know, sent
+//   without ?revit, is a 400: there is no Revit year to match, so nothing is guessed.
+// - critical = any newer compatible release between current and latest is marked critical.
+//
+// Every check logs a structured event, picked up by App Insights traces:
+//   traces | where message startswith "AVTOOLS_UPDATE_CHECK"
+//          | extend e = parse_json(substring(message, 21))
+//          | summarize count() by tostring(e.current), bin(timestamp, 1d)
+
+const { recordEvent } = require("../shared/events");
+const { requestFields } = require("../shared/telemetry");
+const {
+  CHANNELS,
+  loadCatalog,
+  parseVersion,
+  compareVersions,
+  sortedReleases,
+  resolveRelease,
+  resolveCompatible,
+  supportsRevit,
+  parseRevitYear,
+  publicRelease,
+} = require("../shared/releases");
+
+async function logUpdateCheckEvent(context, req, fields) {
+  const { ip, country, ua } = requestFields(req);
+  await recordEvent(context, "AVTOOLS_UPDATE_CHECK", {
+    ts: new Date().toISOString(),
+    ...fields,
+    ip,
+    country,
+    ua,
+  });
+}
+
+function jsonResponse(status, body, cacheControl = "no-store") {
+  return {
+    status,
+    headers: { "Content-Type": "application/json", "Cache-Control": cacheControl },
+    body,
+  };
+}
+
+// The Revit year to match against: explicit ?revit, else the newest year the installed build supports
+function targetRevitYear(catalog, current, revit) {
+  if (revit !== null) return revit;
+  const installed = resolveRelease(catalog, current);
+  return installed && installed.revit ? Number(installed.revit.max) : null;
+}
+
+module.exports = async function (context, req) {
+  const query = req.query || {};
+  const current = query.current ? String(query.current).trim().replace(/^v/i, "") : "";
+  const revitParam = query.revit ? String(query.revit) : "";
+  const revit = revitParam ? parseRevitYear(revitParam) : null;
+  const channel = query.channel ? String(query.channel).toLowerCase() : "current";
+
+  if (!parseVersion(current) || (revitParam && revit === null) || !CHANNELS.includes(channel)) {
+    context.res = jsonResponse(400, {
+      ok: false,
+      error: `Use ?current=<installed version, e.g. 2.2.1>&revit=YYYY, optionally &channel=${CHANNELS.join("|")}.`,
+    });
+    return;
+  }
+
+  const catalog = loadCatalog();
+  const year = targetRevitYear(catalog, current, revit);
+  if (year === null) {
+    context.res = jsonResponse(400, {
+      ok: false,
+      error: `Version ${current} is not in the release catalog; add &revit=YYYY so the update matches your Revit year.`,
+    });
+    return;
+  }
+  const result = resolveCompatible(catalog, { revit: year, channel });
+  const latest = result.release;
+
+  const updateAvailable = !!latest && compareVersions(latest.version, current) > 0;
+
+  // Critical if any skipped-over compatible release (including latest) is flagged
+  const critical =
+    updateAvailable &&
+    sortedReleases(catalog).some(
+      (r) =>
+        r.critical &&
+        compareVersions(r.version, current) > 0 &&
+        compareVersions(r.version, latest.version) <= 0 &&
+        supportsRevit(r, year)
+    );
+
+  await logUpdateCheckEvent(context, req, {
+    current,
+    revit,
+    channel,
+    latest: latest ? latest.version : null,
+    updateAvailable,
+    critical,
+  });
+
+  const body = {
+    ok: true,
+    current,
+    revit: year,
+    updateAvailable,
+    critical,
+    latest: latest ? publicRelease(latest) : null,
+  };
+
+  // e.g. Revit 2027 before it is supported: nothing to offer yet
+  if (!latest) {
+    body.comingSoon = !!result.upcoming;
+    body.message = result.upcoming
+      ? result.upcoming.note || `Revit ${year} support is coming soon.`
+      : `No ${channel} build supports Revit ${year}.`;
+  }
+
+  context.res = jsonResponse(200, body, "public, max-age=300");
+};
@@ -0,0 +1,212 @@
+// /api/shared/calc/acoustics.js
+// First-order room acoustics: RT60 (Sabine, Norris-Eyring, Arau-Puchades), room constant and
+// critical distance. Shared by the Lucius tools (require) and /rt60-calculator.html
+// (window.BimCalc.acoustics, after /js/calc/materials.js); /js/calc/acoustics.js is a
+// byte-for-byte copy — see api/scripts/verify-calc.js.
+//
+//   Sabine   RT60 = K × V / A               A = Σ Sᵢ αᵢ  (sabins)
+//   Eyring   RT60 = K × V / (−S ln(1 − ᾱ))  ᾱ = A / S
+//   Arau     RT60 = Π Tₐ ^ (Sₐ / S)         Tₐ = Eyring with ᾱₐ, the mean α of the surfaces facing
+//                                           axis a (x: end walls, y: side walls, z: floor + ceiling)
+//   R        = S ᾱ / (1 − ᾱ)                room constant
+//   Dc       = 0.141 × √(Q × R)             critical distance (same length unit as √R)
+//
+// K is 0.161 s/m for metric and 0.049 s/ft for imperial dimensions. Diffuse field assumed;
+// no air absorption, so long rooms read slightly long at 4–8 kHz. Arau-Puchades needs every
+// surface on an axis; custom surface lists without `axis` report it as null.
+//
+// A room (or, for Arau-Puchades, an axis) with no absorption in a band never decays, and
+// Eyring's ln(1 − ᾱ) needs ᾱ < 1: both throw BAD_INPUT instead of returning Infinity / NaN.
+//
+// Worked values (hand-checked), 10 × 8 × 3 m room with α = 0.20 on every surface:
+//   V 240 m³, S 268 m², A 53.6 m² -> Sabine 0.721 s; −ln(0.8) = 0.2231 -> Eyring 0.646 s
+//   (Arau equals Eyring when every axis has the same ᾱ)
+//   R = 268 × 0.2 / 0.8 = 67 m²; Q = 2 -> Dc = 0.141 × √134 = 1.632 m
+// Same room, floor and ceiling α 0.50, walls α 0.05:
+//   A 85.4 m² -> Sabine 0.452 s; ᾱ 0.319 -> Eyring 0.376 s; z faces 160 m² at ᾱ 0.50 (Tz 0.208 s),
+//   walls 108 m² at ᾱ 0.05 (Tx = Ty 2.811 s) -> Arau 0.208^0.597 × 2.811^0.403 = 0.594 s
+
+(function (root, factory) {
+  if (typeof module === "object" && module.exports) module.exports = factory(require("./materials"));
+  else (root.BimCalc = root.BimCalc || {}).acoustics = factory(root.BimCalc.materials);
+})(typeof self !== "undefined" ? self : this, function (materials) {
+  "use strict";
+
+  const { OCTAVE_BANDS, getMaterial } = materials;
+
+  const SABINE_CONSTANT = { m: 0.161, ft: 0.049 };
+  const AXES = ["x", "y", "z"];
+
+  // Target RT60 per octave band (OCTAVE_BANDS), seconds, for the reference-curve overlay. The
+  // 500 Hz–1 kHz values are mid-range targets from ANSI S12.60 (classrooms) and common
+  // ASA / ASHRAE design guidance for the room type; lows rise and highs roll off as usual.
+  const REFERENCE_CURVES = {
+    conference: { label: "Conference / Meeting", rt60: [0.8, 0.7, 0.65, 0.6, 0.6, 0.6, 0.55, 0.5] },
+    classroom: { label: "Classroom", rt60: [0.7, 0.65, 0.6, 0.6, 0.6, 0.6, 0.55, 0.5] },
+    "lecture-hall": { label: "Lecture Hall", rt60: [1.05, 0.95, 0.85, 0.8, 0.8, 0.8, 0.75, 0.7] },
+    theater: { label: "Theater", rt60: [1.45, 1.3, 1.2, 1.1, 1.1, 1.05, 1.0, 0.9] },
+    worship: { label: "Worship", rt60: [2.1, 1.9, 1.75, 1.6, 1.6, 1.5, 1.4, 1.25] },
+    courtroom: { label: "Courtroom", rt60: [0.9, 0.8, 0.75, 0.7, 0.7, 0.7, 0.65, 0.6] },
+    ballroom: { label: "Ballroom", rt60: [1.55, 1.4, 1.3, 1.2, 1.2, 1.15, 1.05, 0.95] },
+    "exhibit-hall": { label: "Exhibit Hall", rt60: [2.3, 2.1, 1.95, 1.8, 1.8, 1.7, 1.55, 1.4] },
+  };
+
+  function badInput(message) {
+    const e = new Error(message);
+    e.code = "BAD_INPUT";
+    return e;
+  }
+
+  function positive(value, name) {
+    const n = Number(value);
+    if (!Number.isFinite(n) || n <= 0) throw badInput(`${name} must be a positive number.`);
+    return n;
+  }
+
+  function unitConstant(units) {
+    const k = SABINE_CONSTANT[units || "m"];
+    if (!k) throw badInput('units must be "m" or "ft".');
+    return k;
+  }
+
+  // Material id / alias, one α for every band, or one α per octave band -> α per band
+  function bandAlpha(material, name) {
+    if (typeof material === "number") material = OCTAVE_BANDS.map(() => material);
+    if (Array.isArray(material)) {
+      if (material.length !== OCTAVE_BANDS.length) {
+        throw badInput(`${name}: give one coefficient per band (${OCTAVE_BANDS.join(", ")} Hz).`);
+      }
+      return material.map((a) => {
+        const n = Number(a);
+        if (!Number.isFinite(n) || n < 0 || n > 1) throw badInput(`${name}: coefficients must be between 0 and 1.`);
+        return Math.min(n, 0.99);
+      });
+    }
+    const found = getMaterial(material);
+    if (!found) throw badInput(`${name}: unknown material "${material}".`);
+    return found.alpha;
+  }
+
+  // Rectangular room -> { volume, surfaces: [{ name, area, alpha, axis }] }
+  // { length, width, height, floor, ceiling, walls } where each finish is a material id, a single α
+  // or an α per band; `surfaces` ([{ name, area, material, axis? }]) replaces the default faces
+  // (e.g. to give each wall its own finish). length runs along x, width along y.
+  function shoeboxRoom(input) {
+    const length = positive(input.length, "length");
+    const width = positive(input.width, "width");
+    const height = positive(input.height, "height");
+
+    const list = Array.isArray(input.surfaces) && input.surfaces.length
+      ? input.surfaces
+      : [
+          { name: "floor", area: length * width, material: input.floor, axis: "z" },
+          { name: "ceiling", area: length * width, material: input.ceiling, axis: "z" },
+          { name: "end walls", area: 2 * width * height, material: input.walls, axis: "x" },
+          { name: "side walls", area: 2 * length * height, material: input.walls, axis: "y" },
+        ];
+
+    const surfaces = list.map((s, i) => {
+      const name = s.name || `surface ${i + 1}`;
+      if (s.material === undefined || s.material === null || s.material === "") throw badInput(`${name}: material is required.`);
+      const axis = AXES.includes(s.axis) ? s.axis : null;
+      return { name, area: positive(s.area, `${name} area`), alpha: bandAlpha(s.material, name), axis };
+    });
+
+    return { volume: length * width * height, surfaces };
+  }
+
+  function totalArea(surfaces) {
+    return surfaces.reduce((n, s) => n + s.area, 0);
+  }
+
+  // -> sabins (area units) in band b
+  function absorption(surfaces, b) {
+    return surfaces.reduce((n, s) => n + s.area * s.alpha[b], 0);
+  }
+
+  // ᾱ for the formulas: above 0, and below 1 unless `upTo1` (Sabine allows total absorption)
+  function absorbing(meanAlpha, upTo1) {
+    const n = Number(meanAlpha);
+    if (!Number.isFinite(n) || n <= 0) throw badInput("no absorption: at least one surface needs α above 0.");
+    if (upTo1 ? n > 1 : n >= 1) throw badInput(`mean α must be ${upTo1 ? "at most 1" : "below 1"}.`);
+    return n;
+  }
+
+  function sabine(volume, area, meanAlpha, units) {
+    return (unitConstant(units) * volume) / (area * absorbing(meanAlpha, true));
+  }
+
+  function eyring(volume, area, meanAlpha, units) {
+    return (unitConstant(units) * volume) / (-area * Math.log(1 - absorbing(meanAlpha)));
+  }
+
+  // -> Arau-Puchades RT60 in band b, or null when a surface has no axis
+  function arauPuchades(volume, surfaces, b, units) {
+    if (!surfaces.every((s) => s.axis)) return null;
+    const area = totalArea(surfaces);
+    let log = 0;
+    for (const axis of AXES) {
+      const faces = surfaces.filter((s) => s.axis === axis);
+      const faceArea = totalArea(faces);
+      if (!faceArea) continue;
+      const a = absorption(faces, b);
+      if (!(a > 0)) {
+        const names = faces.map((f) => f.name).join(" and ");
+        throw badInput(`the ${names} have no absorption at ${OCTAVE_BANDS[b]} Hz, so Arau-Puchades never decays.`);
+      }
+      log += (faceArea / area) * Math.log(eyring(volume, area, a / faceArea, units));
+    }
+    return Math.exp(log);
+  }
+
+  function roomConstant(area, meanAlpha) {
+    absorbing(meanAlpha);
+    return (area * meanAlpha) / (1 - meanAlpha);
+  }
+
+  function criticalDistance(q, r) {
+    return 0.141 * Math.sqrt(positive(q, "Q") * positive(r, "room constant"));
+  }
+
+  // { volume, surfaces } + units -> per-band RT60 and absorption, plus the 500 Hz–1 kHz average
+  function rt60Bands(room, units = "m") {
+    const area = totalArea(room.surfaces);
+    const bands = OCTAVE_BANDS.map((hz, b) => {
+      const a = absorption(room.surfaces, b);
+      if (!(a > 0)) throw badInput(`the room has no absorption at ${hz} Hz, so it never decays.`);
+      const meanAlpha = a / area;
+      return {
+        hz,
+        absorption: a,
+        meanAlpha,
+        sabine: sabine(room.volume, area, meanAlpha, units),
+        eyring: eyring(room.volume, area, meanAlpha, units),
+        arau: arauPuchades(room.volume, room.surfaces, b, units),
+      };
+    });
+
+    const mid = bands.filter((b) => b.hz === 500 || b.hz === 1000);
+    const average = (key) => (mid.some((b) => b[key] === null) ? null : mid.reduce((n, b) => n + b[key], 0) / mid.length);
+
+    return {
+      volume: room.volume,
+      area,
+      bands,
+      mid: { meanAlpha: average("meanAlpha"), sabine: average("sabine"), eyring: average("eyring"), arau: average("arau") },
+    };
+  }
+
+  return {
+    SABINE_CONSTANT,
+    REFERENCE_CURVES,
+    shoeboxRoom,
+    totalArea,
+    absorption,
+    sabine,
+    eyring,
+    arauPuchades,
+    roomConstant,
+    criticalDistance,
+    rt60Bands,
+  };
+});
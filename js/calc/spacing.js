@@ -0,0 +1,174 @@
+// /api/shared/calc/spacing.js
+// Distributed ceiling loudspeaker spacing, per System_Designer_Engineering_Model.md §4–5.
+// Shared by the Lucius tools (require) and /spacing-calculator.html (window.BimCalc.spacing);
+// /js/calc/spacing.js is a byte-for-byte copy — see api/scripts/verify-calc.js.
+//
+// All lengths are in one caller-chosen unit (ft or m) and come back in the same unit.
+// H is the height of the ceiling above the listening plane, not above the floor.
+//
+//   radius r = H × tan(θ / 2)                  coverage circle at the listening plane
+//   edge-to-edge       S = 2 × H × tan(θ / 2)  adjacent circles meet at their edges
+//   minimum-overlap    S = 2r × (1 − overlap)   default overlap 1 − √2/2 ≈ 29.3 %, the least
+//                                              that leaves no gap at the centre of a square grid
+//   center-to-center   S = k × H               rule of thumb, k defaults to 1
+//
+// Grid counts round up (conservative overlap: never fewer speakers, never wider spacing than S),
+// and the speakers are centred with half a pitch to each wall. With a ceiling tile size the
+// speakers snap to tile centres (grid centred in the room); an axis gains speakers until no
+// gap exceeds S and no wall is more than S/2 from a speaker.
+//
+// Worked values (hand-checked):
+//   9 ft ceiling, 4 ft seated ears, 60°  -> H 5 ft, r 2.887 ft, edge-to-edge S 5.774 ft
+//   3 m ceiling, 1.2 m ears, 90°         -> H 1.8 m, edge-to-edge S 3.6 m, min-overlap S 2.546 m
+//   30 × 20 ft room at S 5.774 ft        -> 6 × 4 = 24 speakers, pitch 5.0 × 5.0 ft
+//   same room, 2 × 2 ft tiles            -> 8 × 6 = 48: x 1, 5, 9 … 29 and y 1, 5, 9, 11, 15, 19 ft —
+//                                           tile centres 3 ft from a wall would exceed S/2
+
+(function (root, factory) {
+  if (typeof module === "object" && module.exports) module.exports = factory();
+  else (root.BimCalc = root.BimCalc || {}).spacing = factory();
+})(typeof self !== "undefined" ? self : this, function () {
+  "use strict";
+
+  const SPACING_MODES = ["edge-to-edge", "minimum-overlap", "center-to-center"];
+  const DEFAULT_OVERLAP = 1 - Math.SQRT2 / 2;
+  const DEFAULT_K = 1;
+  const EPS = 1e-9;
+
+  function badInput(message) {
+    const e = new Error(message);
+    e.code = "BAD_INPUT";
+    return e;
+  }
+
+  function positive(value, name) {
+    const n = Number(value);
+    if (!Number.isFinite(n) || n <= 0) throw badInput(`${name} must be a positive number.`);
+    return n;
+  }
+
+  function given(value) {
+    return value !== undefined && value !== null && value !== "";
+  }
+
+  function listeningHeight(ceilingHeight, listenerHeight) {
+    const ceiling = positive(ceilingHeight, "ceiling height");
+    const listener = Number(listenerHeight || 0);
+    if (!Number.isFinite(listener) || listener < 0) throw badInput("listener height must be zero or more.");
+    if (listener >= ceiling) throw badInput("listener height must be below the ceiling.");
+    return ceiling - listener;
+  }
+
+  // -> radius of the coverage circle at the listening plane
+  function coverageRadius(height, coverageAngle) {
+    const angle = positive(coverageAngle, "coverage angle");
+    if (angle >= 180) throw badInput("coverage angle must be under 180°.");
+    return positive(height, "height") * Math.tan((angle * Math.PI) / 360);
+  }
+
+  // { ceilingHeight, listenerHeight, coverageAngle, mode, k, overlap }
+  // -> { mode, height, radius, spacing, overlap, k }
+  function speakerSpacing(input) {
+    const mode = String(input.mode || "edge-to-edge").toLowerCase();
+    if (!SPACING_MODES.includes(mode)) throw badInput(`mode must be one of ${SPACING_MODES.join(", ")}.`);
+
+    const height = listeningHeight(input.ceilingHeight, input.listenerHeight);
+    const radius = given(input.coverageAngle) ? coverageRadius(height, input.coverageAngle) : null;
+
+    if (mode === "center-to-center") {
+      const k = given(input.k) ? positive(input.k, "k") : DEFAULT_K;
+      return { mode, height, radius, spacing: k * height, overlap: null, k };
+    }
+
+    if (radius === null) throw badInput(`coverage angle is required for ${mode} spacing.`);
+
+    let overlap = 0;
+    if (mode === "minimum-overlap") {
+      overlap = given(input.overlap) ? Number(input.overlap) : DEFAULT_OVERLAP;
+      if (!Number.isFinite(overlap) || overlap < 0 || overlap >= 1) throw badInput("overlap must be at least 0 % and under 100 %.");
+    }
+    return { mode, height, radius, spacing: 2 * radius * (1 - overlap), overlap, k: null };
+  }
+
+  function evenAxis(length, count) {
+    const pitch = length / count;
+    return Array.from({ length: count }, (_, i) => pitch * (i + 0.5));
+  }
+
+  // Largest neighbour gap (the axis length for a single speaker) and largest wall distance
+  function axisGaps(length, coords) {
+    let gap = coords.length > 1 ? 0 : length;
+    for (let i = 1; i < coords.length; i++) gap = Math.max(gap, coords[i] - coords[i - 1]);
+    return { gap, edge: Math.max(coords[0], length - coords[coords.length - 1]) };
+  }
+
+  // -> { coords, gap, edge, fits } along one axis; tile optional
+  function layoutAxis(length, spacing, tile) {
+    const first = Math.max(1, Math.ceil(length / spacing - EPS));
+    if (!given(tile)) {
+      const coords = evenAxis(length, first);
+      return { coords, ...axisGaps(length, coords), fits: true };
+    }
+
+    const t = positive(tile, "tile size");
+    const tiles = Math.floor(length / t + EPS);
+    const offset = (length - tiles * t) / 2; // equal border tiles at both walls
+    let best = null;
+
+    for (let n = first; n <= tiles; n++) {
+      // Nearest tile to each even position, mirrored so the layout stays symmetric
+      const picked = evenAxis(length, n).map((c) => Math.min(tiles - 1, Math.max(0, Math.round((c - offset) / t - 0.5))));
+      for (let i = Math.ceil(n / 2); i < n; i++) picked[i] = tiles - 1 - picked[n - 1 - i];
+      const coords = [...new Set(picked)].map((m) => offset + (m + 0.5) * t);
+      if (coords.length < n) break; // more speakers than the tiles can separate
+
+      best = { coords, ...axisGaps(length, coords) };
+      best.fits = best.gap <= spacing + EPS && best.edge <= spacing / 2 + EPS;
+      if (best.fits) return best;
+    }
+
+    // Tiles too coarse for this spacing: keep the densest snapped layout, else the unsnapped one
+    if (best) return best;
+    const coords = evenAxis(length, first);
+    return { coords, ...axisGaps(length, coords), fits: false };
+  }
+
+  // { length, width, spacing, tileX, tileY }
+  // -> { countX, countY, count, xs, ys, pitchX, pitchY, edgeX, edgeY, fits, positions: [{ x, y }] }
+  // x runs along length, y along width, measured from one corner of the room. pitch is the
+  // largest gap between neighbours, edge the largest wall-to-speaker distance; fits is false
+  // when tile snapping could not stay within S.
+  function gridLayout({ length, width, spacing, tileX, tileY }) {
+    const s = positive(spacing, "spacing");
+    const x = layoutAxis(positive(length, "room length"), s, tileX);
+    const y = layoutAxis(positive(width, "room width"), s, tileY);
+
+    const positions = [];
+    for (const py of y.coords) {
+      for (const px of x.coords) positions.push({ x: px, y: py });
+    }
+
+    return {
+      countX: x.coords.length,
+      countY: y.coords.length,
+      count: positions.length,
+      xs: x.coords,
+      ys: y.coords,
+      pitchX: x.gap,
+      pitchY: y.gap,
+      edgeX: x.edge,
+      edgeY: y.edge,
+      fits: x.fits && y.fits,
+      positions,
+    };
+  }
+
+  return {
+    SPACING_MODES,
+    DEFAULT_OVERLAP,
+    DEFAULT_K,
+    coverageRadius,
+    speakerSpacing,
+    gridLayout,
+  };
+});
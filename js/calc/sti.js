@@ -0,0 +1,185 @@
+// /api/shared/calc/sti.js
+// Speech Transmission Index estimate (IEC 60268-16 indirect method), critical distance and D/R.
+// Shared by the Lucius tools (require) and /sti-calculator.html (window.BimCalc.sti, after
+// /js/calc/materials.js and /js/calc/acoustics.js); /js/calc/sti.js is a byte-for-byte copy —
+// see api/scripts/verify-calc.js.
+//
+// Per octave band k (125 Hz–8 kHz) and modulation frequency F (0.63–12.5 Hz, 14 third-octaves):
+//
+//   ᾱ       = K × V / (S × T)                 Sabine inverted from the band RT60
+//   R       = S ᾱ / (1 − ᾱ)                   room constant
+//   D/R     = Q × R / (16 π r² N)             direct-to-reverberant energy at distance r
+//   m(F)    = |D/R + 1 / (1 + j 2πF T / 13.8)| / (D/R + 1) × 1 / (1 + 10^(−SNR/10))
+//   TI      = (clip(10 log(m / (1 − m)), ±15) + 15) / 30,   MTI = mean TI over F
+//   STI     = Σ αₖ MTIₖ − Σ βₖ √(MTIₖ MTIₖ₊₁)   (male weighting)
+//
+// SNR is the speech level in the band (overall dBA at the listener plus the IEC male speech
+// spectrum) over the background noise. N is the ratio of total radiated power to the power of
+// the speaker(s) giving the direct sound — 1 for a single source, roughly the speaker count when
+// a listener hears one of many equal speakers. Diffuse reverberant field, no auditory masking or
+// hearing threshold, so results read slightly high at very loud or very quiet levels.
+//
+//   Dc = 0.141 × √(Q × R), R from the 500 Hz–1 kHz average ᾱ (D/R = 0 dB at Dc when N = 1)
+//
+// Worked values (hand-checked), 10 × 8 × 3 m room (V 240 m³, S 268 m²), RT60 0.6 s in every band,
+// Q 4, N 1, listener at 2 m, no noise:
+//   ᾱ = 0.161 × 240 / (268 × 0.6) = 0.240 -> R 84.8 m², Dc 0.141 × √339 = 2.60 m,
+//   D/R = 4 × 84.8 / (16π × 4) = 1.69 (+2.3 dB) -> STI 0.80 (Excellent)
+//   same, 70 dBA speech over NC-35 noise (S/N +13 dB at 8 kHz … +29 dB at 500 Hz) -> STI 0.79
+
+(function (root, factory) {
+  if (typeof module === "object" && module.exports) module.exports = factory(require("./materials"), require("./acoustics"));
+  else (root.BimCalc = root.BimCalc || {}).sti = factory(root.BimCalc.materials, root.BimCalc.acoustics);
+})(typeof self !== "undefined" ? self : this, function (materials, acoustics) {
+  "use strict";
+
+  const { OCTAVE_BANDS } = materials;
+  const { SABINE_CONSTANT, roomConstant } = acoustics;
+
+  const STI_BANDS = [125, 250, 500, 1000, 2000, 4000, 8000];
+  const MODULATION_FREQUENCIES = [0.63, 0.8, 1, 1.25, 1.6, 2, 2.5, 3.15, 4, 5, 6.3, 8, 10, 12.5];
+
+  // IEC 60268-16 male speech: octave levels relative to the overall A-weighted level, and the
+  // band weights α (per band) and redundancy β (between neighbouring bands)
+  const SPEECH_SPECTRUM = [2.9, 2.9, -0.8, -6.8, -12.8, -18.8, -24.8];
+  const ALPHA = [0.085, 0.127, 0.23, 0.233, 0.309, 0.224, 0.173];
+  const BETA = [0.085, 0.078, 0.065, 0.011, 0.047, 0.095];
+
+  // Background noise criteria curves, dB SPL per octave band (OCTAVE_BANDS, 63 Hz–8 kHz)
+  const NC_CURVES = {
+    "NC-25": [54, 44, 37, 31, 27, 24, 22, 21],
+    "NC-30": [57, 48, 41, 35, 31, 29, 28, 27],
+    "NC-35": [60, 52, 45, 40, 36, 34, 33, 32],
+    "NC-40": [64, 56, 50, 45, 41, 39, 38, 37],
+    "NC-45": [67, 60, 54, 49, 46, 44, 43, 42],
+    "NC-50": [71, 64, 58, 54, 51, 49, 48, 47],
+  };
+
+  const RATINGS = [
+    { min: 0.75, label: "Excellent" },
+    { min: 0.6, label: "Good" },
+    { min: 0.45, label: "Fair" },
+    { min: 0.3, label: "Poor" },
+    { min: 0, label: "Bad" },
+  ];
+
+  const TARGETS = { general: 0.5, massNotification: 0.5, criticalSpeech: 0.6 };
+
+  function badInput(message) {
+    const e = new Error(message);
+    e.code = "BAD_INPUT";
+    return e;
+  }
+
+  function positive(value, name) {
+    const n = Number(value);
+    if (!Number.isFinite(n) || n <= 0) throw badInput(`${name} must be a positive number.`);
+    return n;
+  }
+
+  // One value for every band, or one per octave band (OCTAVE_BANDS) -> the STI_BANDS slice
+  function perBand(value, name, check) {
+    const list = Array.isArray(value) ? value : OCTAVE_BANDS.map(() => value);
+    if (list.length !== OCTAVE_BANDS.length) {
+      throw badInput(`${name}: give one value or one per band (${OCTAVE_BANDS.join(", ")} Hz).`);
+    }
+    return STI_BANDS.map((hz) => check(list[OCTAVE_BANDS.indexOf(hz)]));
+  }
+
+  function rating(sti) {
+    return RATINGS.find((r) => sti >= r.min).label;
+  }
+
+  // -> energy ratio; 10 log10 of it is D/R in dB
+  function directToReverberant(q, r, distance, n = 1) {
+    return (positive(q, "Q") * positive(r, "room constant")) / (16 * Math.PI * positive(distance, "distance") ** 2 * positive(n, "N"));
+  }
+
+  // Modulation transfer of a band: reverberation with a direct part, then noise
+  function modulationTransfer(f, rt60, dr, snr) {
+    const x = (2 * Math.PI * f * rt60) / 13.8;
+    const re = dr + 1 / (1 + x * x);
+    const im = -x / (1 + x * x);
+    return (Math.sqrt(re * re + im * im) / (dr + 1)) * (1 / (1 + 10 ** (-snr / 10)));
+  }
+
+  function transmissionIndex(m) {
+    const snr = Math.min(15, Math.max(-15, 10 * Math.log10(m / (1 - m))));
+    return (snr + 15) / 30;
+  }
+
+  // { rt60, noise, speechLevel, volume, surface, q, n, distance, units }
+  //   rt60 and noise: one value, or one per octave band 63 Hz–8 kHz (63 Hz is not used by STI);
+  //   without noise the speech level is not needed (noise-free STI)
+  // -> { sti, rating, meets, criticalDistance, roomConstant, meanAlpha, dr, drDb, bands }
+  function estimateSti(input) {
+    const units = input.units || "m";
+    const k = SABINE_CONSTANT[units];
+    if (!k) throw badInput('units must be "m" or "ft".');
+
+    const volume = positive(input.volume, "volume");
+    const surface = positive(input.surface, "surface area");
+    const q = positive(input.q, "Q");
+    const n = input.n === undefined || input.n === null || input.n === "" ? 1 : positive(input.n, "N");
+    const distance = positive(input.distance, "listener distance");
+    const quiet = input.noise === undefined || input.noise === null || input.noise === "";
+    const speechLevel = Number(input.speechLevel);
+    if (!quiet && (input.speechLevel === undefined || input.speechLevel === null || !Number.isFinite(speechLevel))) {
+      throw badInput("speech level must be a number (dBA) when background noise is given.");
+    }
+
+    const rt60 = perBand(input.rt60, "RT60", (t) => positive(t, "RT60"));
+    const noise = quiet
+      ? null
+      : perBand(input.noise, "noise", (db) => {
+          const v = Number(db);
+          if (db === "" || db === null || !Number.isFinite(v)) throw badInput("noise levels must be numbers (dB SPL).");
+          return v;
+        });
+
+    const bands = STI_BANDS.map((hz, b) => {
+      const meanAlpha = (k * volume) / (surface * rt60[b]);
+      if (meanAlpha >= 1) throw badInput(`RT60 at ${hz} Hz is too short for this volume and surface area.`);
+      const r = roomConstant(surface, meanAlpha);
+      const dr = directToReverberant(q, r, distance, n);
+      const snr = quiet ? Infinity : speechLevel + SPEECH_SPECTRUM[b] - noise[b];
+      const mti = MODULATION_FREQUENCIES.reduce((sum, f) => sum + transmissionIndex(modulationTransfer(f, rt60[b], dr, snr)), 0) /
+        MODULATION_FREQUENCIES.length;
+      return { hz, rt60: rt60[b], meanAlpha, roomConstant: r, drDb: 10 * Math.log10(dr), snr, mti };
+    });
+
+    let sti = bands.reduce((sum, b, i) => sum + ALPHA[i] * b.mti, 0);
+    for (let i = 0; i < BETA.length; i++) sti -= BETA[i] * Math.sqrt(bands[i].mti * bands[i + 1].mti);
+    sti = Math.min(1, Math.max(0, sti));
+
+    // Dc and D/R at the 500 Hz–1 kHz average, as in acoustics.rt60Bands
+    const meanAlpha = (bands[2].meanAlpha + bands[3].meanAlpha) / 2;
+    const r = roomConstant(surface, meanAlpha);
+    const dr = directToReverberant(q, r, distance, n);
+
+    return {
+      sti,
+      rating: rating(sti),
+      meets: {
+        massNotification: sti >= TARGETS.massNotification,
+        criticalSpeech: sti >= TARGETS.criticalSpeech,
+      },
+      criticalDistance: acoustics.criticalDistance(q, r),
+      roomConstant: r,
+      meanAlpha,
+      dr,
+      drDb: 10 * Math.log10(dr),
+      bands,
+    };
+  }
+
+  return {
+    STI_BANDS,
+    NC_CURVES,
+    RATINGS,
+    TARGETS,
+    rating,
+    directToReverberant,
+    estimateSti,
+  };
+});
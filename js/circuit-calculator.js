@@ -0,0 +1,295 @@
+// /js/circuit-calculator.js
+// 70V / 100V / Low-Z circuit page (/circuit-calculator.html). The math is BimCalc.circuits
+// (/js/calc/circuits.js); this file keeps the circuit list, renders the schedule and exports it.
+(function () {
+  const calc = window.BimCalc && window.BimCalc.circuits;
+  if (!calc) return;
+
+  const FT_PER_M = 1 / 0.3048;
+  const LEVEL_CLASS = { green: "ok", yellow: "warn", red: "bad" };
+  const LOW_Z_MIN_OHMS = 4; // lowest load most amplifier channels are rated for
+
+  const $ = (id) => document.getElementById(id);
+
+  let units = $("units").value;
+  let rows = []; // schedule rows from the latest run, for CSV
+
+  const circuits = [
+    {
+      id: "01.01.01",
+      destination: "ER-1",
+      awg: "16",
+      length: "150",
+      speakers: [{ type: "CS-1", qty: "8", required: "3", impedance: "8" }],
+    },
+  ];
+
+  function fmt(n, digits = 2) {
+    return n === null || n === undefined || !Number.isFinite(n) ? "—" : n.toFixed(digits);
+  }
+
+  function esc(s) {
+    return String(s).replace(/&/g, "&amp;").replace(/"/g, "&quot;").replace(/</g, "&lt;");
+  }
+
+  function lowZ() {
+    return $("mode").value === "Low-Z";
+  }
+
+  // ---------- Circuit list ----------
+
+  function nextId(id) {
+    const m = /^(.*?)(\d+)$/.exec(id || "");
+    return m ? m[1] + String(Number(m[2]) + 1).padStart(m[2].length, "0") : "";
+  }
+
+  function renderCircuits() {
+    const gauges = Object.keys(calc.AWG_OHMS_PER_KFT);
+    $("circuits").innerHTML = circuits
+      .map(
+        (c, ci) => `<div class="calc-circuit" data-c="${ci}">
+          <div class="calc-fields calc-fields-wide">
+            <label class="calc-field">Circuit ID<input class="input" type="text" data-field="id" value="${esc(c.id)}"></label>
+            <label class="calc-field">Destination<input class="input" type="text" data-field="destination" value="${esc(c.destination)}"></label>
+            <label class="calc-field">Wire gauge (AWG)
+              <select class="input" data-field="awg">${gauges.map((g) => `<option value="${g}"${g === c.awg ? " selected" : ""}>${g} AWG</option>`).join("")}</select>
+            </label>
+            <label class="calc-field">Run length <span class="unit" data-unit></span><input class="input" type="number" min="0" step="5" data-field="length" value="${esc(c.length)}"></label>
+          </div>
+          <table class="calc-table">
+            <thead>
+              <tr><th>Type</th><th>Qty</th><th data-cv-only>Required (W)</th><th data-lowz-only>Power (W)</th><th data-lowz-only>Impedance (Ω)</th><th></th></tr>
+            </thead>
+            <tbody>${c.speakers
+              .map(
+                (s, si) => `<tr data-s="${si}">
+                  <td><input class="input" type="text" data-field="type" value="${esc(s.type)}"></td>
+                  <td><input class="input" type="number" min="1" step="1" data-field="qty" value="${esc(s.qty)}"></td>
+                  <td><input class="input" type="number" min="0" step="0.5" data-field="required" value="${esc(s.required)}"></td>
+                  <td data-lowz-only><input class="input" type="number" min="0" step="1" data-field="impedance" value="${esc(s.impedance)}"></td>
+                  <td><button class="btn" type="button" data-action="remove-speaker" aria-label="Remove speaker"${c.speakers.length > 1 ? "" : " disabled"}>×</button></td>
+                </tr>`
+              )
+              .join("")}</tbody>
+          </table>
+          <div class="calc-actions">
+            <button class="btn" type="button" data-action="add-speaker">Add speaker</button>
+            <button class="btn" type="button" data-action="remove-circuit"${circuits.length > 1 ? "" : " disabled"}>Remove circuit</button>
+          </div>
+        </div>`
+      )
+      .join("");
+  }
+
+  function onCircuitsInput(e) {
+    const field = e.target.dataset.field;
+    const block = e.target.closest("[data-c]");
+    if (!field || !block) return;
+    const c = circuits[Number(block.dataset.c)];
+    const row = e.target.closest("[data-s]");
+    if (row) c.speakers[Number(row.dataset.s)][field] = e.target.value;
+    else c[field] = e.target.value;
+    run();
+  }
+
+  function onCircuitsClick(e) {
+    const button = e.target.closest("[data-action]");
+    if (!button) return;
+    const ci = Number(button.closest("[data-c]").dataset.c);
+    const c = circuits[ci];
+    const action = button.dataset.action;
+
+    if (action === "add-speaker") {
+      const prev = c.speakers[c.speakers.length - 1];
+      c.speakers.push({ type: "", qty: "1", required: prev.required, impedance: prev.impedance });
+    } else if (action === "remove-speaker") {
+      c.speakers.splice(Number(button.closest("[data-s]").dataset.s), 1);
+    } else if (action === "remove-circuit") {
+      circuits.splice(ci, 1);
+    }
+    renderCircuits();
+    run();
+  }
+
+  function addCircuit() {
+    const prev = circuits[circuits.length - 1];
+    circuits.push({
+      id: nextId(prev.id),
+      destination: prev.destination,
+      awg: prev.awg,
+      length: prev.length,
+      speakers: prev.speakers.map((s) => ({ ...s })),
+    });
+    renderCircuits();
+    run();
+  }
+
+  function switchUnits(next) {
+    if (next === units) return;
+    const factor = next === "m" ? 1 / FT_PER_M : FT_PER_M;
+    for (const c of circuits) {
+      const v = String(c.length).trim();
+      if (v !== "" && Number.isFinite(Number(v))) c.length = String(Number((Number(v) * factor).toFixed(1)));
+    }
+    units = next;
+    renderCircuits();
+  }
+
+  // ---------- Calculation ----------
+
+  function taps() {
+    const list = $("taps")
+      .value.split(/[\s,;]+/)
+      .filter(Boolean)
+      .map(Number);
+    if (!list.length || list.some((t) => !Number.isFinite(t) || t <= 0)) {
+      throw Object.assign(new Error("speaker taps must be a list of positive watt values, e.g. 1, 2, 4, 8."), { code: "BAD_INPUT" });
+    }
+    return list;
+  }
+
+  function circuitFlags(c, r) {
+    const out = [];
+    const name = `Circuit ${c.id || "(no ID)"}`;
+    for (const s of r.speakers) {
+      if (s.short) out.push(["bad", `${name}: ${s.type} needs ${fmt(s.required, 1)} W but the largest tap is ${fmt(s.tap, 1)} W.`]);
+    }
+    if (r.levels.load === "red") out.push(["bad", `${name}: ${fmt(r.watts, 1)} W exceeds the amp channel (${fmt(r.ampLoad, 0)} %) — split the circuit or use a larger channel.`]);
+    else if (r.levels.load === "yellow") out.push(["warn", `${name}: amp load ${fmt(r.ampLoad, 0)} % leaves no headroom.`]);
+    if (r.levels.loss === "red") out.push(["bad", `${name}: line loss ${fmt(r.lossDb)} dB — use a heavier gauge or a shorter run.`]);
+    else if (r.levels.loss === "yellow") out.push(["warn", `${name}: line loss ${fmt(r.lossDb)} dB is marginal.`]);
+    if (r.levels.damping === "red") out.push(["bad", `${name}: damping factor ${fmt(r.dampingFactor, 1)} is too low for tight bass — heavier cable or a local amp.`]);
+    else if (r.levels.damping === "yellow") out.push(["warn", `${name}: damping factor ${fmt(r.dampingFactor, 1)} is marginal.`]);
+    if (r.voltage === null && r.loadOhms < LOW_Z_MIN_OHMS) {
+      out.push(["warn", `${name}: ${fmt(r.loadOhms)} Ω load is below ${LOW_Z_MIN_OHMS} Ω — check the amplifier's minimum rated impedance.`]);
+    }
+    return out;
+  }
+
+  function run() {
+    for (const el of document.querySelectorAll("[data-unit]")) el.textContent = `(${units})`;
+    for (const el of document.querySelectorAll("[data-cv-only]")) el.hidden = lowZ();
+    for (const el of document.querySelectorAll("[data-lowz-only]")) el.hidden = !lowZ();
+
+    const errors = [];
+    const flags = [];
+    const summary = [];
+    rows = [];
+
+    let tapList = null;
+    try {
+      tapList = lowZ() ? null : taps();
+    } catch (e) {
+      errors.push(capitalize(e.message));
+    }
+
+    if (!errors.length) {
+      for (const c of circuits) {
+        try {
+          const r = calc.circuitLoad({
+            mode: $("mode").value,
+            speakers: c.speakers.map((s) => ({ ...s, taps: tapList })),
+            awg: c.awg,
+            length: c.length,
+            units,
+            ampWatts: $("amp-watts").value,
+            ampDampingFactor: $("amp-df").value.trim() === "" ? null : $("amp-df").value,
+          });
+          flags.push(...circuitFlags(c, r));
+          summary.push({ c, r });
+          for (const s of r.speakers) {
+            rows.push({
+              circuit: c.id,
+              destination: c.destination,
+              type: s.type,
+              tap: s.tap === null ? "—" : fmt(s.tap, s.tap < 1 ? 2 : 0),
+              qty: s.qty,
+              spkr: fmt(s.ohms, 1),
+              circuitOhms: fmt(r.loadOhms, 1),
+              awg: c.awg,
+              loss: fmt(r.lossDb),
+              lossLevel: r.levels.loss,
+              measured: "",
+            });
+          }
+        } catch (e) {
+          errors.push(`Circuit ${c.id || "(no ID)"}: ` + (e.code === "BAD_INPUT" ? e.message : "could not calculate."));
+        }
+      }
+    }
+
+    if (!errors.length && !flags.length) {
+      flags.push(["ok", "Every circuit is within amp capacity and line-loss limits."]);
+    }
+
+    $("circuit-error").innerHTML = errors.map((m) => `<div>${esc(m)}</div>`).join("");
+    $("circuit-error").hidden = !errors.length;
+    $("circuit-flags").innerHTML = flags.map(([level, text]) => `<li class="calc-flag ${level}">${esc(text)}</li>`).join("");
+
+    $("schedule-rows").innerHTML = rows
+      .map(
+        (row) => `<tr><td>${esc(row.circuit)}</td><td>${esc(row.destination)}</td><td>${esc(row.type)}</td><td>${row.tap}</td>` +
+          `<td>${row.qty}</td><td>${row.spkr}</td><td>${row.circuitOhms}</td><td>${row.awg}</td>` +
+          `<td class="${LEVEL_CLASS[row.lossLevel]}">${row.loss}</td><td>${row.measured}</td></tr>`
+      )
+      .join("");
+
+    $("summary-rows").innerHTML = summary
+      .map(
+        ({ c, r }) => `<tr><td>${esc(c.id)}</td><td>${fmt(r.watts, 1)}</td>` +
+          `<td class="${LEVEL_CLASS[r.levels.load]}">${fmt(r.ampLoad, 0)} %</td><td>${fmt(r.lineOhms, 3)}</td>` +
+          `<td class="${LEVEL_CLASS[r.levels.loss]}">${fmt(r.lossDb)}</td>` +
+          `<td class="${r.levels.damping ? LEVEL_CLASS[r.levels.damping] : ""}">${r.dampingFactor === null ? "—" : fmt(r.dampingFactor, 1)}</td></tr>`
+      )
+      .join("");
+  }
+
+  function capitalize(s) {
+    return s.charAt(0).toUpperCase() + s.slice(1);
+  }
+
+  // ---------- CSV ----------
+
+  function csvCell(v) {
+    const s = String(v);
+    return /[",\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+  }
+
+  function exportCsv() {
+    if (!rows.length) return;
+    const header = ["Circuit", "Destination", "Type", "Tap (W)", "Qty", "Spkr (Ω)", "Circuit (Ω)", "AWG", "Loss (dB)", "Measured (Ω)"];
+    const lines = [
+      header,
+      ...rows.map((r) => [r.circuit, r.destination, r.type, r.tap, r.qty, r.spkr, r.circuitOhms, r.awg, r.loss, r.measured]),
+    ];
+
+    // BOM so spreadsheet apps read the Ω signs as UTF-8
+    const csv = "\uFEFF" + lines.map((row) => row.map(csvCell).join(",")).join("\r\n") + "\r\n";
+    const url = URL.createObjectURL(new Blob([csv], { type: "text/csv;charset=utf-8" }));
+    const a = document.createElement("a");
+    a.href = url;
+    a.download = `loudspeaker-circuit-schedule-${$("mode").value.toLowerCase()}.csv`;
+    document.body.appendChild(a);
+    a.click();
+    a.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+  }
+
+  // ---------- Wiring ----------
+
+  $("units").addEventListener("change", () => {
+    switchUnits($("units").value);
+    run();
+  });
+  for (const id of ["amp-watts", "taps", "amp-df"]) $(id).addEventListener("input", run);
+  $("mode").addEventListener("change", run);
+  $("circuits").addEventListener("input", onCircuitsInput);
+  $("circuits").addEventListener("click", onCircuitsClick);
+  $("add-circuit").addEventListener("click", addCircuit);
+  $("circuit-form").addEventListener("submit", (e) => e.preventDefault());
+  $("print-schedule").addEventListener("click", () => window.print());
+  $("export-csv").addEventListener("click", exportCsv);
+
+  renderCircuits();
+  run();
+})();
@@ -0,0 +1,418 @@
+// /js/rt60-calculator.js
+// RT60 page (/rt60-calculator.html). The math is BimCalc.acoustics over BimCalc.materials
+// (/js/calc, shared with the Lucius tools); this file is the form, chart and link state.
+//
+// State lives in the URL hash, e.g.
+//   #u=ft&l=30&w=20&h=10&ref=conference&floor=carpet-on-concrete&ceiling=act&front=gypsum&...
+// where a custom finish is its eight band coefficients: &back=0.1,0.1,0.08,0.05,0.05,0.05,0.05,0.05
+(function () {
+  const calc = window.BimCalc;
+  if (!calc || !calc.acoustics || !calc.materials) return;
+  const { OCTAVE_BANDS, MATERIALS } = calc.materials;
+  const { REFERENCE_CURVES } = calc.acoustics;
+
+  const FT_PER_M = 1 / 0.3048;
+
+  // length runs along x (front/back walls face it), width along y (left/right walls)
+  const SURFACES = [
+    { id: "floor", label: "Floor", axis: "z", area: (l, w) => l * w, finish: "carpet-on-concrete" },
+    { id: "ceiling", label: "Ceiling", axis: "z", area: (l, w) => l * w, finish: "act" },
+    { id: "front", label: "Front wall", axis: "x", area: (l, w, h) => w * h, finish: "gypsum" },
+    { id: "back", label: "Back wall", axis: "x", area: (l, w, h) => w * h, finish: "gypsum" },
+    { id: "left", label: "Left wall", axis: "y", area: (l, w, h) => l * h, finish: "gypsum" },
+    { id: "right", label: "Right wall", axis: "y", area: (l, w, h) => l * h, finish: "gypsum" },
+  ];
+
+  const SERIES = [
+    { key: "sabine", label: "Sabine", color: "#9EB5CF" },
+    { key: "eyring", label: "Eyring", color: "#facc15" },
+    { key: "arau", label: "Arau-Puchades", color: "#4ade80" },
+  ];
+
+  const $ = (id) => document.getElementById(id);
+  const dims = ["length", "width", "height"];
+
+  let units = $("units").value;
+  let last = null; // { state, result, curve } from the latest successful run
+
+  function fmt(n, digits = 2) {
+    return n === null || n === undefined || !Number.isFinite(n) ? "—" : n.toFixed(digits);
+  }
+
+  function hzLabel(hz) {
+    return hz >= 1000 ? `${hz / 1000}k` : String(hz);
+  }
+
+  // ---------- Form ----------
+
+  function buildForm() {
+    for (const [id, curve] of Object.entries(REFERENCE_CURVES)) {
+      $("reference").add(new Option(curve.label, id));
+    }
+
+    const options = Object.values(MATERIALS)
+      .map((m) => `<option value="${m.id}">${m.label}</option>`)
+      .join("");
+    const bandInputs = OCTAVE_BANDS.map(
+      (hz) => `<label>${hzLabel(hz)}<input class="input" type="number" min="0" max="1" step="0.01" data-hz="${hz}"></label>`
+    ).join("");
+
+    $("surface-rows").innerHTML = SURFACES.map(
+      (s) => `<tr data-surface="${s.id}">
+        <td>${s.label}</td>
+        <td data-area></td>
+        <td>
+          <select class="input" data-finish>${options}<option value="custom">Custom coefficients…</option></select>
+          <div class="calc-band-inputs" data-custom hidden>${bandInputs}</div>
+        </td>
+      </tr>`
+    ).join("");
+
+    for (const s of SURFACES) row(s.id).querySelector("[data-finish]").value = s.finish;
+  }
+
+  function row(id) {
+    return $("surface-rows").querySelector(`tr[data-surface="${id}"]`);
+  }
+
+  function customInputs(id) {
+    return [...row(id).querySelectorAll("[data-custom] input")];
+  }
+
+  function setFinish(id, finish) {
+    const select = row(id).querySelector("[data-finish]");
+    if (Array.isArray(finish)) {
+      select.value = "custom";
+      customInputs(id).forEach((input, b) => (input.value = String(finish[b])));
+    } else if (MATERIALS[finish]) {
+      select.value = finish;
+    }
+    row(id).querySelector("[data-custom]").hidden = select.value !== "custom";
+  }
+
+  // Switching a surface to custom starts from the coefficients of the finish it had
+  function onFinishChange(id) {
+    const select = row(id).querySelector("[data-finish]");
+    const previous = select.dataset.last;
+    if (select.value === "custom" && MATERIALS[previous]) {
+      customInputs(id).forEach((input, b) => (input.value = String(MATERIALS[previous].alpha[b])));
+    }
+    row(id).querySelector("[data-custom]").hidden = select.value !== "custom";
+  }
+
+  function readState() {
+    const finishes = {};
+    for (const s of SURFACES) {
+      const select = row(s.id).querySelector("[data-finish]");
+      const value = (select.dataset.last = select.value);
+      finishes[s.id] = value === "custom" ? customInputs(s.id).map((input) => input.value.trim()) : value;
+    }
+    return {
+      units,
+      length: $("length").value.trim(),
+      width: $("width").value.trim(),
+      height: $("height").value.trim(),
+      reference: $("reference").value,
+      finishes,
+    };
+  }
+
+  function switchUnits(next) {
+    if (next === units) return;
+    const factor = next === "m" ? 1 / FT_PER_M : FT_PER_M;
+    for (const id of dims) {
+      const v = $(id).value.trim();
+      if (v !== "" && Number.isFinite(Number(v))) $(id).value = String(Number((Number(v) * factor).toFixed(2)));
+    }
+    units = next;
+  }
+
+  // ---------- Link state ----------
+
+  function encodeState(state) {
+    const params = new URLSearchParams({ u: state.units, l: state.length, w: state.width, h: state.height });
+    if (state.reference) params.set("ref", state.reference);
+    for (const s of SURFACES) {
+      const finish = state.finishes[s.id];
+      params.set(s.id, Array.isArray(finish) ? finish.join(",") : finish);
+    }
+    return "#" + params.toString().replace(/%2C/g, ",");
+  }
+
+  function applyHash(hash) {
+    const params = new URLSearchParams(String(hash || "").replace(/^#/, ""));
+    if (![...params.keys()].length) return;
+
+    const u = params.get("u");
+    if (u === "ft" || u === "m") $("units").value = units = u;
+    if (params.has("l")) $("length").value = params.get("l");
+    if (params.has("w")) $("width").value = params.get("w");
+    if (params.has("h")) $("height").value = params.get("h");
+    const ref = params.get("ref");
+    $("reference").value = ref && REFERENCE_CURVES[ref] ? ref : "";
+
+    for (const s of SURFACES) {
+      const value = params.get(s.id);
+      if (!value) continue;
+      const parts = value.split(",");
+      setFinish(s.id, parts.length === OCTAVE_BANDS.length ? parts : value);
+    }
+  }
+
+  // ---------- Calculation ----------
+
+  function run() {
+    for (const el of document.querySelectorAll("[data-unit]")) el.textContent = `(${units})`;
+    for (const el of document.querySelectorAll("[data-unit-area]")) el.textContent = `(${units}²)`;
+
+    const state = readState();
+    history.replaceState(null, "", encodeState(state));
+    $("copy-status").textContent = "";
+
+    const l = Number(state.length);
+    const w = Number(state.width);
+    const h = Number(state.height);
+    for (const s of SURFACES) {
+      row(s.id).querySelector("[data-area]").textContent = fmt(s.area(l, w, h), 1);
+    }
+
+    try {
+      const room = calc.acoustics.shoeboxRoom({
+        length: state.length,
+        width: state.width,
+        height: state.height,
+        surfaces: SURFACES.map((s) => {
+          const finish = state.finishes[s.id];
+          return {
+            name: s.label.toLowerCase(),
+            area: s.area(l, w, h),
+            axis: s.axis,
+            material: Array.isArray(finish) ? finish.map((a) => (a === "" ? NaN : Number(a))) : finish,
+          };
+        }),
+      });
+      // Throws BAD_INPUT for a band (or Arau-Puchades axis) with no absorption
+      const result = calc.acoustics.rt60Bands(room, units);
+
+      const curve = REFERENCE_CURVES[state.reference] || null;
+      last = { state, result, curve };
+      $("rt60-error").hidden = true;
+      render(last);
+    } catch (e) {
+      last = null;
+      $("rt60-error").textContent = e.code === "BAD_INPUT" ? capitalize(e.message) : "Could not calculate: " + e.message;
+      $("rt60-error").hidden = false;
+      $("rt60-out").innerHTML = "";
+      $("rt60-flags").innerHTML = "";
+      $("band-rows").innerHTML = "";
+      drawChart(null);
+    }
+  }
+
+  function capitalize(s) {
+    return s.charAt(0).toUpperCase() + s.slice(1);
+  }
+
+  function midTarget(curve) {
+    return (curve.rt60[OCTAVE_BANDS.indexOf(500)] + curve.rt60[OCTAVE_BANDS.indexOf(1000)]) / 2;
+  }
+
+  function summaryRows(r) {
+    const u = r.state.units;
+    const rows = [
+      ["Volume", `${fmt(r.result.volume, 0)} ${u}³`],
+      ["Surface area", `${fmt(r.result.area, 0)} ${u}²`],
+      ["Mean α (500 Hz–1 kHz)", fmt(r.result.mid.meanAlpha, 3)],
+      ["RT60 Sabine (500 Hz–1 kHz)", `${fmt(r.result.mid.sabine)} s`],
+      ["RT60 Eyring (500 Hz–1 kHz)", `${fmt(r.result.mid.eyring)} s`],
+      ["RT60 Arau-Puchades (500 Hz–1 kHz)", `${fmt(r.result.mid.arau)} s`],
+    ];
+    if (r.curve) rows.push([`${r.curve.label} target`, `${fmt(midTarget(r.curve))} s`]);
+    return rows;
+  }
+
+  // Judged on Arau-Puchades, the module's default; ±20 % of the target counts as on target
+  function flags(r) {
+    const out = [];
+    const mid = r.result.mid;
+
+    if (r.curve) {
+      const target = midTarget(r.curve);
+      const ratio = mid.arau / target;
+      if (ratio > 1.2) {
+        out.push(["bad", `Mid-band RT60 is ${fmt(mid.arau)} s against a ${fmt(target)} s ${r.curve.label.toLowerCase()} target — too live. Add absorption (ceiling, rear wall or panels).`]);
+      } else if (ratio < 0.8) {
+        out.push(["warn", `Mid-band RT60 is ${fmt(mid.arau)} s against a ${fmt(target)} s target — drier than typical for this room type.`]);
+      } else {
+        out.push(["ok", `Mid-band RT60 of ${fmt(mid.arau)} s is within 20 % of the ${fmt(target)} s ${r.curve.label.toLowerCase()} target.`]);
+      }
+
+      const long = r.result.bands.filter((b, i) => b.arau > r.curve.rt60[i] * 1.2).map((b) => b.hz);
+      if (long.length && ratio <= 1.2) out.push(["warn", `Above target by more than 20 % at ${long.join(", ")} Hz.`]);
+    }
+
+    if (mid.meanAlpha > 0.3) {
+      out.push(["warn", `Mean α of ${fmt(mid.meanAlpha, 2)} is high for Sabine, which overestimates RT60 in absorptive rooms — read Eyring or Arau-Puchades.`]);
+    }
+    if (mid.arau > mid.eyring * 1.25) {
+      out.push(["warn", "Absorption is concentrated on one pair of surfaces (often ceiling and floor), so Arau-Puchades reads longer than Eyring. Spreading treatment onto the bare pairs evens it out."]);
+    }
+    return out;
+  }
+
+  function render(r) {
+    $("rt60-out").innerHTML = summaryRows(r)
+      .map(([k, v]) => `<dt>${k}</dt><dd>${v}</dd>`)
+      .join("");
+    $("rt60-flags").innerHTML = flags(r)
+      .map(([level, text]) => `<li class="calc-flag ${level}">${text}</li>`)
+      .join("");
+    $("to-sti").href = stiLink(r);
+    $("band-rows").innerHTML = r.result.bands
+      .map(
+        (b, i) => `<tr><td>${hzLabel(b.hz)}</td><td>${fmt(b.meanAlpha, 3)}</td><td>${fmt(b.sabine)}</td>` +
+          `<td>${fmt(b.eyring)}</td><td>${fmt(b.arau)}</td><td>${r.curve ? fmt(r.curve.rt60[i]) : "—"}</td></tr>`
+      )
+      .join("");
+    drawChart(r);
+  }
+
+  // Hands this room to /sti-calculator.html: Arau-Puchades RT60 per band, volume and area
+  function stiLink(r) {
+    const params = new URLSearchParams({
+      u: r.state.units,
+      v: r.result.volume.toFixed(1),
+      s: r.result.area.toFixed(1),
+      rt: r.result.bands.map((b) => b.arau.toFixed(2)).join(","),
+    });
+    return "/sti-calculator.html#" + params.toString().replace(/%2C/g, ",");
+  }
+
+  // ---------- Chart ----------
+
+  function drawChart(r) {
+    const canvas = $("rt60-chart");
+    const dpr = window.devicePixelRatio || 1;
+    const cssWidth = canvas.clientWidth || 600;
+    const cssHeight = Number(canvas.getAttribute("height")) || 360;
+    canvas.width = Math.round(cssWidth * dpr);
+    canvas.height = Math.round(cssHeight * dpr);
+    canvas.style.height = cssHeight + "px";
+
+    const ctx = canvas.getContext("2d");
+    ctx.setTransform(dpr, 0, 0, dpr, 0, 0);
+    ctx.clearRect(0, 0, cssWidth, cssHeight);
+    if (!r) return;
+
+    const pad = { left: 48, right: 16, top: 34, bottom: 34 };
+    const plotW = cssWidth - pad.left - pad.right;
+    const plotH = cssHeight - pad.top - pad.bottom;
+
+    const values = r.result.bands.flatMap((b) => SERIES.map((s) => b[s.key]));
+    if (r.curve) values.push(...r.curve.rt60);
+    const top = Math.max(0.5, Math.ceil((Math.max(...values.filter(Number.isFinite)) * 1.1) / 0.5) * 0.5);
+    const step = top > 4 ? 1 : top > 2 ? 0.5 : 0.25;
+
+    // Octave bands sit evenly on a log-frequency axis
+    const X = (i) => pad.left + (plotW * i) / (OCTAVE_BANDS.length - 1);
+    const Y = (t) => pad.top + plotH * (1 - Math.min(t, top) / top);
+
+    ctx.font = "12px Montserrat, Segoe UI, Arial, sans-serif";
+    ctx.lineWidth = 1;
+    ctx.strokeStyle = "rgba(158,181,207,.16)";
+    ctx.fillStyle = "rgba(232,238,245,.7)";
+    ctx.textAlign = "right";
+    ctx.textBaseline = "middle";
+    for (let t = 0; t <= top + 1e-9; t += step) {
+      ctx.beginPath();
+      ctx.moveTo(pad.left, Y(t));
+      ctx.lineTo(pad.left + plotW, Y(t));
+      ctx.stroke();
+      ctx.fillText(`${Number(t.toFixed(2))} s`, pad.left - 6, Y(t));
+    }
+    ctx.textAlign = "center";
+    ctx.textBaseline = "top";
+    OCTAVE_BANDS.forEach((hz, i) => ctx.fillText(hzLabel(hz), X(i), pad.top + plotH + 8));
+
+    function line(points, color, dashed) {
+      ctx.strokeStyle = color;
+      ctx.lineWidth = 2;
+      ctx.setLineDash(dashed ? [6, 5] : []);
+      ctx.beginPath();
+      points.forEach((t, i) => (i ? ctx.lineTo(X(i), Y(t)) : ctx.moveTo(X(i), Y(t))));
+      ctx.stroke();
+      ctx.setLineDash([]);
+      if (dashed) return;
+      ctx.fillStyle = color;
+      points.forEach((t, i) => {
+        ctx.beginPath();
+        ctx.arc(X(i), Y(t), 3, 0, Math.PI * 2);
+        ctx.fill();
+      });
+    }
+
+    const legend = [];
+    if (r.curve) {
+      line(r.curve.rt60, "rgba(232,238,245,.85)", true);
+      legend.push({ label: `${r.curve.label} target`, color: "rgba(232,238,245,.85)", dashed: true });
+    }
+    for (const s of SERIES) {
+      const points = r.result.bands.map((b) => b[s.key]);
+      if (points.some((t) => t === null)) continue;
+      line(points, s.color, false);
+      legend.push(s);
+    }
+
+    // Legend across the top
+    ctx.textAlign = "left";
+    ctx.textBaseline = "middle";
+    let x = pad.left;
+    for (const item of legend) {
+      ctx.strokeStyle = item.color;
+      ctx.lineWidth = 2;
+      ctx.setLineDash(item.dashed ? [6, 5] : []);
+      ctx.beginPath();
+      ctx.moveTo(x, 14);
+      ctx.lineTo(x + 18, 14);
+      ctx.stroke();
+      ctx.setLineDash([]);
+      ctx.fillStyle = "rgba(232,238,245,.85)";
+      ctx.fillText(item.label, x + 24, 14);
+      x += 24 + ctx.measureText(item.label).width + 18;
+    }
+  }
+
+  // ---------- Wiring ----------
+
+  buildForm();
+  applyHash(location.hash);
+
+  $("units").addEventListener("change", () => {
+    switchUnits($("units").value);
+    run();
+  });
+  for (const id of [...dims, "reference"]) $(id).addEventListener("input", run);
+  for (const s of SURFACES) {
+    row(s.id)
+      .querySelector("[data-finish]")
+      .addEventListener("change", () => {
+        onFinishChange(s.id);
+        run();
+      });
+    for (const input of customInputs(s.id)) input.addEventListener("input", run);
+  }
+  $("rt60-form").addEventListener("submit", (e) => e.preventDefault());
+  $("copy-link").addEventListener("click", () => {
+    navigator.clipboard
+      .writeText(location.href)
+      .then(() => ($("copy-status").textContent = "Link copied."))
+      .catch(() => ($("copy-status").textContent = "Copy failed — copy the address bar instead."));
+  });
+  window.addEventListener("resize", () => drawChart(last));
+  window.addEventListener("hashchange", () => {
+    applyHash(location.hash);
+    run();
+  });
+
+  run();
+})();
@@ -0,0 +1,299 @@
+// /js/spacing-calculator.js
+// Speaker spacing & layout page (/spacing-calculator.html). The math is BimCalc.spacing
+// (/js/calc/spacing.js, shared with the Lucius tools); this file is inputs, plan view and CSV.
+(function () {
+  const calc = window.BimCalc && window.BimCalc.spacing;
+  if (!calc) return;
+
+  const FT_PER_M = 1 / 0.3048;
+
+  // Tile options swap to their nearest equivalent when the units change
+  const TILE_EQUIVALENT = { "2x2": "0.6x0.6", "2x4": "0.6x1.2", "4x2": "1.2x0.6" };
+
+  const $ = (id) => document.getElementById(id);
+  const fields = ["ceiling", "listener", "angle", "overlap", "k", "length", "width"];
+  const lengthFields = ["ceiling", "listener", "length", "width"];
+
+  let units = $("units").value;
+  let last = null; // { inputs, spacing, grid, tile } from the latest successful run
+
+  function num(id) {
+    const v = $(id).value.trim();
+    return v === "" ? null : Number(v);
+  }
+
+  function fmt(n, digits = 2) {
+    return n === null || n === undefined || !Number.isFinite(n) ? "—" : n.toFixed(digits);
+  }
+
+  function tileSize() {
+    const v = $("tile").value;
+    if (!v) return null;
+    const [x, y] = v.split("x").map(Number);
+    return { x, y, label: $("tile").selectedOptions[0].textContent };
+  }
+
+  // ---------- Units ----------
+
+  function syncTileOptions() {
+    for (const opt of $("tile").options) {
+      if (opt.dataset.units) opt.hidden = opt.dataset.units !== units;
+    }
+  }
+
+  function switchUnits(next) {
+    if (next === units) return;
+    const factor = next === "m" ? 1 / FT_PER_M : FT_PER_M;
+    for (const id of lengthFields) {
+      const v = num(id);
+      if (v !== null) $(id).value = String(Number((v * factor).toFixed(2)));
+    }
+
+    const tile = $("tile").value;
+    if (tile) {
+      const entry = Object.entries(TILE_EQUIVALENT).find(([ft, m]) => ft === tile || m === tile);
+      $("tile").value = entry ? (next === "m" ? entry[1] : entry[0]) : "";
+    }
+
+    units = next;
+    syncTileOptions();
+  }
+
+  // ---------- Calculation ----------
+
+  function run() {
+    const mode = $("mode").value;
+    for (const el of document.querySelectorAll("[data-mode-only]")) el.hidden = el.dataset.modeOnly !== mode;
+    for (const el of document.querySelectorAll("[data-unit]")) el.textContent = `(${units})`;
+
+    const inputs = {
+      mode,
+      ceilingHeight: num("ceiling"),
+      listenerHeight: num("listener"),
+      coverageAngle: num("angle"),
+      overlap: num("overlap") === null ? null : num("overlap") / 100,
+      k: num("k"),
+      length: num("length"),
+      width: num("width"),
+    };
+    const tile = tileSize();
+
+    try {
+      const spacing = calc.speakerSpacing(inputs);
+      const grid = calc.gridLayout({
+        length: inputs.length,
+        width: inputs.width,
+        spacing: spacing.spacing,
+        tileX: tile ? tile.x : null,
+        tileY: tile ? tile.y : null,
+      });
+      last = { inputs, spacing, grid, tile, units };
+      $("spacing-error").hidden = true;
+      render(last);
+    } catch (e) {
+      last = null;
+      $("spacing-error").textContent = e.code === "BAD_INPUT" ? capitalize(e.message) : "Could not calculate: " + e.message;
+      $("spacing-error").hidden = false;
+      $("spacing-out").innerHTML = "";
+      $("spacing-flags").innerHTML = "";
+      drawPlan(null);
+    }
+  }
+
+  function capitalize(s) {
+    return s.charAt(0).toUpperCase() + s.slice(1);
+  }
+
+  const FORMULAS = {
+    "edge-to-edge": "S = 2 × H × tan(θ/2)",
+    "minimum-overlap": "S = 2 × H × tan(θ/2) × (1 − overlap)",
+    "center-to-center": "S = k × H",
+  };
+
+  function summaryRows(r) {
+    const u = r.units;
+    const rows = [
+      ["Height above ears (H)", `${fmt(r.spacing.height)} ${u}`],
+      ["Coverage radius at ears", r.spacing.radius === null ? "—" : `${fmt(r.spacing.radius)} ${u}`],
+      ["Spacing S", `${fmt(r.spacing.spacing)} ${u}  (${FORMULAS[r.spacing.mode]})`],
+      ["Speakers", `${r.grid.countX} along length × ${r.grid.countY} along width = ${r.grid.count}`],
+      ["Largest gap", `${fmt(r.grid.pitchX)} × ${fmt(r.grid.pitchY)} ${u}`],
+      ["Farthest wall from a speaker", `${fmt(r.grid.edgeX)} × ${fmt(r.grid.edgeY)} ${u}`],
+    ];
+    if (r.tile) rows.push(["Tile snap", r.tile.label]);
+    return rows;
+  }
+
+  function flags(r) {
+    const out = [];
+    const s = r.spacing;
+    if (s.radius !== null && s.spacing > 2 * s.radius + 1e-9) {
+      out.push(["bad", `Spacing is wider than the coverage diameter (${fmt(2 * s.radius)} ${r.units}) — expect gaps between circles. Lower k or switch model.`]);
+    } else if (s.mode === "edge-to-edge") {
+      out.push(["warn", "Edge-to-edge: circles only touch, so points between four speakers sit outside nominal coverage. Minimum overlap closes that gap."]);
+    }
+    if (!r.grid.fits) {
+      out.push(["bad", "The tile grid is too coarse for this spacing: snapped gaps or wall distances exceed the rule. Use a finer tile or no snap."]);
+    } else if (r.tile) {
+      out.push(["ok", "Snapped to tile centres with every gap within S and every wall within S/2."]);
+    }
+    if (r.grid.count === 1) out.push(["warn", "A single speaker covers the room; check the room dimensions."]);
+    return out;
+  }
+
+  function render(r) {
+    $("spacing-out").innerHTML = summaryRows(r)
+      .map(([k, v]) => `<dt>${k}</dt><dd>${v}</dd>`)
+      .join("");
+    $("spacing-flags").innerHTML = flags(r)
+      .map(([level, text]) => `<li class="calc-flag ${level}">${text}</li>`)
+      .join("");
+    drawPlan(r);
+  }
+
+  // ---------- Plan view ----------
+
+  function drawPlan(r) {
+    const canvas = $("plan");
+    const dpr = window.devicePixelRatio || 1;
+    const cssWidth = canvas.clientWidth || 600;
+    const cssHeight = Number(canvas.getAttribute("height")) || 420;
+    canvas.width = Math.round(cssWidth * dpr);
+    canvas.height = Math.round(cssHeight * dpr);
+    canvas.style.height = cssHeight + "px";
+
+    const ctx = canvas.getContext("2d");
+    ctx.setTransform(dpr, 0, 0, dpr, 0, 0);
+    ctx.clearRect(0, 0, cssWidth, cssHeight);
+    $("plan-tiles-note").hidden = !(r && r.tile);
+    if (!r) return;
+
+    const { length, width } = r.inputs;
+    const pad = 34;
+    const scale = Math.min((cssWidth - 2 * pad) / length, (cssHeight - 2 * pad) / width);
+    const ox = (cssWidth - length * scale) / 2;
+    const oy = (cssHeight - width * scale) / 2;
+    const X = (x) => ox + x * scale;
+    const Y = (y) => oy + y * scale;
+
+    // Tile grid, centred in the room
+    if (r.tile) {
+      ctx.strokeStyle = "rgba(158,181,207,.14)";
+      ctx.lineWidth = 1;
+      ctx.beginPath();
+      const offX = (length - Math.floor(length / r.tile.x + 1e-9) * r.tile.x) / 2;
+      const offY = (width - Math.floor(width / r.tile.y + 1e-9) * r.tile.y) / 2;
+      for (let x = offX; x <= length + 1e-9; x += r.tile.x) {
+        ctx.moveTo(X(x), Y(0));
+        ctx.lineTo(X(x), Y(width));
+      }
+      for (let y = offY; y <= width + 1e-9; y += r.tile.y) {
+        ctx.moveTo(X(0), Y(y));
+        ctx.lineTo(X(length), Y(y));
+      }
+      ctx.stroke();
+    }
+
+    // Coverage circles, clipped to the room
+    if (r.spacing.radius !== null) {
+      ctx.save();
+      ctx.beginPath();
+      ctx.rect(X(0), Y(0), length * scale, width * scale);
+      ctx.clip();
+      ctx.fillStyle = "rgba(158,181,207,.10)";
+      ctx.strokeStyle = "rgba(158,181,207,.45)";
+      for (const p of r.grid.positions) {
+        ctx.beginPath();
+        ctx.arc(X(p.x), Y(p.y), r.spacing.radius * scale, 0, Math.PI * 2);
+        ctx.fill();
+        ctx.stroke();
+      }
+      ctx.restore();
+    }
+
+    // Room outline
+    ctx.strokeStyle = "#9EB5CF";
+    ctx.lineWidth = 2;
+    ctx.strokeRect(X(0), Y(0), length * scale, width * scale);
+
+    // Speakers
+    ctx.fillStyle = "#E8EEF5";
+    for (const p of r.grid.positions) {
+      ctx.beginPath();
+      ctx.arc(X(p.x), Y(p.y), 3.5, 0, Math.PI * 2);
+      ctx.fill();
+    }
+
+    // Dimensions
+    ctx.fillStyle = "rgba(232,238,245,.75)";
+    ctx.font = "12px Montserrat, Segoe UI, Arial, sans-serif";
+    ctx.textAlign = "center";
+    ctx.fillText(`${fmt(length, 1)} ${r.units}`, X(length / 2), Y(0) - 10);
+    ctx.save();
+    ctx.translate(X(0) - 12, Y(width / 2));
+    ctx.rotate(-Math.PI / 2);
+    ctx.fillText(`${fmt(width, 1)} ${r.units}`, 0, 0);
+    ctx.restore();
+  }
+
+  // ---------- CSV ----------
+
+  function csvCell(v) {
+    const s = String(v);
+    return /[",\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+  }
+
+  function exportCsv() {
+    if (!last) return;
+    const r = last;
+    const u = r.units;
+    const lines = [
+      ["Parameter", "Value"],
+      ["Units", u],
+      ["Spacing model", r.spacing.mode],
+      ["Formula", FORMULAS[r.spacing.mode]],
+      [`Ceiling height (${u})`, r.inputs.ceilingHeight],
+      [`Listener ear height (${u})`, r.inputs.listenerHeight ?? 0],
+      ["Coverage angle (deg)", r.inputs.coverageAngle ?? ""],
+      ["k", r.spacing.k ?? ""],
+      ["Overlap (%)", r.spacing.mode === "minimum-overlap" ? fmt(r.spacing.overlap * 100, 1) : ""],
+      [`Room length (${u})`, r.inputs.length],
+      [`Room width (${u})`, r.inputs.width],
+      ["Tile snap", r.tile ? r.tile.label : "none"],
+      [`H (${u})`, fmt(r.spacing.height)],
+      [`Coverage radius (${u})`, r.spacing.radius === null ? "" : fmt(r.spacing.radius)],
+      [`Spacing S (${u})`, fmt(r.spacing.spacing)],
+      ["Speakers along length", r.grid.countX],
+      ["Speakers along width", r.grid.countY],
+      ["Speakers total", r.grid.count],
+      ["Within rule", r.grid.fits ? "yes" : "no"],
+      [],
+      ["Speaker", `X (${u})`, `Y (${u})`],
+      ...r.grid.positions.map((p, i) => [`SPK-${String(i + 1).padStart(2, "0")}`, fmt(p.x), fmt(p.y)]),
+    ];
+
+    const csv = lines.map((row) => row.map(csvCell).join(",")).join("\r\n") + "\r\n";
+    const url = URL.createObjectURL(new Blob([csv], { type: "text/csv;charset=utf-8" }));
+    const a = document.createElement("a");
+    a.href = url;
+    a.download = `speaker-layout-${fmt(r.inputs.length, 0)}x${fmt(r.inputs.width, 0)}${u}.csv`;
+    document.body.appendChild(a);
+    a.click();
+    a.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+  }
+
+  // ---------- Wiring ----------
+
+  $("units").addEventListener("change", () => {
+    switchUnits($("units").value);
+    run();
+  });
+  for (const id of [...fields, "mode", "tile"]) $(id).addEventListener("input", run);
+  $("spacing-form").addEventListener("submit", (e) => e.preventDefault());
+  $("export-csv").addEventListener("click", exportCsv);
+  window.addEventListener("resize", () => drawPlan(last));
+
+  syncTileOptions();
+  run();
+})();
@@ -0,0 +1,259 @@
+// /js/sti-calculator.js
+// STI / Dc / D/R page (/sti-calculator.html). The math is BimCalc.sti (/js/calc/sti.js, shared
+// with the Lucius tools); this file is the form and link state.
+//
+// State lives in the URL hash, e.g.
+//   #u=ft&v=6000&s=2200&rt=1,0.9,0.8,0.75,0.7,0.7,0.65,0.6&q=5&n=1&d=6&sl=70&nc=NC-35
+// where nc is a noise curve id or eight band levels; /rt60-calculator.html links here with u, v, s and rt.
+(function () {
+  const calc = window.BimCalc;
+  if (!calc || !calc.sti) return;
+  const { NC_CURVES, TARGETS } = calc.sti;
+
+  const M_PER_FT = 0.3048;
+  const DEFAULT_NOISE = "NC-35";
+
+  const $ = (id) => document.getElementById(id);
+  const rtInputs = [...document.querySelectorAll("[data-rt60]")];
+  const noiseInputs = [...document.querySelectorAll("[data-noise]")];
+  const fields = ["volume", "surface", "q", "n", "distance", "speech"];
+
+  let units = $("units").value;
+  let last = null; // { state, result } from the latest successful run
+
+  function fmt(n, digits = 2) {
+    return n === null || n === undefined || !Number.isFinite(n) ? "—" : n.toFixed(digits);
+  }
+
+  function hzLabel(hz) {
+    return hz >= 1000 ? `${hz / 1000}k` : String(hz);
+  }
+
+  function signed(n, digits = 1) {
+    return Number.isFinite(n) && n > 0 ? "+" + fmt(n, digits) : fmt(n, digits);
+  }
+
+  // ---------- Form ----------
+
+  function buildForm() {
+    const custom = $("noise").querySelector('option[value="custom"]');
+    for (const id of Object.keys(NC_CURVES)) $("noise").add(new Option(id, id), custom);
+    $("noise").value = DEFAULT_NOISE;
+  }
+
+  // Picking custom noise starts from the curve that was selected
+  function onNoiseChange() {
+    const previous = $("noise").dataset.last;
+    if ($("noise").value === "custom" && NC_CURVES[previous]) {
+      noiseInputs.forEach((input, b) => (input.value = String(NC_CURVES[previous][b])));
+    }
+    $("noise-custom").hidden = $("noise").value !== "custom";
+  }
+
+  function readState() {
+    const noise = ($("noise").dataset.last = $("noise").value);
+    return {
+      units,
+      volume: $("volume").value.trim(),
+      surface: $("surface").value.trim(),
+      rt60: rtInputs.map((input) => input.value.trim()),
+      q: $("q").value.trim(),
+      n: $("n").value.trim(),
+      distance: $("distance").value.trim(),
+      speechLevel: $("speech").value.trim(),
+      noise: noise === "custom" ? noiseInputs.map((input) => input.value.trim()) : noise,
+    };
+  }
+
+  // Lengths, areas and volumes convert by the first, second and third power
+  function switchUnits(next) {
+    if (next === units) return;
+    const factor = next === "m" ? M_PER_FT : 1 / M_PER_FT;
+    for (const [id, power, digits] of [["distance", 1, 2], ["surface", 2, 1], ["volume", 3, 0]]) {
+      const v = $(id).value.trim();
+      if (v !== "" && Number.isFinite(Number(v))) $(id).value = String(Number((Number(v) * factor ** power).toFixed(digits)));
+    }
+    units = next;
+  }
+
+  // ---------- Link state ----------
+
+  function encodeState(state) {
+    const params = new URLSearchParams({
+      u: state.units,
+      v: state.volume,
+      s: state.surface,
+      rt: state.rt60.join(","),
+      q: state.q,
+      n: state.n,
+      d: state.distance,
+      sl: state.speechLevel,
+      nc: Array.isArray(state.noise) ? state.noise.join(",") : state.noise,
+    });
+    return "#" + params.toString().replace(/%2C/g, ",");
+  }
+
+  function applyHash(hash) {
+    const params = new URLSearchParams(String(hash || "").replace(/^#/, ""));
+    if (![...params.keys()].length) return;
+
+    // Convert first so fields the link leaves out (e.g. distance from the RT60 page) keep their meaning
+    const u = params.get("u");
+    if (u === "ft" || u === "m") {
+      switchUnits(u);
+      $("units").value = u;
+    }
+    for (const [key, id] of [["v", "volume"], ["s", "surface"], ["q", "q"], ["n", "n"], ["d", "distance"], ["sl", "speech"]]) {
+      if (params.has(key)) $(id).value = params.get(key);
+    }
+
+    const rt = (params.get("rt") || "").split(",");
+    if (rt.length === rtInputs.length) rtInputs.forEach((input, b) => (input.value = rt[b]));
+
+    if (params.has("nc")) {
+      const nc = params.get("nc");
+      const levels = nc.split(",");
+      if (levels.length === noiseInputs.length) {
+        $("noise").value = "custom";
+        noiseInputs.forEach((input, b) => (input.value = levels[b]));
+      } else {
+        $("noise").value = NC_CURVES[nc] ? nc : "";
+      }
+    }
+    $("noise-custom").hidden = $("noise").value !== "custom";
+  }
+
+  // ---------- Calculation ----------
+
+  function run() {
+    for (const el of document.querySelectorAll("[data-unit]")) el.textContent = `(${units})`;
+    for (const el of document.querySelectorAll("[data-unit-area]")) el.textContent = `(${units}²)`;
+    for (const el of document.querySelectorAll("[data-unit-volume]")) el.textContent = `(${units}³)`;
+
+    const state = readState();
+    history.replaceState(null, "", encodeState(state));
+    $("copy-status").textContent = "";
+
+    try {
+      const noise = Array.isArray(state.noise) ? state.noise : NC_CURVES[state.noise] || null;
+      const result = calc.sti.estimateSti({
+        rt60: state.rt60,
+        volume: state.volume,
+        surface: state.surface,
+        q: state.q,
+        n: state.n,
+        distance: state.distance,
+        speechLevel: state.speechLevel === "" ? null : state.speechLevel,
+        noise,
+        units,
+      });
+      last = { state, result };
+      $("sti-error").hidden = true;
+      render(last);
+    } catch (e) {
+      last = null;
+      $("sti-error").textContent = e.code === "BAD_INPUT" ? capitalize(e.message) : "Could not calculate: " + e.message;
+      $("sti-error").hidden = false;
+      $("sti-score").hidden = true;
+      $("sti-out").innerHTML = "";
+      $("sti-flags").innerHTML = "";
+      $("band-rows").innerHTML = "";
+    }
+  }
+
+  function capitalize(s) {
+    return s.charAt(0).toUpperCase() + s.slice(1);
+  }
+
+  function ratingLevel(sti) {
+    if (sti >= TARGETS.criticalSpeech) return "ok";
+    return sti >= TARGETS.massNotification ? "warn" : "bad";
+  }
+
+  function summaryRows(r) {
+    const u = r.state.units;
+    return [
+      ["Critical distance Dc", `${fmt(r.result.criticalDistance)} ${u}`],
+      ["Listener distance", `${fmt(Number(r.state.distance))} ${u}`],
+      ["D/R at listener (500 Hz–1 kHz)", `${signed(r.result.drDb)} dB`],
+      ["Room constant R", `${fmt(r.result.roomConstant, 1)} ${u}²`],
+      ["Mean α (from RT60)", fmt(r.result.meanAlpha, 3)],
+    ];
+  }
+
+  function flags(r) {
+    const out = [];
+    const { sti, criticalDistance } = r.result;
+    const distance = Number(r.state.distance);
+
+    out.push(
+      r.result.meets.massNotification
+        ? ["ok", `Meets the ${fmt(TARGETS.massNotification)} general / mass-notification target.`]
+        : ["bad", `Below the ${fmt(TARGETS.massNotification)} general / mass-notification minimum.`]
+    );
+    out.push(
+      r.result.meets.criticalSpeech
+        ? ["ok", `Meets the ${fmt(TARGETS.criticalSpeech)} critical-speech target.`]
+        : [sti >= TARGETS.massNotification ? "warn" : "bad", `Below the ${fmt(TARGETS.criticalSpeech)} critical-speech target (classrooms, courtrooms, conferencing).`]
+    );
+
+    if (distance > criticalDistance) {
+      out.push(["warn", `The listener is beyond Dc (${fmt(criticalDistance)} ${r.state.units}), so the reverberant field dominates — closer speaker spacing, higher Q or less RT60 help most.`]);
+    }
+
+    const noisy = r.result.bands.filter((b) => b.snr < 15 && b.hz >= 500 && b.hz <= 4000).map((b) => b.hz);
+    if (noisy.length) {
+      out.push(["warn", `Speech is less than 15 dB above the noise at ${noisy.join(", ")} Hz — raise the speech level or lower the noise.`]);
+    }
+    return out;
+  }
+
+  function render(r) {
+    const { sti, rating } = r.result;
+    $("sti-score").className = `calc-score ${ratingLevel(sti)}`;
+    $("sti-score").innerHTML = `<span class="calc-score-value">STI ${fmt(sti)}</span><span class="calc-score-label">${rating}</span>`;
+    $("sti-score").hidden = false;
+
+    $("sti-out").innerHTML = summaryRows(r)
+      .map(([k, v]) => `<dt>${k}</dt><dd>${v}</dd>`)
+      .join("");
+    $("sti-flags").innerHTML = flags(r)
+      .map(([level, text]) => `<li class="calc-flag ${level}">${text}</li>`)
+      .join("");
+    $("band-rows").innerHTML = r.result.bands
+      .map(
+        (b) => `<tr><td>${hzLabel(b.hz)}</td><td>${fmt(b.rt60)}</td><td>${signed(b.drDb)}</td>` +
+          `<td>${Number.isFinite(b.snr) ? signed(b.snr) : "—"}</td><td>${fmt(b.mti, 3)}</td></tr>`
+      )
+      .join("");
+  }
+
+  // ---------- Wiring ----------
+
+  buildForm();
+  applyHash(location.hash);
+
+  $("units").addEventListener("change", () => {
+    switchUnits($("units").value);
+    run();
+  });
+  for (const id of fields) $(id).addEventListener("input", run);
+  for (const input of [...rtInputs, ...noiseInputs]) input.addEventListener("input", run);
+  $("noise").addEventListener("change", () => {
+    onNoiseChange();
+    run();
+  });
+  $("sti-form").addEventListener("submit", (e) => e.preventDefault());
+  $("copy-link").addEventListener("click", () => {
+    navigator.clipboard
+      .writeText(location.href)
+      .then(() => ($("copy-status").textContent = "Link copied."))
+      .catch(() => ($("copy-status").textContent = "Copy failed — copy the address bar instead."));
+  });
+  window.addEventListener("hashchange", () => {
+    applyHash(location.hash);
+    run();
+  });
+
+  run();
+})();
@@ -1,22 +1,46 @@
 (function () {
   const endpoint = "/api/lucius-web-chat";
+  const feedbackEndpoint = "/api/lucius-feedback";
+  const transcriptEndpoint = "/api/lucius-transcript";
+
+  // How many prior turns to send along (server trims again to its own budget)
+  const HISTORY_TURNS = 12;
+
+  // Matches the server's default LUCIUS_MAX_MESSAGE_CHARS
+  const MAX_MESSAGE_CHARS = 2000;
 
   // Persistent anonymous session + consent
   const SESSION_KEY = "lucius_session_id";
   const CONSENT_KEY = "lucius_log_consent"; // "yes" | "no" | null
 
+  const UUID_RE = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+  // The session id is the only key to a saved transcript (export / delete), so it must be
+  // unguessable: a random UUID, or null — no session, nothing saved — without secure randomness.
+  function newSessionId() {
+    const c = window.crypto;
+    if (c && c.randomUUID) return c.randomUUID();
+    if (!c || !c.getRandomValues) return null;
+    const b = c.getRandomValues(new Uint8Array(16));
+    b[6] = (b[6] & 0x0f) | 0x40; // version 4
+    b[8] = (b[8] & 0x3f) | 0x80; // RFC 4122 variant
+    const hex = Array.from(b, x => x.toString(16).padStart(2, "0")).join("");
+    return `${hex.slice(0, 8)}-${hex.slice(8, 12)}-${hex.slice(12, 16)}-${hex.slice(16, 20)}-${hex.slice(20)}`;
+  }
+
+  // Ids from older widgets ("sess_<time>…") were guessable; they are replaced
   function getOrCreateSessionId() {
-    try {
-      let v = localStorage.getItem(SESSION_KEY);
-      if (v) return v;
-      v = (crypto && crypto.randomUUID)
-        ? crypto.randomUUID()
-        : ("sess_" + Date.now() + "_" + Math.random().toString(16).slice(2));
-      localStorage.setItem(SESSION_KEY, v);
-      return v;
-    } catch {
-      return "sess_" + Date.now();
-    }
+    let v = null;
+    try { v = localStorage.getItem(SESSION_KEY); } catch {}
+    if (v && UUID_RE.test(v)) return v;
+    v = newSessionId();
+    try { if (v) localStorage.setItem(SESSION_KEY, v); } catch {}
+    return v;
+  }
+
+  // Saving needs both the visitor's yes and a session id they can later export / delete by
+  function savingChats() {
+    return state.consent === "yes" && !!state.sessionId;
   }
 
   function getConsent() {
@@ -32,6 +56,11 @@
     sessionId: getOrCreateSessionId(),
     consent: getConsent(), // null | yes | no
 
+    // Privacy menu (consent, export, deletion)
+    privacyOpen: false,
+    privacyBusy: false,
+    privacyStatus: "",
+
     // Chat history (so re-render never wipes it)
     messages: [
       {
@@ -48,19 +77,217 @@
     return state.consent !== "yes" && state.consent !== "no";
   }
 
+  // Conversation turns for the API: real user/bot exchanges only (no system
+  // greeting, no local error bubbles), oldest first.
+  function historyForApi() {
+    return state.messages
+      .filter(m => (m.role === "user" || m.role === "bot") && !m.error && m.text)
+      .slice(-HISTORY_TURNS)
+      .map(m => ({ role: m.role === "user" ? "user" : "assistant", content: m.text }));
+  }
+
+  // Friendly copy for rate-limit / validation rejections; null = use the generic error.
+  function rejectionText(status, data, retryAfterHeader) {
+    const code = data && data.code;
+    if (status === 429 && code === "daily_cap") {
+      return "Lucius has reached today’s usage limit. Please try again tomorrow, or email info@bimacoustics.net.";
+    }
+    if (status === 429) {
+      const secs = Number((data && data.retryAfter) || retryAfterHeader) || 0;
+      const wait = secs > 90 ? `about ${Math.ceil(secs / 60)} minutes` : (secs > 0 ? `about ${secs} seconds` : "a moment");
+      return `You’re sending messages a little fast — please wait ${wait} and try again.`;
+    }
+    if (status === 400 && code === "message_too_long") {
+      return `That message is a bit long — please keep it under ${MAX_MESSAGE_CHARS} characters.`;
+    }
+    return null;
+  }
+
   function escapeHtml(s) {
     return (s || "").replace(/[&<>"']/g, (c) => ({
       "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#039;"
     }[c]));
   }
 
+  // "Source: Room Acoustics" footnotes under a bot reply (one per cited section)
+  function renderCitations(m) {
+    if (!Array.isArray(m.citations) || !m.citations.length) return "";
+    const seen = {};
+    const items = m.citations.filter(c => {
+      if (!c || !c.heading || seen[c.heading]) return false;
+      seen[c.heading] = true;
+      return true;
+    });
+    if (!items.length) return "";
+    return `<div class="lw-cites">${items.map(c =>
+      `<div class="lw-cite" title="${escapeHtml(c.pack || "")}${c.anchor ? "#" + escapeHtml(c.anchor) : ""}">Source: ${escapeHtml(c.heading)}</div>`
+    ).join("")}</div>`;
+  }
+
+  // 👍/👎 under real replies; 👎 asks "what was wrong?" when the visitor opted in to logging
+  function renderFeedback(m, i) {
+    if (m.role !== "bot" || m.error || !m.messageId) return "";
+    if (m.feedbackSent) return `<div class="lw-fb"><span class="lw-fb-thanks">Thanks for the feedback.</span></div>`;
+
+    const askWhy = m.feedback === "down" && state.consent === "yes";
+    return `
+      <div class="lw-fb">
+        <button class="lw-fb-btn ${m.feedback === "up" ? "on" : ""}" type="button" data-fb="up" data-i="${i}" aria-label="Helpful">👍</button>
+        <button class="lw-fb-btn ${m.feedback === "down" ? "on" : ""}" type="button" data-fb="down" data-i="${i}" aria-label="Not helpful">👎</button>
+      </div>
+      ${askWhy ? `
+        <div class="lw-fb-why">
+          <textarea class="lw-fb-text" id="lw-fb-text-${i}" rows="2" maxlength="1000" placeholder="What was wrong? (optional)"></textarea>
+          <div class="lw-consent-actions">
+            <button class="lw-btn" type="button" data-fb-send="skip" data-i="${i}">Skip</button>
+            <button class="lw-btn primary" type="button" data-fb-send="send" data-i="${i}">Send feedback</button>
+          </div>
+        </div>` : ""}
+    `;
+  }
+
+  async function sendFeedback(m, rating, comment) {
+    m.feedback = rating;
+    m.feedbackSent = true;
+    render();
+    try {
+      await fetch(feedbackEndpoint, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({
+          messageId: m.messageId,
+          rating,
+          comment: comment || "",
+          sessionId: state.sessionId,
+          consentToLog: savingChats()
+        })
+      });
+    } catch (e) {
+      console.warn("Lucius feedback failed:", e);
+    }
+  }
+
   function renderMessages() {
-    return state.messages.map(m => {
+    return state.messages.map((m, i) => {
       const cls = m.role === "user" ? "user" : (m.role === "bot" ? "bot" : "sys");
-      return `<div class="lw-msg ${cls}">${escapeHtml(m.text)}</div>`;
+      return `<div class="lw-msg ${cls}" data-i="${i}">${escapeHtml(m.text)}</div>${m.role === "bot" ? renderCitations(m) + renderFeedback(m, i) : ""}`;
     }).join("");
   }
 
+  // ---------- Privacy menu ----------
+
+  function privacyHtml() {
+    const saving = state.consent === "yes";
+    return `
+      <div class="lw-consent lw-privacy">
+        <div class="lw-consent-title">Privacy</div>
+        <div class="lw-consent-text">
+          Transcript saving is <b>${saving ? "on" : "off"}</b>.
+          ${saving
+            ? "Your questions, Lucius’ answers and any feedback you leave are stored to improve Lucius."
+            : "Nothing you type here is stored."}
+        </div>
+        <div class="lw-privacy-actions">
+          <button class="lw-btn" type="button" data-privacy="${saving ? "consent-off" : "consent-on"}" ${state.privacyBusy ? "disabled" : ""}>
+            ${saving ? "Stop saving my chats" : "Allow saving my chats"}
+          </button>
+          <button class="lw-btn" type="button" data-privacy="export" ${state.privacyBusy ? "disabled" : ""}>Download my transcript</button>
+          <button class="lw-btn" type="button" data-privacy="delete" ${state.privacyBusy ? "disabled" : ""}>Delete my saved transcript</button>
+        </div>
+        ${state.privacyStatus ? `<div class="lw-privacy-status">${escapeHtml(state.privacyStatus)}</div>` : ""}
+      </div>
+    `;
+  }
+
+  function transcriptText(data) {
+    const lines = [
+      "Lucius transcript — exported " + (data.exportedAt || new Date().toISOString()),
+      ""
+    ];
+    (data.entries || []).forEach(e => {
+      if (e.type === "feedback") {
+        lines.push(`[${e.ts}] Feedback on ${e.messageId}: ${e.rating === "up" ? "👍" : "👎"}${e.comment ? " — " + e.comment : ""}`);
+      } else {
+        lines.push(`[${e.ts}] You: ${e.user || ""}`);
+        lines.push(`[${e.ts}] Lucius: ${e.lucius || ""}`);
+      }
+      lines.push("");
+    });
+    return lines.join("\n");
+  }
+
+  async function transcriptRequest(method) {
+    if (!state.sessionId) {
+      throw new Error("This browser can’t create a private session id, so nothing from it was saved.");
+    }
+    const resp = await fetch(transcriptEndpoint, {
+      method,
+      headers: { "X-Lucius-Session": state.sessionId }
+    });
+    let data = null;
+    try { data = await resp.json(); } catch {}
+    if (!resp.ok || !data || !data.ok) {
+      throw new Error((data && data.error) || `Request failed (${resp.status}).`);
+    }
+    return data;
+  }
+
+  async function privacyAction(action) {
+    if (state.privacyBusy) return;
+
+    if (action === "consent-on" || action === "consent-off") {
+      const v = action === "consent-on" ? "yes" : "no";
+      setConsent(v);
+      state.consent = v;
+      state.privacyStatus = v === "yes"
+        ? "Thanks — new messages will be saved."
+        : "Saving is off. Anything already saved stays until you delete it below.";
+      render();
+      return;
+    }
+
+    if (action === "delete" && !window.confirm("Delete every saved Lucius message and feedback from this browser’s session? This can’t be undone.")) {
+      return;
+    }
+
+    state.privacyBusy = true;
+    state.privacyStatus = action === "delete" ? "Deleting…" : "Preparing your transcript…";
+    render();
+
+    try {
+      if (action === "export") {
+        const data = await transcriptRequest("GET");
+        if (!data.count) {
+          state.privacyStatus = "There’s no saved transcript for this browser.";
+        } else {
+          const blob = new Blob([transcriptText(data)], { type: "text/plain;charset=utf-8" });
+          const a = document.createElement("a");
+          a.href = URL.createObjectURL(blob);
+          a.download = "lucius-transcript.txt";
+          document.body.appendChild(a);
+          a.click();
+          a.remove();
+          setTimeout(() => URL.revokeObjectURL(a.href), 1000);
+          state.privacyStatus = `Downloaded ${data.count} saved ${data.count === 1 ? "entry" : "entries"}.`;
+        }
+      } else if (action === "delete") {
+        const data = await transcriptRequest("DELETE");
+        // Start a fresh session so nothing new is linked to the deleted one
+        state.sessionId = newSessionId();
+        try { if (state.sessionId) localStorage.setItem(SESSION_KEY, state.sessionId); } catch {}
+        state.privacyStatus = data.deleted
+          ? `Deleted ${data.deleted} saved ${data.deleted === 1 ? "entry" : "entries"}.`
+          : "There was nothing saved to delete.";
+      }
+    } catch (e) {
+      console.warn("Lucius privacy request failed:", e);
+      state.privacyStatus = (e && e.message) || "Something went wrong. Please try again.";
+    } finally {
+      state.privacyBusy = false;
+      render();
+    }
+  }
+
   function consentHtml() {
   return `
     <div class="lw-consent">
@@ -96,15 +323,19 @@
     container.innerHTML = (mode === "embedded")
       ? `
         <div class="lw-embed-shell">
-          <div class="lw-embed-hd"><div class="lw-title">Lucius</div></div>
+          <div class="lw-embed-hd">
+            <div class="lw-title">Lucius</div>
+            <button class="lw-privacy-toggle" type="button" aria-expanded="${state.privacyOpen}">Privacy</button>
+          </div>
 
           <div class="lw-body" id="lw-body">
+            ${state.privacyOpen ? privacyHtml() : ""}
             ${renderMessages()}
             ${isGated ? consentHtml() : ""}
           </div>
 
           <div class="lw-ft">
-            <input class="lw-in" id="lw-in" type="text"
+            <input class="lw-in" id="lw-in" type="text" maxlength="${MAX_MESSAGE_CHARS}"
               placeholder="${isGated ? "Consent required to start…" : "Ask a question…"}"
               ${isGated ? "disabled" : ""}/>
             <button class="lw-send" id="lw-send" type="button" ${isGated ? "disabled" : ""}>
@@ -119,16 +350,18 @@
           <div class="lw-panel ${panelOpen ? "open" : ""}" role="dialog" aria-label="Lucius chat">
             <div class="lw-hd">
               <div class="lw-title">Lucius</div>
+              <button class="lw-privacy-toggle" type="button" aria-expanded="${state.privacyOpen}">Privacy</button>
               <button class="lw-x" type="button" aria-label="Close">✕</button>
             </div>
 
             <div class="lw-body" id="lw-body">
+              ${state.privacyOpen ? privacyHtml() : ""}
               ${renderMessages()}
               ${isGated ? consentHtml() : ""}
             </div>
 
             <div class="lw-ft">
-              <input class="lw-in" id="lw-in" type="text"
+              <input class="lw-in" id="lw-in" type="text" maxlength="${MAX_MESSAGE_CHARS}"
                 placeholder="${isGated ? "Consent required to start…" : "Ask a question…"}"
                 ${isGated ? "disabled" : ""}/>
               <button class="lw-send" id="lw-send" type="button" ${isGated ? "disabled" : ""}>
@@ -156,6 +389,44 @@
     if (yesBtn) yesBtn.onclick = () => { setConsent("yes"); state.consent = "yes"; state.shouldScroll = true; render(); };
     if (noBtn)  noBtn.onclick  = () => { setConsent("no");  state.consent = "no";  state.shouldScroll = true; render(); };
 
+    // Privacy menu
+    const privacyToggle = container.querySelector(".lw-privacy-toggle");
+    if (privacyToggle) privacyToggle.onclick = () => {
+      state.privacyOpen = !state.privacyOpen;
+      state.privacyStatus = "";
+      render();
+      const body = container.querySelector("#lw-body");
+      if (body && state.privacyOpen) body.scrollTop = 0;
+    };
+    container.querySelectorAll("[data-privacy]").forEach(btn => {
+      btn.onclick = () => privacyAction(btn.getAttribute("data-privacy"));
+    });
+
+    // Feedback controls
+    container.querySelectorAll("[data-fb]").forEach(btn => {
+      btn.onclick = () => {
+        const m = state.messages[Number(btn.getAttribute("data-i"))];
+        if (!m || m.feedbackSent) return;
+        const rating = btn.getAttribute("data-fb");
+        if (rating === "down" && state.consent === "yes") {
+          m.feedback = "down"; // open the "what was wrong?" box first
+          render();
+          return;
+        }
+        sendFeedback(m, rating, "");
+      };
+    });
+    container.querySelectorAll("[data-fb-send]").forEach(btn => {
+      btn.onclick = () => {
+        const i = Number(btn.getAttribute("data-i"));
+        const m = state.messages[i];
+        if (!m || m.feedbackSent) return;
+        const box = container.querySelector(`#lw-fb-text-${i}`);
+        const comment = (btn.getAttribute("data-fb-send") === "send" && box) ? box.value.trim() : "";
+        sendFeedback(m, "down", comment);
+      };
+    });
+
     // Send handler
     const input = container.querySelector("#lw-in");
     const send = container.querySelector("#lw-send");
@@ -180,23 +451,32 @@
           headers: { "Content-Type": "application/json" },
           body: JSON.stringify({
             message: msg,
+            messages: historyForApi(),
             sessionId: state.sessionId,
-            consentToLog: (state.consent === "yes")
+            consentToLog: savingChats()
           })
         });
 
         if (!resp.ok) {
           const t = await resp.text();
           console.warn("Lucius API error:", resp.status, t);
-          state.messages.push({ role: "bot", text: `Server error (${resp.status}). Please try again.` });
+          let data = null;
+          try { data = JSON.parse(t); } catch {}
+          const friendly = rejectionText(resp.status, data, resp.headers.get("Retry-After"));
+          state.messages.push({ role: "bot", error: true, text: friendly || `Server error (${resp.status}). Please try again.` });
           return;
         }
 
         const data = await resp.json();
-        state.messages.push({ role: "bot", text: (data && data.reply) ? data.reply : "No response available." });
+        state.messages.push({
+          role: "bot",
+          text: (data && data.reply) ? data.reply : "No response available.",
+          citations: (data && data.citations) || [],
+          messageId: (data && data.messageId) || null
+        });
       } catch (e) {
         console.warn("Lucius fetch failed:", e);
-        state.messages.push({ role: "bot", text: "Sorry — something went wrong. Please try again." });
+        state.messages.push({ role: "bot", error: true, text: "Sorry — something went wrong. Please try again." });
       } finally {
         state.busy = false;
         state.shouldScroll = true;